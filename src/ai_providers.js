@@ -0,0 +1,281 @@
+import { initializeApp } from "firebase/app";
+import { getAI, getGenerativeModel, GoogleAIBackend, InferenceMode, Schema } from "firebase/ai";
+import { config } from "./config.js";
+import { getSetting, SETTING_KEYS } from "./db.js";
+
+// --- AI provider layer ---
+// firebase_ai.js builds the prompts; a provider only turns (task, prompt, JSON schema) into
+// JSON text. The provider is chosen on the options page and stored in the settings store.
+
+/**
+ * @typedef {'classify'|'lite'|'search'|'synopsis'|'chat'|'tidy'} AITask
+ */
+
+/**
+ * @typedef {Object} AIRequestOptions
+ * @property {Object} schema - JSON Schema the response must follow
+ * @property {number} maxOutputTokens
+ */
+
+/**
+ * @typedef {Object} AIProvider
+ * @property {string} id - Key in PROVIDERS
+ * @property {Record<AITask, string>} models - Model name per task (recorded on each capture run)
+ * @property {(task: AITask, prompt: string, options: AIRequestOptions) => Promise<string>} generate - Resolves to the raw JSON text
+ * @property {() => void} reset - Drops cached clients, e.g. after an aborted request
+ * @property {string} [embeddingModel] - Set when the provider can embed text
+ * @property {(texts: string[], kind?: 'document'|'query') => Promise<number[][]>} [embed] - One vector
+ *   per text; `kind` tells saved pages from search queries for models that embed them differently.
+ *   Absent when the provider has no embeddings API (the search index then uses local hashed vectors)
+ */
+
+/**
+ * @typedef {Object} AIProviderSettings
+ * @property {string} id - Key in PROVIDERS
+ * @property {string} [baseUrl] - OpenAI-compatible endpoint, e.g. http://localhost:11434/v1
+ * @property {string} [apiKey] - Sent as a Bearer token when set
+ * @property {Partial<Record<AITask|'embed', string>>} [models]
+ */
+
+// --- Firebase (Gemini) ---
+
+// Cloud model names per task
+const FIREBASE_MODELS = {
+    classify: "gemini-2.5-pro",
+    lite: "gemini-2.5-flash-lite",
+    search: "gemini-2.5-flash-lite",
+    synopsis: "gemini-2.5-flash",
+    chat: "gemini-2.5-flash",
+    tidy: "gemini-2.5-pro",
+};
+
+// Classification is a large task and prefers the cloud; the small ones try on-device first
+const FIREBASE_INFERENCE_MODES = {
+    classify: InferenceMode.PREFER_IN_CLOUD,
+    lite: InferenceMode.PREFER_ON_DEVICE,
+    search: InferenceMode.PREFER_ON_DEVICE,
+    synopsis: InferenceMode.PREFER_IN_CLOUD,
+    chat: InferenceMode.PREFER_IN_CLOUD,
+    tidy: InferenceMode.PREFER_IN_CLOUD,
+};
+
+// The Firebase AI web SDK has no embeddings API, so the search index calls the Gemini API's
+// embedding endpoint directly with the project's API key
+const FIREBASE_EMBEDDING_MODEL = "gemini-embedding-001";
+const GEMINI_API_BASE_URL = "https://generativelanguage.googleapis.com/v1beta";
+
+let firebaseAI = null;
+
+// Initialized on first use so nothing talks to Firebase unless this provider is selected
+function getFirebaseAI() {
+    if (!firebaseAI) {
+        const {
+            VITE_FIREBASE_API_KEY: apiKey,
+            VITE_FIREBASE_AUTH_DOMAIN: authDomain,
+            VITE_FIREBASE_PROJECT_ID: projectId,
+            VITE_FIREBASE_STORAGE_BUCKET: storageBucket,
+            VITE_FIREBASE_MESSAGING_SENDER_ID: messagingSenderId,
+            VITE_FIREBASE_APP_ID: appId,
+            VITE_FIREBASE_MEASUREMENT_ID: measurementId
+        } = import.meta.env;
+        const firebaseApp = initializeApp({ apiKey, authDomain, projectId, storageBucket, messagingSenderId, appId, measurementId });
+        firebaseAI = getAI(firebaseApp, { backend: new GoogleAIBackend() });
+    }
+    return firebaseAI;
+}
+
+// Convert a (small subset of) JSON Schema into Firebase's Schema builders.
+// Object properties not listed in `required` become optionalProperties.
+function toFirebaseSchema(schema) {
+    switch (schema.type) {
+        case "array":
+            return Schema.array({ items: toFirebaseSchema(schema.items) });
+        case "object": {
+            const properties = {};
+            for (const [key, value] of Object.entries(schema.properties || {})) {
+                properties[key] = toFirebaseSchema(value);
+            }
+            const required = schema.required || Object.keys(properties);
+            const optionalProperties = Object.keys(properties).filter(key => !required.includes(key));
+            return Schema.object(optionalProperties.length ? { properties, optionalProperties } : { properties });
+        }
+        case "integer":
+            return Schema.integer();
+        case "number":
+            return Schema.number();
+        case "boolean":
+            return Schema.boolean();
+        default:
+            return Array.isArray(schema.enum) ? Schema.enumString({ enum: schema.enum }) : Schema.string();
+    }
+}
+
+function createFirebaseProvider() {
+    const models = new Map(); // task -> GenerativeModel
+
+    const getModel = (task, { schema, maxOutputTokens }) => {
+        if (!models.has(task)) {
+            const responseSchema = toFirebaseSchema(schema);
+            models.set(task, getGenerativeModel(getFirebaseAI(), {
+                mode: FIREBASE_INFERENCE_MODES[task],
+                inCloudParams: {
+                    model: FIREBASE_MODELS[task],
+                    generationConfig: {
+                        responseMimeType: "application/json",
+                        responseSchema,
+                        temperature: 0,
+                        maxOutputTokens,
+                        candidateCount: 1,
+                    },
+                },
+                onDeviceParams: {
+                    // Enforce JSON shape on-device as well, and keep it deterministic
+                    promptOptions: { responseConstraint: responseSchema },
+                    createOptions: { temperature: 0 },
+                },
+            }));
+        }
+        return models.get(task);
+    };
+
+    return {
+        id: "firebase",
+        models: { ...FIREBASE_MODELS },
+        embeddingModel: FIREBASE_EMBEDDING_MODEL,
+        async generate(task, prompt, options) {
+            const result = await getModel(task, options).generateContent({
+                contents: [{ role: 'user', parts: [{ text: prompt }] }]
+            });
+            // Log which inference source was used by the model (cloud vs on-device)
+            console.log(`You used (${task}): ` + (result?.response?.inferenceSource || 'unknown'));
+            return (result?.response?.text?.() || "").trim();
+        },
+        async embed(texts, kind = "document") {
+            const url = `${GEMINI_API_BASE_URL}/models/${FIREBASE_EMBEDDING_MODEL}:batchEmbedContents`;
+            const res = await fetch(url, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    "x-goog-api-key": import.meta.env.VITE_FIREBASE_API_KEY,
+                },
+                body: JSON.stringify({
+                    requests: texts.map(text => ({
+                        model: `models/${FIREBASE_EMBEDDING_MODEL}`,
+                        content: { parts: [{ text }] },
+                        taskType: kind === "query" ? "RETRIEVAL_QUERY" : "RETRIEVAL_DOCUMENT",
+                        outputDimensionality: config.search.embeddingDimensions,
+                    })),
+                }),
+            });
+            if (!res.ok) {
+                const detail = (await res.text().catch(() => '')).slice(0, 200);
+                throw new Error(`Gemini embedding endpoint returned HTTP ${res.status}${detail ? `: ${detail}` : ''}`);
+            }
+            const data = await res.json();
+            const rows = Array.isArray(data?.embeddings) ? data.embeddings : [];
+            if (rows.length !== texts.length) {
+                throw new Error(`Embedding endpoint returned ${rows.length} vectors for ${texts.length} texts`);
+            }
+            return rows.map(row => row.values);
+        },
+        reset() {
+            models.clear();
+        },
+    };
+}
+
+// --- OpenAI-compatible HTTP endpoint (Ollama, llama.cpp server, LM Studio, ...) ---
+
+// Local models often wrap JSON in a Markdown code fence despite instructions
+function stripCodeFence(text) {
+    const match = /^```(?:json)?\s*([\s\S]*?)\s*```$/i.exec(text.trim());
+    return match ? match[1] : text.trim();
+}
+
+function createOpenAICompatibleProvider(settings) {
+    const baseUrl = (settings.baseUrl || config.localAI.baseUrl).replace(/\/+$/, '');
+    const models = {};
+    for (const task of Object.keys(FIREBASE_MODELS)) {
+        models[task] = settings.models?.[task] || config.localAI.model;
+    }
+
+    const embeddingModel = settings.models?.embed || config.localAI.embeddingModel;
+
+    // POST a JSON body to `${baseUrl}${path}` and return the parsed response
+    const post = async (path, body) => {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), config.localAI.requestTimeoutMs);
+        try {
+            const res = await fetch(`${baseUrl}${path}`, {
+                method: "POST",
+                headers: {
+                    "Content-Type": "application/json",
+                    ...(settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {}),
+                },
+                body: JSON.stringify(body),
+                signal: controller.signal,
+            });
+            if (!res.ok) {
+                const detail = (await res.text().catch(() => '')).slice(0, 200);
+                throw new Error(`AI endpoint ${baseUrl}${path} returned HTTP ${res.status}${detail ? `: ${detail}` : ''}`);
+            }
+            return await res.json();
+        } finally {
+            clearTimeout(timer);
+        }
+    };
+
+    return {
+        id: "openai_compatible",
+        models,
+        embeddingModel,
+        async generate(task, prompt, { schema, maxOutputTokens }) {
+            const data = await post("/chat/completions", {
+                model: models[task],
+                messages: [{ role: "user", content: prompt }],
+                temperature: 0,
+                max_tokens: maxOutputTokens,
+                response_format: { type: "json_schema", json_schema: { name: `nemo_${task}`, schema } },
+                stream: false,
+            });
+            return stripCodeFence(data?.choices?.[0]?.message?.content || "");
+        },
+        async embed(texts) {
+            const data = await post("/embeddings", { model: embeddingModel, input: texts });
+            const rows = Array.isArray(data?.data) ? [...data.data] : [];
+            rows.sort((a, b) => (a.index ?? 0) - (b.index ?? 0));
+            if (rows.length !== texts.length) {
+                throw new Error(`Embedding endpoint returned ${rows.length} vectors for ${texts.length} texts`);
+            }
+            return rows.map(row => row.embedding);
+        },
+        reset() {},
+    };
+}
+
+// --- Selection ---
+
+export const PROVIDERS = {
+    firebase: { label: "Firebase AI (Gemini)", create: createFirebaseProvider },
+    openai_compatible: { label: "OpenAI-compatible endpoint (local)", create: createOpenAICompatibleProvider },
+};
+
+export const DEFAULT_PROVIDER_SETTINGS = { id: "firebase" };
+
+let cached = null; // { key, provider }
+
+/**
+ * Returns the provider selected on the options page. Settings are re-read on every call so a
+ * change applies to the next request without restarting the service worker.
+ * @returns {Promise<AIProvider>}
+ */
+export async function getAIProvider() {
+    const settings = await getSetting(SETTING_KEYS.AI_PROVIDER, DEFAULT_PROVIDER_SETTINGS)
+        .catch(() => DEFAULT_PROVIDER_SETTINGS);
+    const key = JSON.stringify(settings);
+    if (cached?.key !== key) {
+        const entry = PROVIDERS[settings?.id] || PROVIDERS[DEFAULT_PROVIDER_SETTINGS.id];
+        cached = { key, provider: entry.create(settings || DEFAULT_PROVIDER_SETTINGS) };
+    }
+    return cached.provider;
+}
@@ -1,5 +1,43 @@
-import { summarizeTabs, summarizeTabsLiteBatch, searchRelevantTabs } from './firebase_ai.js';
+import { summarizeTabs, summarizeTabsLiteBatch } from './firebase_ai.js';
+import { semanticSearch, indexTabs, syncEmbeddings } from './embeddings.js';
+import { indexTabsLexically, syncLexicalIndex } from './lexical_index.js';
+import { contentFingerprint, contentChange } from './fingerprint.js';
+import { refreshSessionSynopsis, refreshSessionSynopses } from './synopsis.js';
+import { askChat, ALL_SESSIONS_SCOPE } from './chat.js';
+import { proposeTidySessions } from './tidy.js';
+import { decideReviewItem } from './review.js';
+import { buildClassificationGuidance } from './corrections.js';
+import { isPdfUrl, readPdf } from './pdf.js';
+import { getAIProvider } from './ai_providers.js';
 import { config } from './config.js';
+import {
+  STORES,
+  runTransaction,
+  getAllTabs,
+  getTabs,
+  getAllSessions,
+  getAllMemberships,
+  getTab,
+  getTabsBySession,
+  getSessionIdsForTab,
+  getSession,
+  addTabToSession,
+  getOrCreateSession,
+  getExcludedDomains,
+  putRejectedTab,
+  getQueuedTabs,
+  getCachedSummaries,
+  putCachedSummaries,
+  queueTabs,
+  removeQueuedTabs,
+  purgeArchived,
+  purgeTrash,
+  getSetting,
+  SETTING_KEYS,
+  addRun,
+  putRun,
+  undoRun,
+} from './db.js';
 
 // ========== Excluded domains settings (loaded from IndexedDB) ==========
 let excludedDomains = [];
@@ -24,39 +62,9 @@ chrome.runtime.onConnect.addListener((port) => {
   }
 });
 
-const DB_NAME = "NeuMemoDB";
-const DB_VERSION = 6;
-const EXCLUDED_URLS_STORE = "excluded_urls";
-
-function openDB() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
-    request.onerror = (event) => reject("Database error: " + event.target.error);
-    request.onsuccess = (event) => resolve(event.target.result);
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
-      if (!db.objectStoreNames.contains(EXCLUDED_URLS_STORE)) {
-        db.createObjectStore(EXCLUDED_URLS_STORE, { keyPath: "domain" });
-      }
-    };
-  });
-}
-
 async function loadExcludedDomains() {
   try {
-    const db = await openDB();
-    const domains = await new Promise((resolve, reject) => {
-      const transaction = db.transaction(EXCLUDED_URLS_STORE, "readonly");
-      const store = transaction.objectStore(EXCLUDED_URLS_STORE);
-      const request = store.getAll();
-      request.onerror = (event) => reject("Error loading rules: " + event.target.error);
-      request.onsuccess = (event) => {
-        const domainList = event.target.result.map(item => item.domain);
-        resolve(domainList);
-      };
-      db.close();
-    });
-    excludedDomains = domains;
+    excludedDomains = await getExcludedDomains();
     console.log('🔧 Loaded excluded domains:', excludedDomains);
   } catch (e) {
     console.warn('Failed to load excluded domains:', e);
@@ -85,19 +93,55 @@ function isUrlExcluded(url) {
 
 // Initial load
 loadExcludedDomains();
+purgeArchived(config.archive).catch(e => console.warn('Failed to purge archived rows:', e));
+getSetting(SETTING_KEYS.TRASH_RETENTION_DAYS, config.trash.retentionDays)
+  .then(days => purgeTrash(days))
+  .then(count => { if (count > 0) console.log(`🗑️ Emptied ${count} trash item(s) past retention.`); })
+  .catch(e => console.warn('Failed to empty trash:', e));
+// Backfill the search indexes with pages saved before they existed (or imported, restored,
+// embedded by another model or hashed while the embeddings endpoint was down) and drop deleted
+// pages; searches only read them
+getAllTabs()
+  .then(async tabs => {
+    const lexical = await syncLexicalIndex(tabs)
+      .catch(e => { console.warn('Failed to sync the lexical index:', e); return 0; });
+    if (lexical > 0) console.log(`🔤 Updated ${lexical} page(s) in the lexical index.`);
+    const embedded = await syncEmbeddings(tabs);
+    if (embedded > 0) console.log(`🧭 Updated ${embedded} page(s) in the embedding index.`);
+  })
+  .catch(e => console.warn('Failed to sync the search indexes:', e));
 
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === "COLLECT_TABS") {
     console.log("🧠 Received collect tabs request. Starting the process...");
     // Start the process but don't make the listener async.
     // The response is sent back immediately.
-    collectAndSummarizeAllTabs();
-    sendResponse({ status: "Collection process initiated." });
+    if (startCollection({ scope: message.scope })) {
+      sendResponse({ status: "Collection process initiated." });
+    } else {
+      // The viewer keeps waiting for COLLECT_TABS_DONE of the run in progress
+      console.log('A capture run is already in progress; ignoring the request.');
+      sendResponse({ status: "A capture run is already in progress." });
+    }
     return false;
   }
+  if (message.type === "IMPORT_TABS") {
+    console.log(`📥 Received ${message.source || 'unknown'} import request.`);
+    importTabs(message.source, message.groups)
+      .then((result) => {
+        sendResponse({ ok: true, ...result });
+        // Summarize the queued URLs right away; the viewer waits for COLLECT_TABS_DONE
+        if (result.queued > 0) summarizeQueueSoon();
+      })
+      .catch((e) => {
+        console.warn('Import failed:', e);
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      });
+    return true;
+  }
   if (message.type === "SEARCH_TABS") {
     console.log("🧠 Received search tabs request. Starting the process...");
-    searchTabsLite(message.query, message.tabs).then(tabs => {
+    searchTabsLite(message.query).then(tabs => {
         sendResponse({ tabs: tabs });
     });
     return true; // Indicates that the response is sent asynchronously
@@ -115,6 +159,55 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
       .catch((e) => console.warn('Search hint failed:', e));
     return false;
   }
+  if (message.type === "UNDO_RUN") {
+    undoRun(Number(message.runId))
+      .then(() => {
+        console.log(`↩️ Undid run ${message.runId}.`);
+        sendResponse({ ok: true });
+      })
+      .catch((e) => {
+        console.warn('Failed to undo run:', e);
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      });
+    return true;
+  }
+  if (message.type === "REFRESH_SYNOPSIS") {
+    refreshSessionSynopsis(Number(message.sessionId), { force: !!message.force })
+      .then((synopsis) => sendResponse({ ok: true, synopsis }))
+      .catch((e) => {
+        console.warn('Failed to write session synopsis:', e);
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      });
+    return true;
+  }
+  if (message.type === "CHAT_ASK") {
+    const scope = message.scope === ALL_SESSIONS_SCOPE ? ALL_SESSIONS_SCOPE : Number(message.scope);
+    askChat(scope, message.question)
+      .then((conversation) => sendResponse({ ok: true, conversation }))
+      .catch((e) => {
+        console.warn('Failed to answer chat question:', e);
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      });
+    return true;
+  }
+  if (message.type === "TIDY_SESSIONS") {
+    proposeTidySessions()
+      .then((count) => sendResponse({ ok: true, count }))
+      .catch((e) => {
+        console.warn('Failed to propose session changes:', e);
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      });
+    return true;
+  }
+  if (message.type === "REVIEW_DECIDE") {
+    decideReviewItem(Number(message.id), message.choice || {})
+      .then((item) => sendResponse({ ok: true, item }))
+      .catch((e) => {
+        console.warn('Failed to file review item:', e);
+        sendResponse({ ok: false, error: String(e?.message || e) });
+      });
+    return true;
+  }
   if (message.type === "OPEN_SESSION_WINDOW") {
     const id = Number(message.sessionId);
     if (Number.isFinite(id)) {
@@ -127,22 +220,64 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   // which resolves a promise inside injectAndGetContent. This simplifies the logic immensely.
 });
 
-async function searchTabsLite(query, tabs) {
+async function searchTabsLite(query) {
   try {
-    const results = await searchRelevantTabs(tabs, query, 3);
-    // searchRelevantTabs returns objects with {url,title,summary,score}. Viewer expects {url,title,summary}.
-    return results.map(({ url, title, summary }) => ({ url, title, summary }));
+    const results = await semanticSearch(query, 3);
+    // semanticSearch returns objects with {url,title,summary,score,rankedBy}. Viewer expects
+    // {url,title,summary,rankedBy} plus the saved row's tags and content type for filtering, and
+    // its page metadata for the favicon and publish date.
+    const rows = await getTabs(results.map(r => r.url));
+    return results.map(({ url, title, summary, rankedBy }, i) => ({
+      url,
+      title,
+      summary,
+      rankedBy,
+      tags: rows[i]?.tags,
+      contentType: rows[i]?.contentType,
+      page: rows[i]?.page,
+    }));
   } catch (e) {
     console.error("Error during tab search:", e);
     return [];
   }
 }
 
-async function collectAndSummarizeAllTabs() {
+// Capture runs never overlap: two pipelines would race on the capture queue, the journaled
+// writes and COLLECT_TABS_DONE.
+let collectionInProgress = null;
+let queueRunScheduled = false;
+
+// Starts a capture run unless one is in progress; returns whether it started
+function startCollection(options) {
+  if (collectionInProgress) return false;
+  collectionInProgress = collectAndSummarizeAllTabs(options)
+    .catch(e => console.error('❌ Capture run failed:', e))
+    .finally(() => { collectionInProgress = null; });
+  return true;
+}
+
+// Summarizes the capture queue now, or with one queue-only run after the run in progress
+function summarizeQueueSoon() {
+  if (startCollection({ includeOpenTabs: false }) || queueRunScheduled) return;
+  queueRunScheduled = true;
+  collectionInProgress.then(() => {
+    queueRunScheduled = false;
+    summarizeQueueSoon();
+  });
+}
+
+// Captures the open tabs in `scope` (none if includeOpenTabs is false) plus a slice of the capture
+// queue, summarizes and classifies them, and saves the results as one run.
+async function collectAndSummarizeAllTabs({ includeOpenTabs = true, scope = { kind: 'all' } } = {}) {
   await loadExcludedDomains(); // Reload rules before processing
+  let run = null;
+  let runStatus = 'completed';
+  let runError;
   try {
-    // 1. Get all eligible tabs
-    const allTabs = await chrome.tabs.query({});
+    run = await startRun();
+    if (includeOpenTabs) run.scope = { kind: scope?.kind || 'all', ...(scope?.groupTitle ? { groupTitle: scope.groupTitle } : {}) };
+    // 1. Get the eligible tabs in scope, plus URLs waiting in the capture queue (e.g. from an import)
+    const allTabs = includeOpenTabs ? await tabsInScope(scope) : [];
     const injectableTabs = allTabs.filter(tab => {
       const url = tab.url || tab.pendingUrl || '';
       if (!(tab.id && url && /^https?:\/\//.test(url))) return false;
@@ -150,12 +285,14 @@ async function collectAndSummarizeAllTabs() {
       return !isUrlExcluded(url);
     });
 
-    if (injectableTabs.length === 0) {
-      console.log('No injectable tabs found. Nothing to do.');
+    const queued = await takeQueuedTabs();
+
+    if (injectableTabs.length === 0 && queued.length === 0) {
+      console.log('No injectable tabs or queued URLs found. Nothing to do.');
       try { chrome.runtime.sendMessage({ type: "COLLECT_TABS_DONE", count: 0 }); } catch {}
       return;
     }
-    console.log(`✅ Found ${injectableTabs.length} injectable tabs.`);
+    console.log(`✅ Found ${injectableTabs.length} injectable tabs (scope: ${run.scope?.kind || 'queue only'}) and ${queued.length} queued URL(s).`);
 
   // 2. Inject scripts and collect content with limited concurrency to avoid mass reload pressure
   const CONCURRENCY = config.injection.concurrency; // configurable
@@ -173,14 +310,53 @@ async function collectAndSummarizeAllTabs() {
       return results;
     };
 
-    const tabContents = await processWithConcurrency(injectableTabs, CONCURRENCY, injectAndGetContent);
+    const captures = await processWithConcurrency(injectableTabs, CONCURRENCY, captureTab);
+    run.rejected = [];
+    injectableTabs.forEach((tab, i) => {
+      if (!captures[i].reason) return;
+      const url = tab.url || tab.pendingUrl || '';
+      run.rejected.push({ url, reason: captures[i].reason });
+      putRejectedTab(url, captures[i].reason)
+        .catch(saveErr => console.error('❌ Failed to save rejected tab:', url, saveErr));
+    });
 
     // Filter out any tabs that failed to return content
-    const validTabs = tabContents.filter(t => t !== null).map(t => ({ ...t, source: 'current' }));
-    console.log(`→ Collected content from ${validTabs.length} tabs.`);
+    const validTabs = await dedupeByCanonicalUrl(captures.filter(c => c.tab).map(c => ({ ...c.tab, source: 'current' })));
+
+    // 2b. Fetch queued URLs (there is no open tab to inject into); reuse content when the page is open
+    const openByUrl = new Map(validTabs.map(t => [t.url, t]));
+    const queuedResults = await processWithConcurrency(queued, config.importQueue.concurrency, (entry) =>
+      openByUrl.has(entry.url) ? { tab: openByUrl.get(entry.url) } : fetchQueuedTab(entry));
+    const queuedByUrl = new Map();
+    const failedQueuedUrls = [];
+    queued.forEach((entry, i) => {
+      const { tab, reason } = queuedResults[i];
+      if (!tab) {
+        failedQueuedUrls.push(entry.url);
+        run.rejected.push({ url: entry.url, reason });
+        putRejectedTab(entry.url, reason)
+          .catch(saveErr => console.error('❌ Failed to save rejected tab:', entry.url, saveErr));
+        return;
+      }
+      queuedByUrl.set(entry.url, entry);
+      if (!openByUrl.has(entry.url)) {
+        validTabs.push({ ...tab, url: entry.url, title: tab.title || entry.title, source: 'current' });
+      }
+    });
+    if (failedQueuedUrls.length > 0) await removeQueuedTabs(failedQueuedUrls);
+
+    run.captured = validTabs.map(t => ({
+      url: t.url,
+      title: t.title || 'Untitled',
+      ...(t.extraction ? { extraction: t.extraction } : {}),
+    }));
+    const strippedChars = validTabs.reduce((sum, t) => sum + (t.extraction?.boilerplateChars || 0), 0);
+    console.log(`→ Collected content from ${validTabs.length} tabs (${strippedChars} boilerplate chars stripped).`);
 
     if (validTabs.length === 0) {
       console.log('No content was collected. Aborting summarization.');
+      runStatus = 'failed';
+      runError = 'No content was collected from your open tabs.';
       try {
         chrome.runtime.sendMessage({ type: "COLLECT_TABS_FAILED", error: 'No content was collected from your open tabs.' });
       } catch {}
@@ -195,21 +371,90 @@ async function collectAndSummarizeAllTabs() {
     const excludedHistoryCount = loadedHistoricalCountRaw - historicalTabs.length;
     console.log(`📚 Loaded ${loadedHistoricalCountRaw} historical tabs from DB (excluded by rules: ${excludedHistoryCount}). Using ${historicalTabs.length}.`);
 
-    // 3.5 Pre-summarize current tabs that are NOT in history using lite model (batched)
+    // 3.4 Fingerprint captured content. A known URL is only summarized again when its content
+    // changed beyond config.summaryCache.changeThreshold since the summary was made.
     const historyUrlSet = new Set(historicalTabs.map(t => t.url).filter(Boolean));
-    const toSummarize = validTabs.filter(t => t && t.url && !historyUrlSet.has(t.url));
-  console.log(`🪄 Pre-summarizing ${toSummarize.length} current tab(s) with lite model — auto-batched (${config.liteSummary.batchSize} tabs/request, up to ${config.liteSummary.concurrency} requests concurrently).`);
+    const historyByUrl = new Map(historicalTabs.map(t => [t.url, t]));
+    const fingerprints = new Map(); // url -> { contentHash, sketch, readingMinutes }
+    for (const t of validTabs) {
+      if (!t?.url) continue;
+      const words = (t.content || '').split(/\s+/).filter(Boolean).length;
+      fingerprints.set(t.url, {
+        ...await contentFingerprint(t.content || ''),
+        readingMinutes: Math.max(1, Math.round(words / config.summaryCache.wordsPerMinute)),
+      });
+    }
+    const changedUrls = new Set();
+    for (const [url, fp] of fingerprints) {
+      const known = historyByUrl.get(url);
+      if (!known?.contentHash || known.contentHash === fp.contentHash) continue;
+      if (contentChange(known.sketch, fp.sketch) > config.summaryCache.changeThreshold) changedUrls.add(url);
+    }
 
+    // 3.5 Pre-summarize new and changed tabs using lite model (batched); content summarized
+    // before, under any URL, reuses the cached summary
+    const toSummarize = validTabs.filter(t => t && t.url && (!historyUrlSet.has(t.url) || changedUrls.has(t.url)));
     const summaryByUrl = {};
+    const coverageByUrl = {}; // 'full' | 'partial' (long pages whose sections were capped)
+    const metadataByUrl = new Map(); // structured metadata from the lite model, which saw the page itself
+    const cachedSummaries = await getCachedSummaries(toSummarize.map(t => fingerprints.get(t.url).contentHash))
+      .catch(e => {
+        console.warn('Failed to read the summary cache:', e);
+        return new Map();
+      });
+    const uncached = toSummarize.filter(t => {
+      const hit = cachedSummaries.get(fingerprints.get(t.url).contentHash);
+      if (hit) {
+        summaryByUrl[t.url] = hit.summary;
+        coverageByUrl[t.url] = hit.coverage || 'full';
+        if (hit.metadata) metadataByUrl.set(t.url, hit.metadata);
+      }
+      return !hit;
+    });
+  console.log(`🪄 Pre-summarizing ${uncached.length} current tab(s) with lite model (${changedUrls.size} changed since last capture, ${toSummarize.length - uncached.length} from the summary cache) — auto-batched (${config.liteSummary.batchSize} tabs/request, up to ${config.liteSummary.concurrency} requests concurrently).`);
+
     try {
       // summarizeTabsLiteBatch now handles batching and concurrency internally
-      const batchResults = await summarizeTabsLiteBatch(toSummarize);
+      const batchResults = await summarizeTabsLiteBatch(uncached);
+      const updatedAt = new Date().toISOString();
+      const cacheEntries = [];
       for (const item of batchResults) {
-        if (item && item.url) summaryByUrl[item.url] = item.summary || '';
+        if (!item || !item.url) continue;
+        summaryByUrl[item.url] = item.summary || '';
+        coverageByUrl[item.url] = item.coverage || 'full';
+        if (item.metadata) metadataByUrl.set(item.url, item.metadata);
+        if (item.summary && fingerprints.has(item.url)) {
+          cacheEntries.push({
+            contentHash: fingerprints.get(item.url).contentHash,
+            summary: item.summary,
+            coverage: coverageByUrl[item.url],
+            metadata: item.metadata,
+            url: item.url,
+            updatedAt,
+          });
+        }
+      }
+      if (cacheEntries.length > 0) {
+        await putCachedSummaries(cacheEntries, config.summaryCache.maxEntries)
+          .catch(e => console.warn('Failed to update the summary cache:', e));
       }
     } catch (e) {
       console.warn(`Lite summarization failed:`, String(e));
     }
+
+    // Changed pages keep their sessions and take the fresh summary; if summarizing failed they
+    // keep the old one and their old fingerprint, so the next run tries again
+    historicalTabs = historicalTabs.map(t => (changedUrls.has(t.url) && summaryByUrl[t.url]
+      ? { ...t, content: summaryByUrl[t.url] }
+      : t));
+    // New and re-summarized pages also record how much of the page their summary covers
+    const fingerprintsToSave = new Map();
+    for (const [url, fp] of fingerprints) {
+      const known = historyByUrl.get(url);
+      if (!known) fingerprintsToSave.set(url, { ...fp, coverage: coverageByUrl[url] || 'full' });
+      else if (changedUrls.has(url) && summaryByUrl[url]) fingerprintsToSave.set(url, { ...fp, coverage: coverageByUrl[url] });
+      else if (!known.contentHash) fingerprintsToSave.set(url, fp);
+    }
     const summarizedCurrentTabs = validTabs.map(t => {
       if (!t || !t.url) return t;
       if (historyUrlSet.has(t.url)) return t; // will be skipped by history preference later
@@ -249,8 +494,26 @@ async function collectAndSummarizeAllTabs() {
 
     // 5. Classify/summarize only NEW tabs; pass-through history in final results
     console.log(`🧠 Running summarizeTabs with ${combinedTabs.length} total (AI will classify ${newTabsCount} new tabs; history preserved).`);
-  const aiResults = await summarizeTabs(combinedTabs);
+    // Manual corrections steer the classifier towards how the user files pages
+    const guidance = await buildClassificationGuidance(combinedTabs.filter(t => t && t.source !== 'history'))
+      .catch(e => {
+        console.warn('Failed to load corrections for the classifier:', e);
+        return null;
+      });
+  const aiResults = await summarizeTabs(combinedTabs, config.summarize.maxTokens, guidance);
     console.log('🤖 Full AI Response:', JSON.stringify(aiResults));
+    applyQueuedSessions(aiResults, queuedByUrl, historyUrlSet);
+    // Prefer the lite model's page metadata: it was made from the page itself rather than a summary
+    for (const result of aiResults) {
+      if (metadataByUrl.has(result?.tab_id)) result.metadata = metadataByUrl.get(result.tab_id);
+    }
+    // New tabs the classifier never returned (batches that failed even at half size) show on the run;
+    // they are not saved to rejected_tabs since the next run tries them again
+    const classifiedUrls = new Set(aiResults.map(r => r?.tab_id));
+    for (const t of combinedTabs) {
+      if (!t?.url || historyUrlSet.has(t.url) || classifiedUrls.has(t.url)) continue;
+      run.rejected.push({ url: t.url, reason: 'classification_failed' });
+    }
     // 6. Save the results to IndexedDB
     // Build a BEST-EFFORT title lookup using both current and history, preferring non-empty, non-"Untitled" titles
     const isGoodTitle = (s) => {
@@ -286,23 +549,214 @@ async function collectAndSummarizeAllTabs() {
     }
 
     const titles = Object.fromEntries(bestTitleByUrl.entries());
-  await saveAISummaries(aiResults, titles);
+    const pageByUrl = new Map(validTabs.filter(t => t.page).map(t => [t.url, t.page]));
+  await saveAISummaries(aiResults, titles, run, fingerprintsToSave, pageByUrl);
     console.log(`✅ Successfully saved AI summaries for ${aiResults.length} tabs.`);
+    // Queued URLs that did not make it into the AI output stay queued for the next run
+    const savedQueuedUrls = aiResults.map(r => r?.tab_id).filter(u => queuedByUrl.has(u));
+    if (savedQueuedUrls.length > 0) await removeQueuedTabs(savedQueuedUrls);
     // Notify UI pages (e.g., viewer.html) that collection and summarization are complete
     try {
       chrome.runtime.sendMessage({ type: "COLLECT_TABS_DONE", count: aiResults.length });
     } catch (notifyErr) {
       console.warn("Failed to notify UI about completion:", notifyErr);
     }
+    // Sessions that gained pages get a fresh synopsis; not awaited so the run is recorded right away
+    const touchedSessionIds = run.changes.filter(c => c.store === STORES.MEMBERSHIPS).map(c => c.key[0]);
+    refreshSessionSynopses(touchedSessionIds);
 
   } catch (error) {
     console.error('❌ An error occurred during the collect and summarize process:', error);
+    runStatus = 'failed';
+    runError = String(error?.message || error);
     try {
       chrome.runtime.sendMessage({ type: "COLLECT_TABS_FAILED", error: String(error?.message || error) });
     } catch {}
+  } finally {
+    if (run) {
+      await finishRun(run, runStatus, runError).catch(e => console.warn('Failed to record run:', e));
+    }
   }
 }
 
+// --- Importers & capture queue ---
+
+// Create one session per import group and queue its URLs for the capture pipeline.
+// URLs that are already saved just join the session; non-web URLs go to rejected_tabs.
+async function importTabs(source, groups) {
+  await loadExcludedDomains();
+  const result = { sessions: 0, queued: 0, linked: 0, rejected: 0, excluded: 0 };
+  const queuedAt = new Date().toISOString();
+
+  for (const group of Array.isArray(groups) ? groups : []) {
+    const sessionName = String(group?.name || '').trim() || 'Imported';
+    const accepted = [];
+    for (const link of Array.isArray(group?.links) ? group.links : []) {
+      const url = typeof link?.url === 'string' ? link.url.trim() : '';
+      if (!url) continue;
+      if (!/^https?:\/\//i.test(url)) {
+        result.rejected++;
+        await putRejectedTab(url, 'unsupported_url');
+      } else if (isUrlExcluded(url)) {
+        result.excluded++;
+      } else {
+        accepted.push({ url, title: String(link.title || '').trim() });
+      }
+    }
+    if (accepted.length === 0) continue;
+
+    const { id: sessionId } = await getOrCreateSession(sessionName);
+    result.sessions++;
+    const entries = [];
+    for (const { url, title } of accepted) {
+      if (await getTab(url)) {
+        await addTabToSession(url, sessionId);
+        result.linked++;
+      } else {
+        entries.push({ url, title, sessionId, sessionName, source: source || 'import', queuedAt });
+      }
+    }
+    await queueTabs(entries);
+    result.queued += entries.length;
+  }
+
+  console.log(`📥 Import (${source}): ${result.sessions} session(s), ${result.queued} queued, ${result.linked} already saved, ${result.rejected} rejected, ${result.excluded} excluded.`);
+  return result;
+}
+
+// Oldest queued URLs up to the per-run cap; queued URLs that are now excluded are dropped
+async function takeQueuedTabs() {
+  const queued = await getQueuedTabs();
+  const excluded = queued.filter(e => isUrlExcluded(e.url)).map(e => e.url);
+  if (excluded.length > 0) await removeQueuedTabs(excluded);
+  return queued.filter(e => !isUrlExcluded(e.url)).slice(0, config.importQueue.maxPerRun);
+}
+
+// The canonical URL a page declares, when it can stand in for the page: http(s), the same site
+// (ignoring "www."), and not the site root for a deeper page (a common misconfiguration)
+function usableCanonicalUrl(url, canonicalUrl) {
+  try {
+    const page = new URL(url);
+    const canonical = new URL(canonicalUrl);
+    const site = (u) => u.hostname.replace(/^www\./, '');
+    if (!/^https?:$/.test(canonical.protocol) || site(canonical) !== site(page)) return null;
+    if (canonical.pathname === '/' && page.pathname !== '/') return null;
+    canonical.hash = '';
+    return canonical.href;
+  } catch {
+    return null;
+  }
+}
+
+// Open tabs are keyed by their canonical URL, so the same page opened through tracking links,
+// AMP or mirror paths is saved once. A page already saved under the URL it was opened with keeps
+// that row unless the canonical one exists too. Later duplicates are dropped.
+async function dedupeByCanonicalUrl(tabs) {
+  const byUrl = new Map();
+  for (const tab of tabs) {
+    const canonical = usableCanonicalUrl(tab.url, tab.page?.canonicalUrl);
+    let url = tab.url;
+    if (canonical && canonical !== tab.url && ((await getTab(canonical)) || !(await getTab(tab.url)))) {
+      url = canonical;
+    }
+    if (byUrl.has(url)) continue;
+    byUrl.set(url, url === tab.url ? tab : { ...tab, url });
+  }
+  if (byUrl.size < tabs.length) console.log(`🔗 ${tabs.length - byUrl.size} tab(s) share a canonical URL with another tab.`);
+  return [...byUrl.values()];
+}
+
+// Fetch a queued URL and extract its text. Resolves to { tab } or { reason } (never rejects).
+async function fetchQueuedTab(entry) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.importQueue.fetchTimeoutMs);
+  try {
+    const res = await fetch(entry.url, { signal: controller.signal, redirect: 'follow' });
+    if (!res.ok) return { reason: `http_${res.status}` };
+    const type = res.headers.get('content-type') || '';
+    if (type && !/text\/html|text\/plain|application\/xhtml/i.test(type)) {
+      return { reason: 'unsupported_content_type' };
+    }
+    const { title, text } = htmlToText(await res.text());
+    if (!text) return { reason: 'no_content' };
+    return { tab: { title: title || entry.title, url: entry.url, content: text } };
+  } catch (err) {
+    console.warn(`⚠️ Failed to fetch queued URL: ${entry.url}`, String(err));
+    return { reason: err?.name === 'AbortError' ? 'fetch_timeout' : 'fetch_failed' };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Service workers have no DOMParser, so strip markup with regexes. Good enough for summarization.
+function htmlToText(html) {
+  const decode = (s) => s
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+    .replace(/&amp;/g, '&');
+  const titleMatch = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html);
+  const text = html
+    .replace(/<(script|style|noscript|svg|template)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<\/(p|div|li|h[1-6]|tr|section|article|br)>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ');
+  return {
+    title: titleMatch ? decode(titleMatch[1]).replace(/\s+/g, ' ').trim() : '',
+    text: decode(text).replace(/[ \t]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim(),
+  };
+}
+
+// Imported tabs keep the session of the folder/group they came from. A queued URL that was
+// saved meanwhile (history passthrough) joins that session in addition to its current ones.
+function applyQueuedSessions(aiResults, queuedByUrl, historyUrlSet) {
+  for (const result of aiResults) {
+    const entry = queuedByUrl.get(result?.tab_id);
+    if (!entry) continue;
+    const target = { session_id: entry.sessionId, session_name: entry.sessionName };
+    if (historyUrlSet.has(entry.url)) {
+      result.additional_sessions = [...(result.additional_sessions || []), target];
+    } else {
+      // The user chose the session when importing, so it never needs review
+      Object.assign(result, target, { additional_sessions: [], confidence: 1 });
+    }
+  }
+}
+
+// --- Capture runs ---
+// Every "Organize Tabs" click is recorded in the runs store. Besides the summary fields shown
+// in the viewer, a run keeps a journal of every row it wrote ({ store, key, before }) so that
+// undoRun (db.js) can put the tabs/sessions stores back the way they were before the run.
+async function startRun() {
+  const { id: provider, models } = await getAIProvider();
+  const run = {
+    startedAt: new Date().toISOString(),
+    endedAt: null,
+    status: 'running',
+    provider,
+    model: models.classify,
+    liteModel: models.lite,
+    captured: [],
+    rejected: [],
+    sessionsCreated: [],
+    reassigned: [],
+    needsReview: [],
+    changes: [],
+  };
+  run.id = await addRun(run);
+  return run;
+}
+
+async function finishRun(run, status, error) {
+  run.endedAt = new Date().toISOString();
+  run.status = status;
+  if (error) run.error = error;
+  await putRun(run);
+}
+
 async function injectAndGetContent(tab) {
   const sleep = (ms) => new Promise(res => setTimeout(res, ms));
   const withTimeout = (promise, ms, label = "operation") => {
@@ -395,18 +849,89 @@ async function injectAndGetContent(tab) {
         title: response.title,
         url: response.url,
         content: response.content,
+        ...(response.extraction ? { extraction: response.extraction } : {}),
+        ...(response.page ? { page: response.page } : {}),
       };
     } else {
       throw new Error('Invalid or empty response from content script');
     }
   } catch (err) {
     console.warn(`⚠️ Failed to get content from tab: ${tab.url}`, String(err));
-    saveRejectedTab(tab.url, 'content_script_failed')
-      .catch(saveErr => console.error('❌ Failed to save rejected tab:', tab.url, saveErr));
     return null; // Return null for failed tabs so Promise.all doesn't reject.
   }
 }
 
+// Downloads and parses the PDF at a tab's URL. Resolves to { tab } or { reason } (never rejects); the
+// reason is 'not_pdf' when the URL serves something else.
+async function capturePdfTab(url, tabTitle) {
+  try {
+    const pdf = await readPdf(url);
+    if (!pdf) return { reason: 'not_pdf' };
+    const { title, content, pageCount, pagesRead } = pdf;
+    if (!content) return { reason: 'pdf_no_text' }; // scanned pages without a text layer
+    console.log(`📄 Extracted ${pagesRead}/${pageCount} PDF page(s) from ${url}`);
+    return { tab: { title: title || tabTitle, url, content, pdf: { pageCount, pagesRead } } };
+  } catch (err) {
+    console.warn(`⚠️ Failed to read PDF tab: ${url}`, String(err));
+    return { reason: /^(http_\d+|too_large|fetch_timeout)$/.test(err?.message) ? err.message : 'pdf_failed' };
+  }
+}
+
+// Captures one open tab: PDFs are read in the background (Chrome's PDF viewer doesn't take
+// content scripts), other pages through the content script. Resolves to { tab } or { reason }.
+async function captureTab(tab) {
+  const url = tab.url || tab.pendingUrl || '';
+  if (isPdfUrl(url)) {
+    const pdf = await capturePdfTab(url, tab.title);
+    if (pdf.reason !== 'not_pdf') return pdf;
+  }
+  const content = await injectAndGetContent(tab);
+  if (content) return { tab: content };
+  // Injection also fails for PDFs served from URLs without a .pdf extension
+  if (!isPdfUrl(url)) {
+    const pdf = await capturePdfTab(url, tab.title);
+    if (pdf.reason !== 'not_pdf') return pdf;
+  }
+  return { reason: 'content_script_failed' };
+}
+
+// --- Capture scope ---
+// "Organize Tabs" captures one window, the selected (highlighted) tabs, one tab group or every
+// window. Switching to the viewer tab replaces the selection with the viewer itself, so the last
+// selection of web pages is remembered in session storage.
+const LAST_SELECTION_KEY = 'nemoLastSelection';
+
+chrome.tabs.onHighlighted.addListener(async ({ windowId, tabIds }) => {
+  try {
+    const tabs = await Promise.all(tabIds.map(id => chrome.tabs.get(id).catch(() => null)));
+    const pageIds = tabs.filter(t => t && /^https?:\/\//.test(t.url || t.pendingUrl || '')).map(t => t.id);
+    if (pageIds.length > 0) await chrome.storage.session.set({ [LAST_SELECTION_KEY]: { windowId, tabIds: pageIds } });
+  } catch (e) {
+    console.warn('Failed to remember the tab selection:', e);
+  }
+});
+
+/**
+ * Open tabs in a capture scope.
+ * @param {{kind: 'window'|'highlighted'|'group'|'all', windowId?: number, groupId?: number}} scope
+ * @returns {Promise<chrome.tabs.Tab[]>}
+ */
+async function tabsInScope(scope) {
+  switch (scope?.kind) {
+    case 'window':
+      return chrome.tabs.query(typeof scope.windowId === 'number' ? { windowId: scope.windowId } : { lastFocusedWindow: true });
+    case 'highlighted': {
+      const { [LAST_SELECTION_KEY]: selection } = await chrome.storage.session.get(LAST_SELECTION_KEY);
+      const tabs = await Promise.all((selection?.tabIds || []).map(id => chrome.tabs.get(id).catch(() => null)));
+      return tabs.filter(Boolean);
+    }
+    case 'group':
+      return typeof scope.groupId === 'number' ? chrome.tabs.query({ groupId: scope.groupId }) : [];
+    default:
+      return chrome.tabs.query({});
+  }
+}
+
 chrome.action.onClicked.addListener(async () => {
   console.log("🧠 NeuMemo icon clicked — opening viewer...");
   chrome.tabs.create({ url: chrome.runtime.getURL("viewer.html") });
@@ -414,359 +939,316 @@ chrome.action.onClicked.addListener(async () => {
 
 // Read historical tabs (previous AI summaries) from IndexedDB and convert to summarizeTabs input shape
 async function fetchHistoricalTabsFromDB() {
-  const DB_NAME = "NeuMemoDB";
-  const DB_VERSION = 6;
-  const TABS_STORE = "tabs";
-  const SESSIONS_STORE = "sessions";
-
   try {
-    const db = await new Promise((resolve, reject) => {
-      const req = indexedDB.open(DB_NAME, DB_VERSION);
-      req.onerror = (e) => reject(e.target?.error || e);
-      req.onsuccess = (e) => resolve(e.target.result);
-    });
+    const [tabs, sessions, memberships] = await Promise.all([getAllTabs(), getAllSessions(), getAllMemberships()]);
 
-    // If the store doesn't exist yet, treat as empty history
-    if (!db.objectStoreNames.contains(TABS_STORE)) {
-      db.close();
-      return [];
+    // Map session id -> name to attach session info to history tabs
+    const sessionsById = new Map();
+    for (const s of sessions) {
+      if (s && typeof s.id !== 'undefined') sessionsById.set(s.id, s.name || 'Uncategorized');
     }
 
-    const tabs = await new Promise((resolve, reject) => {
-      try {
-        const tx = db.transaction(TABS_STORE, "readonly");
-        const store = tx.objectStore(TABS_STORE);
-        const req = store.getAll();
-        req.onerror = (e) => reject(e.target?.error || e);
-        req.onsuccess = (e) => resolve(e.target.result || []);
-        tx.oncomplete = () => {};
-      } catch (err) {
-        reject(err);
-      }
-    });
-
-    // Load sessions mapping id -> name to attach session info to history tabs
-    const sessionsById = await new Promise((resolve, reject) => {
-      const map = new Map();
-      try {
-        const tx = db.transaction(SESSIONS_STORE, "readonly");
-        const store = tx.objectStore(SESSIONS_STORE);
-        const req = store.getAll();
-        req.onerror = (e) => reject(e.target?.error || e);
-        req.onsuccess = (e) => {
-          const rows = e.target.result || [];
-          for (const s of rows) {
-            if (s && typeof s.id !== 'undefined') map.set(s.id, s.name || 'Uncategorized');
-          }
-        };
-        tx.oncomplete = () => resolve(map);
-      } catch (err) {
-        reject(err);
-      }
-    });
+    // Map url -> [{ id, name }] for every session the page belongs to
+    const sessionsByUrl = new Map();
+    for (const m of memberships) {
+      if (!sessionsById.has(m.sessionId)) continue;
+      if (!sessionsByUrl.has(m.url)) sessionsByUrl.set(m.url, []);
+      sessionsByUrl.get(m.url).push({ id: m.sessionId, name: sessionsById.get(m.sessionId) });
+    }
 
     // Map DB records to summarizeTabs input structure with session metadata
-    // Use the stored summary as the content fed back into the AI context
-    const mapped = tabs
+    // Use the stored summary as the content fed back into the AI context.
+    // sessionId/sessionName mirror the first session for callers that only need one.
+    return tabs
       .filter(Boolean)
-      .map(t => ({
-        title: t.title || "Untitled",
-        url: t.url,
-        content: t.summary || "",
-        source: 'history',
-        sessionId: t.sessionId,
-        sessionName: sessionsById.get(t.sessionId) || 'Uncategorized',
-      }))
+      .map(t => {
+        const tabSessions = sessionsByUrl.get(t.url) || [];
+        return {
+          title: t.title || "Untitled",
+          url: t.url,
+          content: t.summary || "",
+          contentHash: t.contentHash,
+          sketch: t.sketch,
+          tags: t.tags,
+          entities: t.entities,
+          source: 'history',
+          sessions: tabSessions,
+          sessionId: tabSessions[0]?.id,
+          sessionName: tabSessions[0]?.name || 'Uncategorized',
+        };
+      })
       .filter(t => t.url); // ensure URL exists
-    db.close();
-    return mapped;
   } catch (err) {
     console.warn("⚠️ Failed to read historical tabs from DB; proceeding with current tabs only.", String(err));
     return [];
   }
 }
 
-function saveRejectedTab(url, reason) {
-  const DB_NAME = "NeuMemoDB";
-  const STORE_NAME = "rejected_tabs";
-
-  function openAndEnsureStore() {
-    return new Promise((resolve, reject) => {
-      const req = indexedDB.open(DB_NAME);
-
-      req.onerror = (e) => reject(e.target.error);
-      req.onupgradeneeded = (e) => {
-        const db = e.target.result;
-        if (!db.objectStoreNames.contains(STORE_NAME)) {
-          db.createObjectStore(STORE_NAME, { keyPath: "url" });
-        }
-      };
-      req.onsuccess = (e) => {
-        const db = e.target.result;
-        if (db.objectStoreNames.contains(STORE_NAME)) {
-          return resolve(db);
+// Save AI-produced summaries (array of objects that contain at least tab_id).
+// Every write is journaled on `run` so the run can be undone later.
+// Structured page metadata stored on tab rows (see tabMetadataOf)
+const TAB_METADATA_FIELDS = ['keyPoints', 'entities', 'tags', 'contentType', 'language'];
+
+// `fingerprints` (url -> { contentHash, sketch, readingMinutes, coverage? }) holds the content fingerprints to store
+// with pages whose summary was (re)made from freshly captured content, and how much of the page
+// that summary covers. A result flagged coverage 'partial' (truncated in the prompt) overrides it.
+// New pages classified below the review threshold go to the review queue instead of a session.
+async function saveAISummaries(aiResults, tabTitles, run, fingerprints = new Map(), pages = new Map()) {
+  const { SESSIONS, TABS, MEMBERSHIPS, ARCHIVED, REVIEW_QUEUE } = STORES;
+  const reviewThreshold = await getSetting(SETTING_KEYS.REVIEW_THRESHOLD, config.review.confidenceThreshold)
+    .catch(() => config.review.confidenceThreshold);
+
+  // 1) Build a set of VALID URLs from AI results for reconciliation (only those we have titles for)
+  const urlsFromAI = new Set(
+    aiResults
+      .map(r => r.tab_id)
+      .filter(u => typeof u === 'string' && !!u && tabTitles && Object.prototype.hasOwnProperty.call(tabTitles, u))
+  );
+
+  // 2) Move tabs not present in the AI output to the archive (non-destructive reconcile).
+  // A failed or truncated AI call must never wipe history, so nothing is deleted here;
+  // archived rows can be restored from the viewer until the retention policy purges them.
+  await runTransaction([TABS, MEMBERSHIPS, ARCHIVED], "readwrite", (tx) => {
+    const store = tx.objectStore(TABS);
+    const membershipStore = tx.objectStore(MEMBERSHIPS);
+    const archivedStore = tx.objectStore(ARCHIVED);
+    const archivedAt = new Date().toISOString();
+    store.getAll().onsuccess = (e) => {
+      const existing = e.target.result || [];
+      existing.forEach(tab => {
+        if (tab && tab.url && !urlsFromAI.has(tab.url)) {
+          membershipStore.index("url").getAll(tab.url).onsuccess = (ev) => {
+            const links = ev.target.result || [];
+            const sessionIds = links.map(m => m.sessionId);
+            archivedStore.add({ kind: 'tab', reason: 'missing_from_ai_output', archivedAt, sessionIds, data: tab }).onsuccess = (ev2) => {
+              run.changes.push({ store: ARCHIVED, key: ev2.target.result, before: null });
+            };
+            for (const m of links) {
+              membershipStore.delete([m.sessionId, m.url]);
+              run.changes.push({ store: MEMBERSHIPS, key: [m.sessionId, m.url], before: m });
+            }
+            store.delete(tab.url);
+            run.changes.push({ store: TABS, key: tab.url, before: tab });
+          };
         }
-        const newVersion = db.version + 1;
-        db.close();
-        const req2 = indexedDB.open(DB_NAME, newVersion);
-        req2.onerror = (ev) => reject(ev.target.error);
-        req2.onupgradeneeded = (ev) => {
-          const upgradeDb = ev.target.result;
-          if (!upgradeDb.objectStoreNames.contains(STORE_NAME)) {
-            upgradeDb.createObjectStore(STORE_NAME, { keyPath: "url" });
-          }
-        };
-        req2.onsuccess = (ev) => resolve(ev.target.result);
-      };
-    });
+      });
+    };
+  });
+
+  // 3) Cache session name->id; also cache id->name for validation
+  const sessions = {};
+  const sessionsById = new Map();
+  for (const sess of await getAllSessions()) {
+    sessions[sess.name] = sess.id;
+    sessionsById.set(sess.id, sess.name);
   }
 
-  return new Promise((resolve, reject) => {
-    openAndEnsureStore()
-      .then((db) => {
-        const tx = db.transaction(STORE_NAME, "readwrite");
-        const store = tx.objectStore(STORE_NAME);
-        try {
-          store.put({
-            url,
-            reason,
-            timestamp: new Date().toISOString(),
-          });
-        } catch (err) {
-          db.close();
-          return reject(err);
-        }
+  const getOrCreateSessionId = async (sessionName) => {
+    if (sessions[sessionName]) return sessions[sessionName];
+    const { id, created } = await getOrCreateSession(sessionName);
+    if (created) {
+      run.sessionsCreated.push({ id, name: sessionName });
+      run.changes.push({ store: SESSIONS, key: id, before: null });
+    }
+    sessions[sessionName] = id;
+    return id;
+  };
 
-        tx.oncomplete = () => {
-          db.close();
-          resolve();
-        };
-        tx.onerror = (ev) => {
-          db.close();
-          reject(ev.target ? ev.target.error : ev);
-        };
-      })
-      .catch((err) => reject(err));
-  });
-}
+  // Prefer session_id if provided and valid; otherwise resolve via session_name
+  const resolveSessionId = async (ref) => {
+    const providedId = (typeof ref?.session_id === 'number' || typeof ref?.session_id === 'string')
+      ? Number(ref.session_id)
+      : undefined;
+    if (typeof providedId === 'number' && Number.isFinite(providedId) && sessionsById.has(providedId)) {
+      return providedId;
+    }
+    return getOrCreateSessionId(ref?.session_name || "Uncategorized");
+  };
 
-// Save AI-produced summaries (array of objects that contain at least tab_id)
-async function saveAISummaries(aiResults, tabTitles) {
-  const DB_NAME = "NeuMemoDB";
-  const DB_VERSION = 6;
-  const SESSIONS_STORE = "sessions";
-  const TABS_STORE = "tabs";
-
-  const db = await new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
-    request.onerror = e => reject(e.target.error);
-    request.onsuccess = e => resolve(e.target.result);
-    // onupgradeneeded is handled in viewer.js, so it should be up-to-date
-  });
+  // Tab row for a result; results without metadata (history passed through) keep what `before` has
+  const tabRowFor = (url, result, before) => {
+    const fingerprint = fingerprints.get(url);
+    return {
+      url,
+      title: tabTitles[url] || "Untitled",
+      summary: result.summarized_content,
+      runId: run.id,
+      contentHash: fingerprint?.contentHash ?? before?.contentHash,
+      sketch: fingerprint?.sketch ?? before?.sketch,
+      coverage: result.coverage || fingerprint?.coverage || before?.coverage,
+      ...Object.fromEntries(TAB_METADATA_FIELDS.map(key => [key, result.metadata ? result.metadata[key] : before?.[key]])),
+      readingMinutes: fingerprint?.readingMinutes ?? before?.readingMinutes,
+      page: pages.get(url) ?? before?.page,
+    };
+  };
 
-  try {
-    // 1) Build a set of VALID URLs from AI results for reconciliation (only those we have titles for)
-    const urlsFromAI = new Set(
-      aiResults
-        .map(r => r.tab_id)
-        .filter(u => typeof u === 'string' && !!u && tabTitles && Object.prototype.hasOwnProperty.call(tabTitles, u))
-    );
+  // 4) Upsert tabs according to AI results with updated session mapping
+  const writtenTabs = [];
+  const reviewItems = [];
+  for (const result of aiResults) {
+    // Skip any AI rows that don't map to a known URL we provided
+    const url = (result && typeof result.tab_id === 'string') ? result.tab_id : '';
+    if (!url || !Object.prototype.hasOwnProperty.call(tabTitles, url)) {
+      continue;
+    }
+    // Final safety: never persist excluded domains
+    if (isUrlExcluded(url)) {
+      continue;
+    }
 
-    // 2) Remove tabs not present in the AI output (full reconcile)
-    await new Promise((resolve, reject) => {
-      const tx = db.transaction(TABS_STORE, "readwrite");
-      const store = tx.objectStore(TABS_STORE);
-      const getAllReq = store.getAll();
-      getAllReq.onerror = (e) => reject(e.target?.error || e);
-      getAllReq.onsuccess = (e) => {
-        const existing = e.target.result || [];
-        existing.forEach(tab => {
-          if (tab && tab.url && !urlsFromAI.has(tab.url)) {
-            store.delete(tab.url);
-          }
-        });
-      };
-      tx.oncomplete = () => resolve();
-      tx.onerror = (e) => reject(e.target?.error || e);
-    });
+    // An unsure classification of a new page waits for the user instead of creating or filling a session
+    const confidence = Number(result.confidence);
+    if (Number.isFinite(confidence) && confidence < reviewThreshold && !(await getTab(url))) {
+      const knownId = (ref) => (sessionsById.has(Number(ref?.session_id)) ? Number(ref.session_id) : undefined);
+      reviewItems.push({
+        url,
+        status: 'pending',
+        tab: tabRowFor(url, result),
+        suggestion: { sessionId: knownId(result), sessionName: result.session_name || "Uncategorized" },
+        additionalSessionIds: (Array.isArray(result.additional_sessions) ? result.additional_sessions : [])
+          .map(knownId)
+          .filter(id => id !== undefined),
+        confidence: Math.max(0, Math.min(1, confidence)),
+        reason: typeof result.reason === 'string' ? result.reason : '',
+        runId: run.id,
+        createdAt: new Date().toISOString(),
+      });
+      continue;
+    }
 
-  // 3) Ensure sessions exist and cache name->id; also cache id->name for validation
-  const sessions = {};
-  const sessionsById = new Map();
-    // Load existing sessions using a dedicated readonly transaction
-    await new Promise((resolve, reject) => {
-      const tx = db.transaction(SESSIONS_STORE, "readonly");
-      const store = tx.objectStore(SESSIONS_STORE);
-      const idx = store.index("name");
-      idx.openCursor().onsuccess = (event) => {
-        const cursor = event.target.result;
-        if (cursor) {
-          sessions[cursor.value.name] = cursor.value.id;
-          sessionsById.set(cursor.value.id, cursor.value.name);
-          cursor.continue();
-        }
-      };
-      tx.oncomplete = () => resolve();
-      tx.onerror = (e) => reject(e.target?.error || e);
-    });
+    // Primary session plus any additional ones; memberships are only ever added here
+    const sessionIds = [];
+    for (const ref of [result, ...(Array.isArray(result.additional_sessions) ? result.additional_sessions : [])]) {
+      const id = await resolveSessionId(ref);
+      if (!sessionIds.includes(id)) sessionIds.push(id);
+    }
 
-    // Helper to get or create a session id safely with its own transaction
-    const getOrCreateSessionId = async (sessionName) => {
-      if (sessions[sessionName]) return sessions[sessionName];
-      // Check again via readonly in case of concurrent writers
-      const existingId = await new Promise((resolve, reject) => {
-        const tx = db.transaction(SESSIONS_STORE, "readonly");
-        const store = tx.objectStore(SESSIONS_STORE);
-        const idx = store.index("name");
-        const req = idx.get(sessionName);
-        req.onsuccess = (e) => resolve(e.target.result ? e.target.result.id : undefined);
-        req.onerror = (e) => reject(e.target?.error || e);
-      });
-      if (existingId) {
-        sessions[sessionName] = existingId;
-        return existingId;
-      }
-      // Create new session in its own write transaction
-      const createdId = await new Promise((resolve, reject) => {
-        const tx = db.transaction(SESSIONS_STORE, "readwrite");
-        const store = tx.objectStore(SESSIONS_STORE);
-        const addReq = store.add({ name: sessionName });
-        addReq.onsuccess = (e) => resolve(e.target.result);
-        addReq.onerror = (e) => {
-          const err = e.target?.error;
-          if (err && err.name === 'ConstraintError') {
-            // Another writer added it; fetch it
-            tx.abort();
-          } else {
-            reject(err || e);
+    await runTransaction([TABS, MEMBERSHIPS], "readwrite", (tx) => {
+      const tabStore = tx.objectStore(TABS);
+      const membershipStore = tx.objectStore(MEMBERSHIPS);
+      const now = new Date().toISOString();
+      membershipStore.index("url").getAll(url).onsuccess = (e) => {
+        const currentIds = (e.target.result || []).map(m => m.sessionId);
+        const addedIds = sessionIds.filter(id => !currentIds.includes(id));
+        tabStore.get(url).onsuccess = (ev) => {
+          const before = ev.target.result;
+          const row = tabRowFor(url, result, before);
+          // Leave unchanged rows alone so they keep pointing at the run that last touched them
+          if (before && addedIds.length === 0 && before.title === row.title && before.summary === row.summary
+            && (!fingerprints.has(url) || before.contentHash === row.contentHash)
+            && before.readingMinutes === row.readingMinutes
+            && TAB_METADATA_FIELDS.every(key => JSON.stringify(before[key]) === JSON.stringify(row[key]))) {
+            return;
           }
-        };
-        tx.onabort = async () => {
-          try {
-            const id = await new Promise((resolve2, reject2) => {
-              const tx2 = db.transaction(SESSIONS_STORE, "readonly");
-              const store2 = tx2.objectStore(SESSIONS_STORE);
-              const idx2 = store2.index("name");
-              const req2 = idx2.get(sessionName);
-              req2.onsuccess = (ev) => resolve2(ev.target.result ? ev.target.result.id : undefined);
-              req2.onerror = (ev) => reject2(ev.target?.error || ev);
-            });
-            resolve(id);
-          } catch (fetchErr) {
-            reject(fetchErr);
+          tabStore.put({ ...row, timestamp: now });
+          writtenTabs.push({ url, title: row.title, summary: row.summary, tags: row.tags, entities: row.entities });
+          run.changes.push({ store: TABS, key: url, before: before || null });
+          for (const sessionId of addedIds) {
+            membershipStore.put({ sessionId, url, addedAt: now, runId: run.id });
+            run.changes.push({ store: MEMBERSHIPS, key: [sessionId, url], before: null });
+            if (before) {
+              run.reassigned.push({ url, fromSessionIds: currentIds, toSessionId: sessionId });
+            }
           }
         };
-      });
-      if (!createdId) throw new Error("Failed to resolve session id after creation attempt");
-      sessions[sessionName] = createdId;
-      return createdId;
-    };
-
-    // 4) Upsert tabs according to AI results with updated session mapping
-    for (const result of aiResults) {
-      // Prefer session_id if provided and valid; otherwise resolve via session_name
-      let sessionId;
-      const providedId = result && (typeof result.session_id === 'number' || typeof result.session_id === 'string')
-        ? Number(result.session_id)
-        : undefined;
-      if (typeof providedId === 'number' && Number.isFinite(providedId) && sessionsById.has(providedId)) {
-        sessionId = providedId;
-      } else {
-        const sessionName = result.session_name || "Uncategorized";
-        sessionId = await getOrCreateSessionId(sessionName);
-      }
+      };
+    });
+  }
 
-      // Skip any AI rows that don't map to a known URL we provided
-      const url = (result && typeof result.tab_id === 'string') ? result.tab_id : '';
-      if (!url || !Object.prototype.hasOwnProperty.call(tabTitles, url)) {
-        continue;
+  // Queue the unsure pages, replacing older pending entries for the same URLs. Pages filed by this
+  // run no longer need a review either.
+  const settledUrls = [...writtenTabs.map(t => t.url), ...reviewItems.map(item => item.url)];
+  if (settledUrls.length > 0) {
+    await runTransaction(REVIEW_QUEUE, "readwrite", (tx) => {
+      const queue = tx.objectStore(REVIEW_QUEUE);
+      for (const url of settledUrls) {
+        queue.index("url").getAll(url).onsuccess = (e) => {
+          for (const old of e.target.result || []) {
+            if (old.status !== 'pending') continue;
+            queue.delete(old.id);
+            run.changes.push({ store: REVIEW_QUEUE, key: old.id, before: old });
+          }
+        };
       }
-      // Final safety: never persist excluded domains
-      if (isUrlExcluded(url)) {
-        continue;
+      for (const item of reviewItems) {
+        queue.add(item).onsuccess = (e) => {
+          run.changes.push({ store: REVIEW_QUEUE, key: e.target.result, before: null });
+        };
       }
+    });
+    run.needsReview = reviewItems.map(item => ({ url: item.url, title: item.tab.title }));
+    if (reviewItems.length > 0) console.log(`🤔 Sent ${reviewItems.length} unsure tab(s) to Needs review.`);
+  }
 
-      await new Promise((resolve, reject) => {
-        const tabTx = db.transaction(TABS_STORE, "readwrite");
-        const tabStore = tabTx.objectStore(TABS_STORE);
-        const putReq = tabStore.put({
-          sessionId,
-          url,
-          title: tabTitles[url] || "Untitled",
-          summary: result.summarized_content,
-          timestamp: new Date().toISOString(),
-        });
-        putReq.onerror = (e) => reject(e.target?.error || e);
-        tabTx.oncomplete = () => resolve();
-        tabTx.onerror = (e) => reject(e.target?.error || e);
-      });
-    }
-
-    // 5) Remove empty sessions (no tabs referencing them)
-    await new Promise((resolve, reject) => {
-      const tx = db.transaction([SESSIONS_STORE, TABS_STORE], "readwrite");
-      const sessionStore2 = tx.objectStore(SESSIONS_STORE);
-      const tabStore2 = tx.objectStore(TABS_STORE);
-      const tabIndex = tabStore2.index("sessionId");
-
-      sessionStore2.getAll().onsuccess = (e) => {
-        const allSessions = e.target.result || [];
-        let pending = allSessions.length;
-        if (pending === 0) return; // nothing to clean
-        allSessions.forEach(sess => {
-          const req = tabIndex.get(sess.id);
-          req.onsuccess = (ev) => {
-            const anyTab = ev.target.result; // undefined if none
-            if (!anyTab) {
-              sessionStore2.delete(sess.id);
-            }
-            if (--pending === 0) {
-              // Wait for deletes to be queued; tx will complete
-            }
+  // Keep the search index in step with the rows just written; search re-indexes anything missed
+  await indexTabs(writtenTabs).catch(e => console.warn('Failed to update the search index:', e));
+  await indexTabsLexically(writtenTabs).catch(e => console.warn('Failed to update the lexical index:', e));
+
+  // 5) Archive empty sessions (no memberships referencing them)
+  await runTransaction([SESSIONS, MEMBERSHIPS, ARCHIVED], "readwrite", (tx) => {
+    const sessionStore = tx.objectStore(SESSIONS);
+    const tabIndex = tx.objectStore(MEMBERSHIPS).index("sessionId");
+    const archivedStore = tx.objectStore(ARCHIVED);
+    const archivedAt = new Date().toISOString();
+
+    sessionStore.getAll().onsuccess = (e) => {
+      const allSessions = e.target.result || [];
+      allSessions.forEach(sess => {
+        tabIndex.count(sess.id).onsuccess = (ev) => {
+          if (ev.target.result > 0) return;
+          archivedStore.add({ kind: 'session', reason: 'empty_after_reconcile', archivedAt, data: sess }).onsuccess = (ev2) => {
+            run.changes.push({ store: ARCHIVED, key: ev2.target.result, before: null });
           };
-          req.onerror = () => {
-            if (--pending === 0) {
-              // ignore errors silently here
-            }
-          };
-        });
-      };
-
-      tx.oncomplete = () => resolve();
-      tx.onerror = (e) => reject(e.target?.error || e);
-    });
+          sessionStore.delete(sess.id);
+          run.changes.push({ store: SESSIONS, key: sess.id, before: sess });
+        };
+      });
+    };
+  });
 
-  } finally {
-    db.close();
-  }
+  const purged = await purgeArchived(config.archive).catch(e => {
+    console.warn('Failed to purge archived rows:', e);
+    return 0;
+  });
+  if (purged > 0) console.log(`🧹 Purged ${purged} archived row(s) past retention.`);
 }
 
 // --- Google Search integration helpers ---
 async function handleGoogleSearchQuery(query) {
   try {
     if (!query || String(query).trim().length === 0) return { found: false };
-    const historyTabs = await fetchHistoricalTabsFromDB();
-    if (!Array.isArray(historyTabs) || historyTabs.length === 0) return { found: false };
 
     // Use our search function over historical summaries
-    const results = await searchRelevantTabs(historyTabs, query, 3);
-    if (!results || results.length === 0) return { found: false };
-
-    // Map URL -> sessionId/Name
-    const byUrl = new Map(historyTabs.filter(t => t?.url).map(t => [t.url, t]));
+    // BM25 scores are relative to the best hit, so the thresholds below only hold for AI-ranked results
+    const results = (await semanticSearch(query, 3)).filter(r => r.rankedBy === 'ai');
+    if (results.length === 0) return { found: false };
+
+    // Look up the sessions of the hits only; the cost stays flat as history grows
+    const rows = await getTabs(results.map(r => r.url));
+    const sessionNames = new Map(); // sessionId -> name
+    const sessionsOf = async (url) => {
+      const tabSessions = [];
+      for (const id of await getSessionIdsForTab(url)) {
+        if (!sessionNames.has(id)) {
+          const session = await getSession(id);
+          sessionNames.set(id, session ? session.name || 'Uncategorized' : null);
+        }
+        if (sessionNames.get(id)) tabSessions.push({ id, name: sessionNames.get(id) });
+      }
+      return tabSessions.length ? tabSessions : [{ id: -1, name: 'Uncategorized' }];
+    };
 
-    // Aggregate by session with score
+    // Aggregate by session with score; a page counts towards every session it belongs to
     const agg = new Map(); // sessionId -> { name, id, total, count, max }
-    for (const r of results) {
-      const meta = byUrl.get(r.url);
-      if (!meta) continue;
-      const sid = typeof meta.sessionId === 'number' ? meta.sessionId : -1;
-      const sname = meta.sessionName || 'Uncategorized';
-      const prev = agg.get(sid) || { id: sid, name: sname, total: 0, count: 0, max: 0 };
-      prev.total += Number(r.score || 0);
-      prev.count += 1;
-      prev.max = Math.max(prev.max, Number(r.score || 0));
-      agg.set(sid, prev);
+    for (const [i, r] of results.entries()) {
+      if (!rows[i]) continue;
+      for (const { id: sid, name: sname } of await sessionsOf(r.url)) {
+        const prev = agg.get(sid) || { id: sid, name: sname, total: 0, count: 0, max: 0 };
+        prev.total += Number(r.score || 0);
+        prev.count += 1;
+        prev.max = Math.max(prev.max, Number(r.score || 0));
+        agg.set(sid, prev);
+      }
     }
     if (agg.size === 0) return { found: false };
 
@@ -788,32 +1270,9 @@ async function handleGoogleSearchQuery(query) {
 }
 
 async function openSessionInNewWindow(sessionId) {
-  const DB_NAME = "NeuMemoDB";
-  const DB_VERSION = 6;
-  const TABS_STORE = "tabs";
-
-  const db = await new Promise((resolve, reject) => {
-    const req = indexedDB.open(DB_NAME, DB_VERSION);
-    req.onerror = (e) => reject(e.target?.error || e);
-    req.onsuccess = (e) => resolve(e.target.result);
-  });
-
-  try {
-    const urls = await new Promise((resolve, reject) => {
-      const tx = db.transaction(TABS_STORE, 'readonly');
-      const store = tx.objectStore(TABS_STORE);
-      const idx = store.index('sessionId');
-      const req = idx.getAll(sessionId);
-      req.onerror = (e) => reject(e.target?.error || e);
-      req.onsuccess = (e) => {
-        const rows = e.target.result || [];
-        resolve(rows.map(r => r.url).filter(Boolean));
-      };
-    });
-    if (urls.length > 0) {
-      await chrome.windows.create({ url: urls });
-    }
-  } finally {
-    try { db.close(); } catch {}
+  const tabs = await getTabsBySession(sessionId);
+  const urls = tabs.map(r => r.url).filter(Boolean);
+  if (urls.length > 0) {
+    await chrome.windows.create({ url: urls });
   }
-}
\ No newline at end of file
+}
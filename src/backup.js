@@ -0,0 +1,232 @@
+// Export/import of NeuMemoDB contents as a versioned JSON document, so sessions can move
+// between machines and browser profiles. Imports merge into the existing database.
+
+import {
+  STORES,
+  runTransaction,
+  getAllSessions,
+  getSession,
+  getAllTabs,
+  getAllMemberships,
+  getExcludedDomains,
+  uniqueSessionName,
+} from './db.js';
+
+export const EXPORT_FORMAT = "neumemo-export";
+export const EXPORT_VERSION = 2;
+
+/**
+ * Version 1 files only had {id, name} sessions and {url, title, summary, timestamp} tabs; version 2
+ * carries the full rows (synopses, page details and metadata, fingerprints, ...).
+ * @typedef {Object} ExportDocument
+ * @property {string} format - Always EXPORT_FORMAT
+ * @property {number} version - Bumped whenever the shape below changes
+ * @property {string} exportedAt
+ * @property {import('./db.js').Session[]} sessions
+ * @property {Array<Omit<import('./db.js').TabRecord, 'runId'>>} tabs
+ * @property {Array<{sessionId: number, url: string, addedAt: string}>} memberships - sessionId refers to `sessions[].id`
+ * @property {string[]} excludedDomains
+ */
+
+/**
+ * How an import resolves a session name or URL that already exists locally:
+ * - 'newer': merge into the existing session; a URL takes whichever row has the later timestamp
+ * - 'both':  import the session under a new unique name; a URL keeps the local row and also joins the imported sessions
+ * - 'skip':  leave the local session/row untouched and drop the imported session; an existing URL
+ *            keeps its local row but still joins the imported sessions that are created
+ * @typedef {'newer'|'both'|'skip'} ConflictStrategy
+ */
+export const CONFLICT_STRATEGIES = ["newer", "both", "skip"];
+
+/**
+ * Builds an export document of the whole database, or of a single session when `sessionId` is given.
+ * @param {{sessionId?: number}} [options]
+ * @returns {Promise<ExportDocument>}
+ */
+export async function exportData({ sessionId } = {}) {
+  const [allSessions, allTabs, allMemberships, excludedDomains] = await Promise.all([
+    typeof sessionId === "number" ? getSession(sessionId).then((s) => (s ? [s] : [])) : getAllSessions(),
+    getAllTabs(),
+    getAllMemberships(),
+    getExcludedDomains(),
+  ]);
+  if (typeof sessionId === "number" && allSessions.length === 0) {
+    throw new Error(`Session ${sessionId} does not exist.`);
+  }
+
+  const sessionIds = new Set(allSessions.map((s) => s.id));
+  const memberships = allMemberships
+    .filter((m) => sessionIds.has(m.sessionId))
+    .map(({ sessionId, url, addedAt }) => ({ sessionId, url, addedAt }));
+  const urls = new Set(memberships.map((m) => m.url));
+
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    sessions: allSessions,
+    // runId points into this database's run journal, which is not exported
+    tabs: allTabs
+      .filter((t) => urls.has(t.url))
+      .map(({ runId, ...tab }) => tab),
+    memberships,
+    excludedDomains,
+  };
+}
+
+// Throws unless `data` is an export document this build understands
+function validateExport(data) {
+  if (!data || typeof data !== "object" || data.format !== EXPORT_FORMAT) {
+    throw new Error("This file is not a Nemo export.");
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    throw new Error("The export file has no valid version.");
+  }
+  if (data.version > EXPORT_VERSION) {
+    throw new Error(`The export was made by a newer version of Nemo (format v${data.version}); please update the extension.`);
+  }
+  for (const key of ["sessions", "tabs", "memberships"]) {
+    if (!Array.isArray(data[key])) throw new Error(`The export file is missing "${key}".`);
+  }
+}
+
+// Tab row to write for an imported tab. Version 1 files only had the four base fields.
+function readTab(tab, version) {
+  const base = {
+    url: tab.url,
+    title: tab.title || "Untitled",
+    summary: tab.summary || "",
+    timestamp: tab.timestamp || new Date().toISOString(),
+  };
+  if (version < 2) return base;
+  const { runId, ...fields } = tab;
+  return { ...fields, ...base };
+}
+
+// Fields of an imported session row besides its id and name (none in version 1 files)
+function readSessionFields(session, version) {
+  if (version < 2) return {};
+  const { id, name, ...fields } = session;
+  return fields;
+}
+
+const timeOf = (iso) => {
+  const ms = Date.parse(iso);
+  return Number.isFinite(ms) ? ms : 0;
+};
+
+/**
+ * Merges an export document into the database in a single transaction.
+ * @param {ExportDocument} data
+ * @param {{strategy?: ConflictStrategy}} [options]
+ * @returns {Promise<{sessionsCreated: number, sessionsMerged: number, sessionsSkipped: number,
+ *   tabsAdded: number, tabsUpdated: number, tabsSkipped: number, excludedDomainsAdded: number}>}
+ */
+export async function importData(data, { strategy = "newer" } = {}) {
+  validateExport(data);
+  if (!CONFLICT_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown conflict strategy "${strategy}".`);
+  }
+
+  const [localSessions, localTabs, localExcluded] = await Promise.all([
+    getAllSessions(),
+    getAllTabs(),
+    getExcludedDomains(),
+  ]);
+  const sessionsByName = new Map(localSessions.map((s) => [s.name, s]));
+  const takenNames = new Set(sessionsByName.keys());
+  const tabsByUrl = new Map(localTabs.map((t) => [t.url, t]));
+  const stats = {
+    sessionsCreated: 0,
+    sessionsMerged: 0,
+    sessionsSkipped: 0,
+    tabsAdded: 0,
+    tabsUpdated: 0,
+    tabsSkipped: 0,
+    excludedDomainsAdded: 0,
+  };
+
+  // Decide where each imported session goes: a new session, an existing one, or nowhere
+  const sessionPlans = [];
+  for (const session of data.sessions) {
+    if (!session || typeof session.name !== "string" || !session.name.trim()) continue;
+    const existing = sessionsByName.get(session.name);
+    if (!existing) {
+      takenNames.add(session.name);
+      sessionPlans.push({ importedId: session.id, create: session.name, fields: readSessionFields(session, data.version) });
+      stats.sessionsCreated++;
+    } else if (strategy === "newer") {
+      sessionPlans.push({ importedId: session.id, localId: existing.id });
+      stats.sessionsMerged++;
+    } else if (strategy === "both") {
+      const name = uniqueSessionName(session.name, takenNames);
+      takenNames.add(name);
+      sessionPlans.push({ importedId: session.id, create: name, fields: readSessionFields(session, data.version) });
+      stats.sessionsCreated++;
+    } else {
+      stats.sessionsSkipped++;
+    }
+  }
+
+  // Memberships of the sessions being imported. Pages that exist locally join them too; 'skip'
+  // only keeps the local tab row as it is (see below).
+  const importedTabs = new Map(
+    data.tabs.filter((t) => t && typeof t.url === "string" && t.url).map((t) => [t.url, t])
+  );
+  const plannedIds = new Set(sessionPlans.map((p) => p.importedId));
+  const membershipsBySession = new Map();
+  const keptUrls = new Set();
+  for (const m of data.memberships) {
+    if (!m || !plannedIds.has(m.sessionId) || typeof m.url !== "string") continue;
+    if (!importedTabs.has(m.url) && !tabsByUrl.has(m.url)) continue;
+    if (!membershipsBySession.has(m.sessionId)) membershipsBySession.set(m.sessionId, []);
+    membershipsBySession.get(m.sessionId).push(m);
+    keptUrls.add(m.url);
+  }
+
+  // Decide what happens to each page that is still referenced: add it, update it, or keep the local row
+  const tabWrites = [];
+  for (const [url, tab] of importedTabs) {
+    const local = tabsByUrl.get(url);
+    const row = readTab(tab, data.version);
+    if (!local) {
+      if (!keptUrls.has(url)) continue;
+      tabWrites.push(row);
+      stats.tabsAdded++;
+    } else if (strategy === "newer" && timeOf(row.timestamp) > timeOf(local.timestamp)) {
+      tabWrites.push({ ...local, ...row });
+      stats.tabsUpdated++;
+    } else {
+      stats.tabsSkipped++;
+    }
+  }
+
+  const excludedDomains = (Array.isArray(data.excludedDomains) ? data.excludedDomains : [])
+    .filter((d) => typeof d === "string" && d && !localExcluded.includes(d));
+  stats.excludedDomainsAdded = new Set(excludedDomains).size;
+
+  const { SESSIONS, TABS, MEMBERSHIPS, EXCLUDED_URLS } = STORES;
+  await runTransaction([SESSIONS, TABS, MEMBERSHIPS, EXCLUDED_URLS], "readwrite", (tx) => {
+    const membershipStore = tx.objectStore(MEMBERSHIPS);
+    const now = new Date().toISOString();
+    const addMemberships = (sessionId, importedId) => {
+      for (const m of membershipsBySession.get(importedId) || []) {
+        membershipStore.put({ sessionId, url: m.url, addedAt: m.addedAt || now });
+      }
+    };
+
+    for (const row of tabWrites) tx.objectStore(TABS).put(row);
+    for (const plan of sessionPlans) {
+      if (plan.create) {
+        tx.objectStore(SESSIONS).add({ ...plan.fields, name: plan.create }).onsuccess = (event) => {
+          addMemberships(event.target.result, plan.importedId);
+        };
+      } else {
+        addMemberships(plan.localId, plan.importedId);
+      }
+    }
+    for (const domain of excludedDomains) tx.objectStore(EXCLUDED_URLS).put({ domain });
+  });
+
+  return stats;
+}
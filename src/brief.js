@@ -0,0 +1,151 @@
+// Renders a session as a shareable research brief: Markdown for wikis, or a single
+// self-contained HTML file (inline styles, no scripts or external assets) for people
+// who don't have the extension.
+
+import { getSession, getTabsBySession, getAllMemberships } from './db.js';
+
+/**
+ * @typedef {Object} BriefTab
+ * @property {string} url
+ * @property {string} title
+ * @property {string} summary
+ * @property {string} [capturedAt] - When the page was added to the session (falls back to its last save)
+ * @property {string} [updatedAt] - Last time the page's summary was saved
+ */
+
+/**
+ * @typedef {Object} Brief
+ * @property {string} name
+ * @property {import('./db.js').SessionSynopsis|null} synopsis
+ * @property {BriefTab[]} tabs
+ */
+
+/**
+ * Loads a session, its synopsis (if one was generated) and its tabs in the shape the renderers
+ * expect, oldest capture first.
+ * @param {number} sessionId
+ * @returns {Promise<Brief>}
+ */
+export async function loadBrief(sessionId) {
+  const [session, tabs, memberships] = await Promise.all([
+    getSession(sessionId),
+    getTabsBySession(sessionId),
+    getAllMemberships(),
+  ]);
+  if (!session) throw new Error(`Session ${sessionId} does not exist.`);
+  const addedAt = new Map(memberships.filter((m) => m.sessionId === sessionId).map((m) => [m.url, m.addedAt]));
+  const briefTabs = tabs.map((t) => ({
+    url: t.url,
+    title: t.title || t.url,
+    summary: t.summary || "",
+    capturedAt: addedAt.get(t.url) || t.timestamp,
+    updatedAt: t.timestamp,
+  }));
+  briefTabs.sort((a, b) => String(a.capturedAt || "").localeCompare(String(b.capturedAt || "")));
+  return { name: session.name, synopsis: session.synopsis || null, tabs: briefTabs };
+}
+
+const formatTime = (iso) => {
+  const date = iso ? new Date(iso) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toLocaleString() : "unknown";
+};
+
+// "Captured …" plus "updated …" when the summary was refreshed after capture
+function timestampLine(tab) {
+  const captured = `Captured ${formatTime(tab.capturedAt)}`;
+  return tab.updatedAt && tab.updatedAt !== tab.capturedAt ? `${captured} · updated ${formatTime(tab.updatedAt)}` : captured;
+}
+
+const escapeMarkdown = (text) => String(text).replace(/([\\`*_[\]<>#|])/g, "\\$1");
+
+// Parentheses and spaces would end a Markdown link destination early
+const markdownUrl = (url) => String(url).replace(/[()\s]/g, (c) => encodeURIComponent(c));
+
+/**
+ * @param {Brief} brief
+ * @returns {string}
+ */
+export function briefToMarkdown({ name, synopsis, tabs }) {
+  const lines = [
+    `# ${escapeMarkdown(name)}`,
+    "",
+    `_${tabs.length} tab${tabs.length === 1 ? "" : "s"} · exported from Nemo on ${formatTime(new Date().toISOString())}_`,
+  ];
+  if (synopsis) {
+    lines.push("", "## Synopsis", "", escapeMarkdown(synopsis.about));
+    if (synopsis.openQuestions?.length) {
+      lines.push("", "**Open questions**", "", ...synopsis.openQuestions.map((q) => `- ${escapeMarkdown(q)}`));
+    }
+    if (synopsis.relations) lines.push("", escapeMarkdown(synopsis.relations));
+  }
+  for (const tab of tabs) {
+    lines.push("", `## [${escapeMarkdown(tab.title)}](${markdownUrl(tab.url)})`, "", `_${timestampLine(tab)}_`);
+    if (tab.summary) lines.push("", escapeMarkdown(tab.summary.trim()));
+  }
+  return lines.join("\n") + "\n";
+}
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, "&amp;")
+  .replace(/</g, "&lt;")
+  .replace(/>/g, "&gt;")
+  .replace(/"/g, "&quot;")
+  .replace(/'/g, "&#39;");
+
+// Only web links are rendered as clickable hrefs
+const safeHref = (url) => (/^https?:\/\//i.test(url) ? escapeHtml(url) : "#");
+
+const BRIEF_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 760px; margin: 40px auto; padding: 0 20px; color: #222; line-height: 1.55; }
+  h1 { margin-bottom: 4px; }
+  .meta { color: #777; font-size: 0.9em; }
+  article { border-top: 1px solid #e5e5e5; padding: 16px 0; }
+  article h2 { font-size: 1.1em; margin: 0 0 4px; }
+  article h2 a { color: #1a5fb4; text-decoration: none; }
+  article h2 a:hover { text-decoration: underline; }
+  .url { color: #2a7a2a; font-size: 0.85em; word-break: break-all; }
+  .summary { white-space: pre-wrap; margin: 8px 0 0; }
+  .synopsis { background: #f5f8fb; border-left: 4px solid #1a5fb4; padding: 8px 16px; margin: 16px 0; }
+  .synopsis h2 { font-size: 1.1em; margin: 8px 0; }
+  .synopsis h3 { font-size: 1em; margin: 8px 0 4px; }
+`;
+
+/**
+ * @param {Brief} brief
+ * @returns {string} A complete HTML document
+ */
+export function briefToHtml({ name, synopsis, tabs }) {
+  const synopsisSection = synopsis ? `
+  <section class="synopsis">
+    <h2>Synopsis</h2>
+    <p>${escapeHtml(synopsis.about)}</p>
+    ${synopsis.openQuestions?.length ? `<h3>Open questions</h3>
+    <ul>${synopsis.openQuestions.map((q) => `<li>${escapeHtml(q)}</li>`).join("")}</ul>` : ""}
+    ${synopsis.relations ? `<p>${escapeHtml(synopsis.relations)}</p>` : ""}
+  </section>` : "";
+
+  const articles = tabs.map((tab) => `
+  <article>
+    <h2><a href="${safeHref(tab.url)}">${escapeHtml(tab.title)}</a></h2>
+    <div class="url">${escapeHtml(tab.url)}</div>
+    <div class="meta">${escapeHtml(timestampLine(tab))}</div>
+    ${tab.summary ? `<p class="summary">${escapeHtml(tab.summary.trim())}</p>` : ""}
+  </article>`).join("");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(name)}</title>
+<style>${BRIEF_STYLES}</style>
+</head>
+<body>
+  <h1>${escapeHtml(name)}</h1>
+  <div class="meta">${tabs.length} tab${tabs.length === 1 ? "" : "s"} · exported from Nemo on ${escapeHtml(formatTime(new Date().toISOString()))}</div>
+${synopsisSection}
+${articles}
+</body>
+</html>
+`;
+}
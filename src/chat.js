@@ -0,0 +1,86 @@
+// Chat with saved tabs: questions about one session (or all of them) are answered from the
+// stored summaries only, with the pages used cited. Sources are picked by the search pipeline
+// of embeddings.js. Conversations are saved per scope. Runs in the background service worker.
+
+import { config } from './config.js';
+import { getTabs, getTabsBySession, getSession, getConversation, putConversation } from './db.js';
+import { semanticSearch } from './embeddings.js';
+import { answerFromTabs } from './firebase_ai.js';
+
+// Scope of the conversation across every session
+export const ALL_SESSIONS_SCOPE = "all";
+
+// scope + normalized question -> pending answer, so a double-click doesn't ask (and save) the
+// same thing twice
+const pending = new Map();
+// scope -> last question asked in it. Questions in one scope are answered one after another, so
+// each sees the answers before it and saves on top of them.
+const queues = new Map();
+
+/**
+ * Answers a question in the given scope and appends both messages to its saved conversation.
+ * A question asked while another one in the scope is pending is answered after it.
+ * @param {number|'all'} scope - A session id, or ALL_SESSIONS_SCOPE
+ * @param {string} question
+ * @returns {Promise<import('./db.js').Conversation>} The updated conversation
+ */
+export function askChat(scope, question) {
+  const text = String(question || "").trim();
+  const key = `${scope}\n${text.toLowerCase().replace(/\s+/g, " ")}`;
+  if (pending.has(key)) return pending.get(key);
+  const run = (queues.get(scope) || Promise.resolve())
+    .catch(() => {})
+    .then(() => answerQuestion(scope, text));
+  pending.set(key, run);
+  queues.set(scope, run);
+  run
+    .finally(() => {
+      pending.delete(key);
+      if (queues.get(scope) === run) queues.delete(scope);
+    })
+    .catch(() => {});
+  return run;
+}
+
+async function answerQuestion(scope, text) {
+  if (!text) throw new Error("The question is empty.");
+  let urls;
+  if (scope !== ALL_SESSIONS_SCOPE) {
+    if (!(await getSession(scope))) throw new Error(`Session ${scope} does not exist.`);
+    urls = new Set((await getTabsBySession(scope)).map((t) => t.url));
+  }
+
+  const conversation = (await getConversation(scope)) || { scope, messages: [] };
+  const history = conversation.messages.slice(-config.chat.historyTurns);
+  // A follow-up ("and the second one?") rarely names its subject; the previous question does
+  const previous = [...history].reverse().find((m) => m.role === "user");
+  const retrievalQuery = previous ? `${previous.text}\n${text}` : text;
+
+  const hits = urls?.size === 0 ? [] : await semanticSearch(retrievalQuery, config.chat.contextTabs, { urls });
+  const sources = (await getTabs(hits.map((hit) => hit.url)))
+    .filter(Boolean)
+    .map(({ url, title, summary, keyPoints }) => ({ url, title, summary, keyPoints }));
+
+  console.log(`💬 Answering from ${sources.length} source(s) in scope "${scope}".`);
+  let reply;
+  if (sources.length === 0) {
+    reply = { answer: "None of the saved pages in this scope match the question.", citations: [] };
+  } else {
+    reply = await answerFromTabs(text, history.map(({ role, text }) => ({ role, text })), sources);
+  }
+
+  const now = new Date().toISOString();
+  const titles = new Map(sources.map((s) => [s.url, s.title]));
+  conversation.messages.push(
+    { role: "user", text, createdAt: now },
+    {
+      role: "assistant",
+      text: reply.answer,
+      citations: reply.citations.map((url) => ({ url, title: titles.get(url) || url })),
+      createdAt: now,
+    },
+  );
+  conversation.updatedAt = now;
+  await putConversation(conversation);
+  return conversation;
+}
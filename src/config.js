@@ -16,18 +16,101 @@ export const config = {
     batchSize: 3,        // tabs per request
     concurrency: 10,     // concurrent requests to the lite model
     rpm: 15,             // requests per minute rate cap
-    perTabMaxTokens: 1000
+    perTabMaxTokens: 1000,
+    // Longer pages are summarized per section and the section summaries combined
+    sectionMaxTokens: 1500,  // tokens per section
+    maxSections: 8,          // sections summarized per page; beyond that the summary is partial
+    sectionSummaryWords: 120
   },
 
   // Full summarization and grouping
   summarize: {
-    maxTokens: 200000    // overall prompt token cap for summarizeTabs
+    maxTokens: 200000,    // prompt token cap per classification batch
+    maxTabsPerBatch: 40,  // also bounds the output: each tab gets a summary of up to ~500 words
+    catalogShare: 0.25    // share of maxTokens the session catalog may take in each batch
   },
 
   // Search / retrieval settings
   search: {
     batchSize: 10,
     concurrency: 4,
-    perTabMaxTokens: 200
+    perTabMaxTokens: 200,
+    rerankCandidates: 10,  // pages passed to the LLM to re-rank (fused from the BM25 and embedding rankings)
+    embedBatchSize: 32,    // texts per embedding request when (re)indexing
+    embeddingDimensions: 768, // vector size requested from the Gemini embedding model
+    embeddingRetryMinutes: 60, // after the embeddings endpoint fails, use hashed vectors this long
+    lexicalCandidates: 30, // BM25 hits considered for the re-rank, and kept as the offline fallback
+    bm25: { k1: 1.2, b: 0.75 }
+  },
+
+  // AI synopsis shown at the top of each session
+  synopsis: {
+    maxTabs: 60,          // page summaries sent per synopsis request
+    perTabMaxTokens: 150  // summary tokens per page in that request
+  },
+
+  // "Tidy sessions": merge, split and rename proposals over the session catalog
+  tidy: {
+    maxTokens: 60000,    // input token cap for the session catalog
+    tabsPerSession: 20   // tab titles listed per session
+  },
+
+  // Chat with saved tabs
+  chat: {
+    contextTabs: 6,           // tabs retrieved (via the search pipeline) as sources per question
+    perSourceMaxTokens: 400,  // summary tokens per source
+    historyTurns: 6           // earlier messages sent along for follow-up questions
+  },
+
+  // Content fingerprints of captured pages
+  summaryCache: {
+    changeThreshold: 0.3, // re-summarize a known URL once this share of its content (3-word shingles) changed
+    maxEntries: 5000,     // lite summaries kept by content hash, for identical content under other URLs
+    wordsPerMinute: 230   // for the reading time stored with each page
+  },
+
+  // PDF tabs (Chrome's viewer or .pdf URLs), whose text is extracted in the background
+  pdf: {
+    fetchTimeoutMs: 30000,           // download timeout per PDF
+    maxBytes: 50 * 1024 * 1024,      // larger files are rejected as too_large
+    maxPages: 300                    // pages past this are left out (the text notes it)
+  },
+
+  // Imported URLs (bookmarks, OneTab) waiting in the capture queue
+  importQueue: {
+    concurrency: 4,        // parallel page fetches
+    fetchTimeoutMs: 15000, // per-page fetch timeout
+    maxPerRun: 100         // queued URLs taken per run; the rest wait for the next one
+  },
+
+  // Defaults for the OpenAI-compatible AI provider (chosen on the options page)
+  localAI: {
+    baseUrl: "http://localhost:11434/v1", // Ollama; llama.cpp server uses http://localhost:8080/v1
+    model: "llama3.1:8b",                 // used for every task unless overridden per task
+    embeddingModel: "nomic-embed-text",   // for the search index; served from /embeddings
+    requestTimeoutMs: 300000              // local models can be slow on large prompts
+  },
+
+  // Trash for sessions/tabs deleted in the viewer
+  trash: {
+    retentionDays: 30    // default; users can change it on the options page
+  },
+
+  // Manual corrections (moves, renames, new sessions) fed back into classification
+  corrections: {
+    maxEntries: 1000,   // oldest corrections are dropped beyond this
+    maxTokens: 3000,    // prompt budget for session notes and examples
+    maxExamples: 40     // labelled example pages considered per run
+  },
+
+  // "Needs review" inbox for classifications the model is unsure about
+  review: {
+    confidenceThreshold: 0.6  // default; new tabs classified below this wait for review (options page)
+  },
+
+  // Archive of tabs/sessions dropped during reconciliation
+  archive: {
+    retentionDays: 30,   // archived rows older than this are purged
+    maxEntries: 2000     // hard cap; oldest rows are purged first
   }
 };
@@ -9,10 +9,24 @@ if (window.__NEMO_CONTENT_INIT__) {
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.type === 'GET_CONTENT') {
     console.log("→ Received 'GET_CONTENT', sending back page content.");
-    sendResponse({
-      title: document.title,
-      url: window.location.href,
-      content: document.body?.innerText || ''
+    extractPageContent().then(extracted => {
+      sendResponse({
+        title: extracted.title || document.title,
+        url: window.location.href,
+        content: extracted.content,
+        extraction: extracted.extraction,
+        page: { ...collectPageMetadata(), ...extracted.page }
+      });
+    }).catch(e => {
+      // Never leave the background waiting for its timeout: send the plain page text instead
+      console.warn('Page extraction failed; sending the whole page text.', e);
+      sendResponse({
+        title: document.title,
+        url: window.location.href,
+        content: document.body?.innerText || '',
+        extraction: { method: 'innerText', boilerplateChars: 0 },
+        page: {}
+      });
     });
     return true;
   }
@@ -95,7 +109,528 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 })();
 
-// --- 3) Side hint UI ---
+// Site-specific extractors first (video pages), then the main-content extractor, then innerText
+async function extractPageContent() {
+  try {
+    const video = await extractVideoPage();
+    if (video) return video;
+  } catch (e) {
+    console.warn('Video extraction failed; reading the page instead.', e);
+  }
+  try {
+    return extractMainContent();
+  } catch (e) {
+    console.warn('Main-content extraction failed; sending the whole page text.', e);
+    return { content: document.body?.innerText || '', extraction: { method: 'innerText', boilerplateChars: 0 } };
+  }
+}
+
+// --- 3) Main-content extraction ---
+// Readability-style scoring: every paragraph-like block adds to the score of its parent and (half)
+// grandparent, weighted by its length and commas; class/id names, tags and link density adjust the
+// scores. The best container plus its related siblings is rendered as text with Markdown-style
+// headings. When no container scores clearly (app UIs, index pages) the whole page text is used.
+
+const EXTRACT_MIN_CHARS = 500;   // less than this is not trusted as the main content
+const EXTRACT_MIN_SCORE = 20;
+const UNLIKELY_CANDIDATES = /banner|breadcrumb|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|modal|nav|newsletter|popup|promo|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|tags|toolbar|widget/i;
+const MAYBE_CANDIDATES = /and|article|body|column|content|main|shadow/i;
+const POSITIVE_NAMES = /article|body|content|entry|hentry|h-entry|main|page|pagination|post|text|blog|story/i;
+const NEGATIVE_NAMES = /-ad-|hidden|^hid$| hid$| hid |^hid |banner|combx|comment|com-|contact|cookie|footer|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|social|tags|tool|widget/i;
+const BOILERPLATE_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'IFRAME', 'OBJECT', 'BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'FORM', 'NAV', 'ASIDE', 'FOOTER', 'HEADER', 'DIALOG']);
+const BOILERPLATE_ROLES = /^(navigation|banner|contentinfo|complementary|dialog|alertdialog|search|menu|menubar)$/;
+const BLOCK_TAGS = new Set(['ADDRESS', 'ARTICLE', 'BLOCKQUOTE', 'DD', 'DIV', 'DL', 'DT', 'FIGCAPTION', 'FIGURE', 'HR', 'MAIN', 'OL', 'P', 'SECTION', 'TABLE', 'TBODY', 'THEAD', 'TFOOT', 'TR', 'UL', 'DETAILS', 'SUMMARY']);
+const SCORED_TAGS = 'p, pre, td, blockquote, li, dd';
+
+const namesOf = (el) => `${typeof el.className === 'string' ? el.className : ''} ${el.id || ''}`;
+
+function isHiddenElement(el) {
+  if (el.hidden || el.getAttribute('aria-hidden') === 'true') return true;
+  if (typeof el.checkVisibility === 'function' && !el.checkVisibility()) {
+    return getComputedStyle(el).display !== 'contents';
+  }
+  return false;
+}
+
+// Navigation, banners, forms, hidden and script-like elements that are never page content
+function isBoilerplate(el) {
+  const tag = el.tagName.toUpperCase();
+  // An article's own header holds its title and byline
+  if (tag === 'HEADER' && el.parentElement?.closest('article, main')) return false;
+  if (BOILERPLATE_TAGS.has(tag)) return true;
+  if (BOILERPLATE_ROLES.test(el.getAttribute('role') || '')) return true;
+  const names = namesOf(el);
+  if (UNLIKELY_CANDIDATES.test(names) && !MAYBE_CANDIDATES.test(names) && el.tagName !== 'BODY' && el.tagName !== 'MAIN' && el.tagName !== 'ARTICLE') {
+    return true;
+  }
+  return isHiddenElement(el);
+}
+
+function isInsideBoilerplate(el) {
+  for (let node = el; node && node !== document.body; node = node.parentElement) {
+    if (isBoilerplate(node)) return true;
+  }
+  return false;
+}
+
+function classWeight(el) {
+  const names = namesOf(el);
+  return (POSITIVE_NAMES.test(names) ? 25 : 0) - (NEGATIVE_NAMES.test(names) ? 25 : 0);
+}
+
+function tagWeight(el) {
+  switch (el.tagName) {
+    case 'ARTICLE': case 'MAIN': return 10;
+    case 'DIV': case 'SECTION': return 5;
+    case 'PRE': case 'TD': case 'BLOCKQUOTE': return 3;
+    case 'ADDRESS': case 'OL': case 'UL': case 'DL': case 'DD': case 'DT': case 'LI': case 'FORM': return -3;
+    case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': case 'TH': return -5;
+    default: return 0;
+  }
+}
+
+const normalizeText = (text) => String(text || '').replace(/\s+/g, ' ').trim();
+
+function linkDensity(el) {
+  const length = normalizeText(el.textContent).length;
+  if (length === 0) return 0;
+  let linkLength = 0;
+  for (const a of el.querySelectorAll('a')) linkLength += normalizeText(a.textContent).length;
+  return linkLength / length;
+}
+
+// Text of `roots` with one line per block, "#"-prefixed headings, "- " list items and " | "
+// between table cells; boilerplate inside the content is skipped
+function renderBlocks(roots) {
+  const lines = [];
+  let buffer = '';
+  const flush = () => {
+    const text = normalizeText(buffer);
+    if (text && text !== '-') lines.push(text);
+    buffer = '';
+  };
+  const walk = (node) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        buffer += child.textContent;
+        continue;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE || isBoilerplate(child)) continue;
+      const tag = child.tagName;
+      if (/^H[1-6]$/.test(tag)) {
+        flush();
+        const text = normalizeText(child.innerText);
+        if (text) lines.push(`${'#'.repeat(Number(tag[1]))} ${text}`);
+      } else if (tag === 'PRE') {
+        flush();
+        const text = (child.innerText || '').trim();
+        if (text) lines.push(text);
+      } else if (tag === 'BR') {
+        flush();
+      } else if (tag === 'LI') {
+        flush();
+        buffer = '- ';
+        walk(child);
+        flush();
+      } else if (tag === 'TD' || tag === 'TH') {
+        if (normalizeText(buffer)) buffer += ' | ';
+        walk(child);
+      } else if (BLOCK_TAGS.has(tag)) {
+        flush();
+        walk(child);
+        flush();
+      } else {
+        walk(child);
+      }
+    }
+  };
+  for (const root of roots) {
+    walk(root);
+    flush();
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Finds the page's main content and renders it as text, keeping its headings.
+ * @returns {{content: string, extraction: {method: 'main-content'|'innerText', boilerplateChars: number}}}
+ *   boilerplateChars is how much shorter the content is than the whole page text
+ */
+function extractMainContent() {
+  const fullText = document.body?.innerText || '';
+  const fallback = { content: fullText, extraction: { method: 'innerText', boilerplateChars: 0 } };
+  if (!document.body || fullText.length < EXTRACT_MIN_CHARS) return fallback;
+
+  // 1) Score the ancestors of every paragraph-like block outside boilerplate
+  const scores = new Map();
+  const initScore = (el) => {
+    if (!scores.has(el)) scores.set(el, tagWeight(el) + classWeight(el));
+  };
+  for (const block of document.body.querySelectorAll(SCORED_TAGS)) {
+    const text = normalizeText(block.textContent);
+    if (text.length < 25 || isInsideBoilerplate(block)) continue;
+    const parent = block.parentElement;
+    if (!parent) continue;
+    const grandparent = parent.parentElement;
+    const points = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    initScore(parent);
+    scores.set(parent, scores.get(parent) + points);
+    if (grandparent && grandparent !== document.documentElement) {
+      initScore(grandparent);
+      scores.set(grandparent, scores.get(grandparent) + points / 2);
+    }
+  }
+
+  // 2) Best candidate after discounting link-heavy containers
+  let top = null;
+  let topScore = 0;
+  for (const [el, score] of scores) {
+    const adjusted = score * (1 - linkDensity(el));
+    scores.set(el, adjusted);
+    if (adjusted > topScore) {
+      top = el;
+      topScore = adjusted;
+    }
+  }
+  if (!top || topScore < EXTRACT_MIN_SCORE) return fallback;
+
+  // 3) Siblings that belong to the same content: well-scored containers or substantial paragraphs
+  const threshold = Math.max(10, topScore * 0.2);
+  const roots = [];
+  for (const sibling of top.parentElement ? top.parentElement.children : [top]) {
+    if (sibling === top) {
+      roots.push(sibling);
+      continue;
+    }
+    if (isBoilerplate(sibling)) continue;
+    const text = normalizeText(sibling.textContent);
+    const density = linkDensity(sibling);
+    if ((scores.get(sibling) || 0) >= threshold
+      || (sibling.tagName === 'P' && ((text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text))))) {
+      roots.push(sibling);
+    }
+  }
+
+  // 4) The page title heading often sits just outside the article body
+  const heading = document.querySelector('h1');
+  const body = renderBlocks(roots);
+  const outsideTitle = heading && !/^# /m.test(body) ? normalizeText(heading.innerText) : '';
+  const content = outsideTitle ? `# ${outsideTitle}\n${body}` : body;
+  if (body.length < EXTRACT_MIN_CHARS) return fallback;
+  return {
+    content,
+    extraction: { method: 'main-content', boilerplateChars: Math.max(0, fullText.length - content.length) },
+  };
+}
+
+// --- 4) Page metadata ---
+// Canonical URL, favicon, Open Graph fields, author, dates, language and the headings outline.
+// Meta tags come first; JSON-LD (schema.org Article and friends) fills in what they lack.
+
+const OUTLINE_MAX_HEADINGS = 40;
+
+const metaContent = (...selectors) => {
+  for (const selector of selectors) {
+    const value = document.querySelector(selector)?.getAttribute('content')?.trim();
+    if (value) return value;
+  }
+  return '';
+};
+
+const isoDate = (value) => {
+  const time = Date.parse(value || '');
+  return Number.isFinite(time) ? new Date(time).toISOString() : '';
+};
+
+const absoluteUrl = (value) => {
+  try {
+    return value ? new URL(value, location.href).href : '';
+  } catch {
+    return '';
+  }
+};
+
+// schema.org nodes from every JSON-LD script, flattening arrays and @graph
+function jsonLdNodes() {
+  const nodes = [];
+  const visit = (value) => {
+    if (Array.isArray(value)) value.forEach(visit);
+    else if (value && typeof value === 'object') {
+      nodes.push(value);
+      if (value['@graph']) visit(value['@graph']);
+    }
+  };
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      visit(JSON.parse(script.textContent || ''));
+    } catch {}
+  }
+  return nodes;
+}
+
+const authorName = (author) => {
+  if (!author) return '';
+  if (Array.isArray(author)) return author.map(authorName).filter(Boolean).join(', ');
+  return typeof author === 'string' ? author.trim() : String(author.name || '').trim();
+};
+
+function collectPageMetadata() {
+  const ld = jsonLdNodes().find(node => node.datePublished || node.author) || {};
+  const icon = document.querySelector('link[rel~="icon"][href], link[rel="apple-touch-icon"][href]');
+  const outline = [];
+  for (const heading of document.querySelectorAll('h1, h2, h3, h4')) {
+    if (outline.length >= OUTLINE_MAX_HEADINGS) break;
+    const text = normalizeText(heading.innerText).slice(0, 200);
+    if (text && !isInsideBoilerplate(heading)) outline.push({ level: Number(heading.tagName[1]), text });
+  }
+  return {
+    canonicalUrl: document.querySelector('link[rel="canonical"][href]')?.href || '',
+    favicon: icon?.href || `${location.origin}/favicon.ico`,
+    ogTitle: metaContent('meta[property="og:title"]'),
+    ogDescription: metaContent('meta[property="og:description"]', 'meta[name="description"]'),
+    ogImage: absoluteUrl(metaContent('meta[property="og:image"]', 'meta[name="twitter:image"]')),
+    author: metaContent('meta[name="author"]', 'meta[property="article:author"]') || authorName(ld.author),
+    publishedAt: isoDate(metaContent('meta[property="article:published_time"]', 'meta[name="date"]', 'meta[itemprop="datePublished"]')
+      || ld.datePublished || document.querySelector('article time[datetime]')?.getAttribute('datetime')),
+    modifiedAt: isoDate(metaContent('meta[property="article:modified_time"]', 'meta[property="og:updated_time"]') || ld.dateModified),
+    lang: document.documentElement.lang || '',
+    outline,
+  };
+}
+
+// --- 5) Video pages ---
+// On a video page the page text is mostly comments and recommendations. YouTube watch pages are
+// read from the player data embedded in the page (title, channel, duration, description, chapters
+// and the caption track as a timestamped transcript); other sites that describe their video with
+// a schema.org VideoObject and an og:type of video.* get its name, author, duration and description.
+
+const VIDEO_FETCH_TIMEOUT_MS = 4000; // two fetches must fit config.injection.contentFetchTimeoutMs
+const TRANSCRIPT_PARAGRAPH_SECONDS = 30; // transcript lines are merged into timestamped paragraphs
+
+// "1:02:03" / "4:05"
+function formatClock(totalSeconds) {
+  const s = Math.max(0, Math.floor(totalSeconds));
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  const pad = (n) => String(n).padStart(2, '0');
+  return h > 0 ? `${h}:${pad(m)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`;
+}
+
+// ISO 8601 durations as used by schema.org ("PT1H2M3S") to seconds
+function isoDurationSeconds(value) {
+  const match = /^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d+)?)S)?$/.exec(String(value || ''));
+  if (!match) return 0;
+  const [, d = 0, h = 0, m = 0, s = 0] = match;
+  return Number(d) * 86400 + Number(h) * 3600 + Number(m) * 60 + Number(s);
+}
+
+async function fetchWithTimeout(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), VIDEO_FETCH_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { signal: controller.signal, credentials: 'include' });
+    if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+    return await res.text();
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// The JSON object assigned after `marker` in inline script source ("var ytInitialData = {...};")
+function jsonAfter(source, marker) {
+  const at = source.indexOf(marker);
+  if (at < 0) return null;
+  const start = source.indexOf('{', at + marker.length);
+  if (start < 0) return null;
+  let depth = 0;
+  let inString = false;
+  for (let i = start; i < source.length; i++) {
+    const ch = source[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}' && --depth === 0) {
+      try {
+        return JSON.parse(source.slice(start, i + 1));
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+function youTubeVideoId() {
+  if (!/(^|\.)youtube\.com$/.test(location.hostname)) return '';
+  if (location.pathname === '/watch') return new URLSearchParams(location.search).get('v') || '';
+  return /^\/(?:shorts|live)\/([\w-]{6,})/.exec(location.pathname)?.[1] || '';
+}
+
+// Player response and initial data of the current video. The inline scripts describe the first
+// video loaded in the tab, so after in-app navigation the watch page is fetched again.
+async function youTubePageData(videoId) {
+  const inline = Array.from(document.querySelectorAll('script:not([src])'), s => s.textContent || '')
+    .filter(text => text.includes('ytInitialPlayerResponse') || text.includes('ytInitialData'))
+    .join('\n');
+  let player = jsonAfter(inline, 'ytInitialPlayerResponse =');
+  let data = jsonAfter(inline, 'ytInitialData =');
+  if (player?.videoDetails?.videoId !== videoId) {
+    const html = await fetchWithTimeout(`https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`);
+    player = jsonAfter(html, 'ytInitialPlayerResponse =');
+    data = jsonAfter(html, 'ytInitialData =');
+  }
+  return player?.videoDetails?.videoId === videoId ? { player, data } : null;
+}
+
+// Chapters from the player bar markers, or else from "0:00 Intro" lines in the description
+function youTubeChapters(data, description) {
+  const chapters = [];
+  const visit = (node) => {
+    if (!node || typeof node !== 'object' || chapters.length > 0) return;
+    if (Array.isArray(node.chapters) && node.chapters[0]?.chapterRenderer) {
+      for (const { chapterRenderer: c } of node.chapters) {
+        const title = c?.title?.simpleText || (c?.title?.runs || []).map(r => r.text).join('');
+        if (title) chapters.push({ start: Math.round((c.timeRangeStartMillis || 0) / 1000), title });
+      }
+      return;
+    }
+    for (const value of Object.values(node)) visit(value);
+  };
+  visit(data?.playerOverlays);
+  if (chapters.length > 0) return chapters;
+
+  for (const line of String(description || '').split('\n')) {
+    const match = /^\s*\(?((?:\d+:)?\d{1,2}:\d{2})\)?\s*[-–—:]?\s*(.+)$/.exec(line);
+    if (!match) continue;
+    const start = match[1].split(':').reduce((sum, part) => sum * 60 + Number(part), 0);
+    chapters.push({ start, title: match[2].trim() });
+  }
+  // A single timestamp in a description is a reference, not a chapter list
+  return chapters.length >= 2 ? chapters : [];
+}
+
+// Transcript of the best caption track (uploaded before auto-generated, the page language
+// first), as "[m:ss] text" paragraphs; '' when the video has no captions or they can't be read
+async function youTubeTranscript(player) {
+  const tracks = player?.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+  if (tracks.length === 0) return '';
+  const lang = (document.documentElement.lang || navigator.language || 'en').slice(0, 2);
+  const rank = (t) => (t.kind === 'asr' ? 2 : 0) + (String(t.languageCode || '').startsWith(lang) ? 0 : 1);
+  const track = [...tracks].sort((a, b) => rank(a) - rank(b))[0];
+  const url = new URL(track.baseUrl, location.href);
+  url.searchParams.set('fmt', 'json3');
+  const body = await fetchWithTimeout(url.href);
+  if (!body) return '';
+  const events = JSON.parse(body).events || [];
+  const paragraphs = [];
+  let current = null;
+  for (const event of events) {
+    const text = normalizeText((event.segs || []).map(seg => seg.utf8 || '').join(''));
+    if (!text) continue;
+    const start = (event.tStartMs || 0) / 1000;
+    if (!current || start - current.start >= TRANSCRIPT_PARAGRAPH_SECONDS) {
+      current = { start, parts: [] };
+      paragraphs.push(current);
+    }
+    current.parts.push(text);
+  }
+  return paragraphs.map(p => `[${formatClock(p.start)}] ${p.parts.join(' ')}`).join('\n');
+}
+
+async function extractYouTubeVideo(videoId) {
+  const pageData = await youTubePageData(videoId);
+  if (!pageData) return null;
+  const { player, data } = pageData;
+  const details = player.videoDetails;
+  const micro = player.microformat?.playerMicroformatRenderer || {};
+  const description = details.shortDescription || micro.description?.simpleText || '';
+  const chapters = youTubeChapters(data, description);
+  const transcript = await youTubeTranscript(player).catch((e) => {
+    console.warn('Could not read the video transcript.', e);
+    return '';
+  });
+  return {
+    title: details.title,
+    video: {
+      title: details.title,
+      channel: details.author || micro.ownerChannelName || '',
+      durationSeconds: Number(details.lengthSeconds) || 0,
+      description,
+      chapters,
+      transcript,
+      publishedAt: micro.publishDate || micro.uploadDate || '',
+    },
+    page: {
+      canonicalUrl: `https://www.youtube.com/watch?v=${videoId}`,
+      author: details.author || '',
+      publishedAt: isoDate(micro.publishDate || micro.uploadDate),
+    },
+  };
+}
+
+// schema.org VideoObject of a page that is itself a video (og:type video.*, as on Vimeo); articles
+// that merely embed a video keep their text
+function extractVideoObject() {
+  if (!/^video/i.test(metaContent('meta[property="og:type"]'))) return null;
+  const node = jsonLdNodes().find(n => [].concat(n['@type'] || []).includes('VideoObject'));
+  if (!node?.name) return null;
+  return {
+    title: String(node.name),
+    video: {
+      title: String(node.name),
+      channel: authorName(node.author || node.creator || node.publisher),
+      durationSeconds: isoDurationSeconds(node.duration),
+      description: String(node.description || ''),
+      chapters: [],
+      transcript: typeof node.transcript === 'string' ? node.transcript : '',
+      publishedAt: node.uploadDate || node.datePublished || '',
+    },
+    page: { publishedAt: isoDate(node.uploadDate || node.datePublished) },
+  };
+}
+
+// The video as Markdown-style text: facts, description, chapters and transcript
+function renderVideo(video) {
+  const lines = [`# ${video.title}`];
+  if (video.channel) lines.push(`Channel: ${video.channel}`);
+  if (video.durationSeconds) lines.push(`Duration: ${formatClock(video.durationSeconds)}`);
+  if (video.publishedAt) lines.push(`Published: ${String(video.publishedAt).slice(0, 10)}`);
+  if (video.description.trim()) lines.push('', '## Description', video.description.trim());
+  if (video.chapters.length > 0) {
+    lines.push('', '## Chapters', ...video.chapters.map(c => `${formatClock(c.start)} ${c.title}`));
+  }
+  if (video.transcript) lines.push('', '## Transcript', video.transcript);
+  return lines.join('\n');
+}
+
+/**
+ * Reads the video on a YouTube watch page or a page with a schema.org VideoObject.
+ * @returns {Promise<{title: string, content: string, extraction: Object, page: Object}|null>}
+ *   null when this is not a video page
+ */
+async function extractVideoPage() {
+  const videoId = youTubeVideoId();
+  const found = videoId ? await extractYouTubeVideo(videoId) : extractVideoObject();
+  if (!found) return null;
+  const content = renderVideo(found.video);
+  const fullText = document.body?.innerText || '';
+  return {
+    title: found.title,
+    content,
+    extraction: {
+      method: videoId ? 'youtube' : 'video',
+      boilerplateChars: Math.max(0, fullText.length - content.length),
+      transcript: Boolean(found.video.transcript),
+    },
+    page: Object.fromEntries(Object.entries(found.page).filter(([, value]) => value)),
+  };
+}
+
+// --- 6) Side hint UI ---
 function removeNemoSideHint() {
   const el = document.getElementById('nemo-side-hint');
   if (el && el.parentNode) el.parentNode.removeChild(el);
@@ -0,0 +1,150 @@
+// Manual corrections as classifier guidance. The viewer records every move, copy, rename and new
+// session (and every tab filed from the review inbox); before a capture run the background turns
+// the ones that still hold into per-session notes and labelled example pages for the
+// classification prompt (rendered within config.corrections.maxTokens by firebase_ai.js).
+
+import { config } from './config.js';
+import { getAllCorrections, logCorrection, getAllSessions, getAllTabs, getAllMemberships } from './db.js';
+
+/**
+ * Records a correction. Failures are only logged: losing an example must never break the edit.
+ * @param {Omit<import('./db.js').Correction, 'id'|'createdAt'>} correction
+ */
+export async function recordCorrection(correction) {
+  await logCorrection(correction, config.corrections.maxEntries)
+    .catch((e) => console.warn("Failed to record correction:", e));
+}
+
+/**
+ * @typedef {Object} SessionNote
+ * @property {number} sessionId
+ * @property {string} name - Current name
+ * @property {boolean} createdByUser
+ * @property {string} [renamedFrom] - Earlier name, when the user renamed the session
+ * @property {string[]} patterns - URL patterns of the pages the user filed there, e.g. "github.com/our-org/*"
+ * @property {number} count - Pages the user filed there
+ */
+
+/**
+ * @typedef {Object} CorrectionExample
+ * @property {string} url
+ * @property {string} title
+ * @property {number} sessionId
+ * @property {string} sessionName
+ * @property {string} [fromSessionName] - Where the page was (or was suggested) before the user moved it
+ */
+
+/**
+ * @typedef {Object} ClassificationGuidance
+ * @property {SessionNote[]} sessionNotes - Most corrected sessions first
+ * @property {CorrectionExample[]} examples - Most relevant first
+ */
+
+const hostOf = (url) => {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "");
+  } catch {
+    return "";
+  }
+};
+
+const firstPathSegment = (url) => {
+  try {
+    return new URL(url).pathname.split("/").filter(Boolean)[0] || "";
+  } catch {
+    return "";
+  }
+};
+
+// "host/segment/*" for hosts whose pages share a first path segment, "host/*" otherwise; only
+// hosts with at least two pages make a pattern
+function urlPatterns(urls) {
+  const byHost = new Map();
+  for (const url of urls) {
+    const host = hostOf(url);
+    if (!host) continue;
+    if (!byHost.has(host)) byHost.set(host, []);
+    byHost.get(host).push(firstPathSegment(url));
+  }
+  const patterns = [];
+  for (const [host, segments] of byHost) {
+    if (segments.length < 2) continue;
+    const shared = segments.every((s) => s && s === segments[0]);
+    patterns.push(shared ? `${host}/${segments[0]}/*` : `${host}/*`);
+  }
+  return patterns;
+}
+
+/**
+ * Turns the recorded corrections that still hold (the session exists and, for pages, still
+ * holds the page) into guidance for classifying `newTabs`. Examples from the same sites as the
+ * new tabs come first, then the most recent ones.
+ * @param {Array<{url: string}>} newTabs
+ * @returns {Promise<ClassificationGuidance>}
+ */
+export async function buildClassificationGuidance(newTabs) {
+  const [corrections, sessions, tabs, memberships] = await Promise.all([
+    getAllCorrections(),
+    getAllSessions(),
+    getAllTabs(),
+    getAllMemberships(),
+  ]);
+  const sessionsById = new Map(sessions.map((s) => [s.id, s]));
+  const titles = new Map(tabs.map((t) => [t.url, t.title]));
+  const memberKeys = new Set(memberships.map((m) => `${m.sessionId}\n${m.url}`));
+
+  // Latest placement of each page in each session, and what the user did to each session
+  const placements = new Map();
+  const sessionFacts = new Map();
+  const factsOf = (id) => {
+    if (!sessionFacts.has(id)) sessionFacts.set(id, { createdByUser: false, renamedFrom: undefined, urls: new Set() });
+    return sessionFacts.get(id);
+  };
+  for (const c of [...corrections].sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))) {
+    if (c.kind === "move" || c.kind === "copy") {
+      placements.set(`${c.sessionId}\n${c.url}`, c);
+    } else if (c.kind === "create") {
+      factsOf(c.sessionId).createdByUser = true;
+    } else if (c.kind === "rename") {
+      const facts = factsOf(c.sessionId);
+      facts.renamedFrom = facts.renamedFrom ?? c.previousName;
+    }
+  }
+
+  const examples = [];
+  for (const c of placements.values()) {
+    const session = sessionsById.get(c.sessionId);
+    if (!session || !memberKeys.has(`${c.sessionId}\n${c.url}`)) continue;
+    factsOf(c.sessionId).urls.add(c.url);
+    examples.push({
+      url: c.url,
+      title: titles.get(c.url) || c.url,
+      sessionId: c.sessionId,
+      sessionName: session.name,
+      fromSessionName: sessionsById.get(c.fromSessionId)?.name,
+      createdAt: c.createdAt,
+    });
+  }
+
+  const newHosts = new Set(newTabs.map((t) => hostOf(t?.url)).filter(Boolean));
+  const relevance = (e) => (newHosts.has(hostOf(e.url)) ? 1 : 0);
+  examples.sort((a, b) => relevance(b) - relevance(a) || String(b.createdAt).localeCompare(String(a.createdAt)));
+
+  const sessionNotes = [...sessionFacts]
+    .filter(([id]) => sessionsById.has(id))
+    .map(([id, facts]) => ({
+      sessionId: id,
+      name: sessionsById.get(id).name,
+      createdByUser: facts.createdByUser,
+      renamedFrom: facts.renamedFrom !== sessionsById.get(id).name ? facts.renamedFrom : undefined,
+      patterns: urlPatterns(facts.urls),
+      count: facts.urls.size,
+    }))
+    .filter((note) => note.createdByUser || note.renamedFrom || note.count > 0)
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    sessionNotes,
+    examples: examples.slice(0, config.corrections.maxExamples).map(({ createdAt, ...e }) => e),
+  };
+}
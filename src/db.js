@@ -0,0 +1,1438 @@
+// Shared IndexedDB data layer for NeuMemoDB.
+// Every context (background service worker, viewer, options page) opens the database through
+// this module, so the schema, its stores/indexes and the migration list live in one place.
+// Whichever context opens the database first runs the pending migrations.
+
+export const DB_NAME = "NeuMemoDB";
+
+export const STORES = {
+  SESSIONS: "sessions",
+  TABS: "tabs",
+  MEMBERSHIPS: "memberships",
+  EXCLUDED_URLS: "excluded_urls",
+  REJECTED_TABS: "rejected_tabs",
+  ARCHIVED: "archived",
+  RUNS: "runs",
+  CAPTURE_QUEUE: "capture_queue",
+  TRASH: "trash",
+  SETTINGS: "settings",
+  EMBEDDINGS: "embeddings",
+  LEXICAL_DOCS: "lexical_docs",
+  LEXICAL_TERMS: "lexical_terms",
+  SUMMARY_CACHE: "summary_cache",
+  CONVERSATIONS: "conversations",
+  TIDY_PROPOSALS: "tidy_proposals",
+  REVIEW_QUEUE: "review_queue",
+  CORRECTIONS: "corrections",
+};
+
+/**
+ * @typedef {Object} Session
+ * @property {number} id
+ * @property {string} name - Unique (enforced by the `name` index)
+ * @property {SessionSynopsis} [synopsis] - AI overview, regenerated when the session's pages change
+ */
+
+/**
+ * @typedef {Object} SessionSynopsis
+ * @property {string} about - What the session is about
+ * @property {string[]} openQuestions - Main questions the pages leave open
+ * @property {string} relations - How the pages relate to each other
+ * @property {string} tabSetHash - Hash of the session's URLs when the synopsis was made
+ * @property {number} tabCount
+ * @property {string} generatedAt
+ */
+
+/**
+ * A saved page. One row per URL, however many sessions it belongs to.
+ * @typedef {Object} TabRecord
+ * @property {string} url - Primary key
+ * @property {string} title
+ * @property {string} summary
+ * @property {string} timestamp - ISO time of the last write
+ * @property {number} [runId] - Run that last touched the row or its memberships
+ * @property {string} [contentHash] - SHA-256 of the normalized content the summary was made from
+ * @property {number[]} [sketch] - MinHash sketch of that content, to measure how much a page changed
+ * @property {'full'|'partial'} [coverage] - Whether the summary covers the whole page or, for long
+ *   pages past the section cap, only part of it (absent on pages saved before this was recorded)
+ * @property {string[]} [keyPoints] - Main takeaways
+ * @property {string[]} [entities] - Named people, organizations, products, technologies
+ * @property {string[]} [tags] - 3-8 lowercase topical tags
+ * @property {string} [contentType] - One of CONTENT_TYPES in firebase_ai.js
+ * @property {string} [language] - ISO 639-1 code
+ * @property {number} [readingMinutes] - Estimated from the captured text's word count
+ * @property {PageMetadata} [page] - What the page declares about itself (pages read from an open tab)
+ */
+
+/**
+ * Collected by content.js from the page's link, meta and JSON-LD tags. Missing values are ''.
+ * @typedef {Object} PageMetadata
+ * @property {string} canonicalUrl - rel=canonical; the tab is saved under it when it is usable
+ * @property {string} favicon
+ * @property {string} ogTitle
+ * @property {string} ogDescription
+ * @property {string} ogImage
+ * @property {string} author
+ * @property {string} publishedAt - ISO time
+ * @property {string} modifiedAt - ISO time
+ * @property {string} lang - The document's lang attribute
+ * @property {Array<{level: number, text: string}>} outline - h1-h4 headings outside navigation and sidebars
+ */
+
+/**
+ * Links a page to a session (many-to-many).
+ * @typedef {Object} Membership
+ * @property {number} sessionId - Key part 1
+ * @property {string} url - Key part 2
+ * @property {string} addedAt
+ * @property {number} [runId] - Run that created the link, if any
+ */
+
+/**
+ * @typedef {Object} RejectedTab
+ * @property {string} url - Primary key
+ * @property {string} reason
+ * @property {string} timestamp
+ */
+
+/**
+ * A URL waiting to be fetched and summarized by the next capture run (e.g. from an importer).
+ * @typedef {Object} QueuedTab
+ * @property {string} url - Primary key
+ * @property {string} title
+ * @property {number} sessionId - Session the tab is filed under once summarized
+ * @property {string} sessionName - Used to recreate the session if it no longer exists
+ * @property {string} source - Where the URL came from, e.g. 'onetab'
+ * @property {string} queuedAt
+ */
+
+/**
+ * @typedef {Object} ArchivedEntry
+ * @property {number} id
+ * @property {'tab'|'session'} kind
+ * @property {string} reason
+ * @property {string} archivedAt - ISO time; lexical order is chronological
+ * @property {TabRecord|Session} data - The row as it was when archived
+ * @property {number[]} [sessionIds] - Sessions an archived tab belonged to. Entries archived
+ *   before memberships existed carry `data.sessionId` instead.
+ */
+
+/**
+ * Search vector for a saved page. Rows whose page is gone are ignored and pruned lazily.
+ * @typedef {Object} EmbeddingRecord
+ * @property {string} url - Primary key
+ * @property {string} model - Embedder that produced the vector; vectors are only compared within one model
+ * @property {string} textHash - Hash of the embedded text, to spot summaries that changed
+ * @property {Float32Array} vector - L2-normalized
+ * @property {string} updatedAt
+ */
+
+/**
+ * A page in the lexical (BM25) index.
+ * @typedef {Object} LexicalDoc
+ * @property {string} url - Primary key
+ * @property {string} textHash - Hash of the indexed text, to spot pages that changed
+ * @property {number} length - Number of indexed tokens
+ * @property {string[]} terms - Distinct terms, so the postings can be removed on reindex
+ */
+
+/**
+ * Postings list of one term. The row keyed "" holds index totals instead: { term: "", docCount, totalLength }.
+ * @typedef {Object} LexicalTerm
+ * @property {string} term - Primary key
+ * @property {Object<string, [number, number]>} postings - url -> [term frequency, document length]
+ */
+
+/**
+ * A lite summary cached by the content it was made from, so the same content under another URL
+ * is not summarized again.
+ * @typedef {Object} SummaryCacheEntry
+ * @property {string} contentHash - Primary key
+ * @property {string} summary
+ * @property {'full'|'partial'} [coverage]
+ * @property {Object} [metadata] - Structured page metadata returned with the summary
+ * @property {string} url - Page the summary was first made for
+ * @property {string} updatedAt
+ */
+
+/**
+ * A chat thread over saved tabs, one per session plus one across all sessions.
+ * @typedef {Object} Conversation
+ * @property {number|'all'} scope - Primary key: a session id, or "all"
+ * @property {ChatMessage[]} messages - Oldest first
+ * @property {string} updatedAt
+ */
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {'user'|'assistant'} role
+ * @property {string} text
+ * @property {Array<{url: string, title: string}>} [citations] - Tabs an answer is based on
+ * @property {string} createdAt
+ */
+
+/**
+ * Something the user deleted from the viewer, with every row the delete removed.
+ * @typedef {Object} TrashEntry
+ * @property {number} id
+ * @property {'session'|'tab'} kind
+ * @property {string} label - Session name or tab title, for display
+ * @property {string} deletedAt - ISO time; lexical order is chronological
+ * @property {Session} [session] - The deleted session (kind 'session')
+ * @property {{id: number, name: string}} [from] - Session the tab was deleted from (kind 'tab')
+ * @property {Membership[]} memberships - Links the delete removed
+ * @property {TabRecord[]} pages - Pages deleted because no other session held them
+ */
+
+/**
+ * @typedef {Object} Extraction - How content.js read a page
+ * @property {'youtube'|'video'|'main-content'|'innerText'} method - youtube/video for video pages read
+ *   from their player data or VideoObject; innerText when no main content was found with confidence
+ * @property {number} boilerplateChars - Characters of page text left out (navigation, sidebars, footers, ...)
+ * @property {boolean} [transcript] - Video pages: whether a caption transcript was included
+ */
+
+/**
+ * @typedef {Object} RunChange
+ * @property {string} store - One of STORES
+ * @property {*} key - Primary key of the row that was written
+ * @property {Object|null} before - Row before the write, or null if the run created it
+ */
+
+/**
+ * @typedef {Object} Run
+ * @property {number} id
+ * @property {string} startedAt
+ * @property {string|null} endedAt
+ * @property {'running'|'completed'|'failed'|'undone'} status
+ * @property {string} [provider] - AI provider id (see ai_providers.js); runs before providers were added used Firebase
+ * @property {string} model
+ * @property {{kind: 'window'|'highlighted'|'group'|'all', groupTitle?: string}} [scope] - Which open
+ *   tabs were captured; absent for runs that only processed the capture queue (and older runs)
+ * @property {Array<{url: string, title: string, extraction?: Extraction}>} captured - extraction is
+ *   set for pages read from an open tab
+ * @property {Array<{url: string, reason: string}>} rejected
+ * @property {Array<{id: number, name: string}>} sessionsCreated
+ * @property {Array<{url: string, fromSessionIds: number[], toSessionId: number}>} reassigned - Saved
+ *   pages the run added to another session
+ * @property {Array<{url: string, title: string}>} [needsReview] - New pages the classifier was unsure
+ *   about, sent to the "Needs review" inbox instead of a session
+ * @property {RunChange[]} changes - Journal replayed in reverse by undoRun
+ */
+
+/**
+ * A new page the classifier was not confident about. It waits in the "Needs review" inbox, without
+ * a tab row, until the user files it; the filed entry stays as a record of the decision.
+ * @typedef {Object} ReviewItem
+ * @property {number} id
+ * @property {string} url
+ * @property {'pending'|'filed'} status
+ * @property {TabRecord} tab - Row to write when the page is filed (without timestamp)
+ * @property {{sessionId?: number, sessionName: string}} suggestion - The model's session; no id for a new one
+ * @property {number[]} additionalSessionIds - Existing sessions the model also put the page in
+ * @property {number} confidence - 0..1
+ * @property {string} reason - The model's explanation of its choice
+ * @property {number} runId
+ * @property {string} createdAt
+ * @property {ReviewDecision} [decision]
+ */
+
+/**
+ * @typedef {Object} ReviewDecision
+ * @property {'accept'|'pick'|'create'} action - Took the suggestion, chose another session, or made a new one
+ * @property {number} sessionId
+ * @property {string} sessionName
+ * @property {string} decidedAt
+ */
+
+/**
+ * A manual change to how pages are filed, kept as a labelled example for the classifier.
+ * @typedef {Object} Correction
+ * @property {number} id
+ * @property {'move'|'copy'|'rename'|'create'} kind - Moved or copied a page into a session, renamed
+ *   a session, or created one
+ * @property {number} sessionId - Session the page went to, or the renamed / created session
+ * @property {string} [url] - The page (move, copy)
+ * @property {number} [fromSessionId] - Where the page was, or the session the classifier suggested (move)
+ * @property {string} [name] - New name (rename, create)
+ * @property {string} [previousName] - Old name (rename)
+ * @property {string} createdAt
+ */
+
+/**
+ * A merge, split or rename of sessions suggested by the "Tidy sessions" job. Nothing changes until
+ * the user accepts it; an accepted proposal keeps a journal so it can be undone.
+ * @typedef {Object} TidyProposal
+ * @property {number} id
+ * @property {'merge'|'split'|'rename'} kind
+ * @property {number[]} sessionIds - Sessions to merge (2+), or the one to split / rename
+ * @property {string[]} sessionNames - Their names when the proposal was made, for display
+ * @property {string} [name] - Name of the merged session, or the new name (merge, rename)
+ * @property {Array<{name: string, urls: string[]}>} [groups] - Sessions to split into (split); the
+ *   first group stays in the original session
+ * @property {string} reason - The model's explanation
+ * @property {'pending'|'accepted'|'dismissed'|'undone'} status
+ * @property {string} createdAt
+ * @property {string} [decidedAt]
+ * @property {RunChange[]} [changes] - Journal of the accepted proposal, replayed in reverse on undo
+ */
+
+// --- Schema & migrations ---
+
+// Create a store (and any missing indexes) if it does not exist yet. Idempotent, so a
+// migration can safely run against a database that an older build upgraded only partially.
+function ensureStore(db, tx, name, options, indexes = []) {
+  const store = db.objectStoreNames.contains(name)
+    ? tx.objectStore(name)
+    : db.createObjectStore(name, options);
+  for (const [indexName, keyPath, indexOptions] of indexes) {
+    if (!store.indexNames.contains(indexName)) {
+      store.createIndex(indexName, keyPath, indexOptions || { unique: false });
+    }
+  }
+  return store;
+}
+
+// Ordered list of schema migrations. Each entry brings the schema up to `version`.
+// Never edit a migration that has shipped; append a new one instead.
+const MIGRATIONS = [
+  {
+    version: 5,
+    description: "sessions and tabs stores, tabs keyed by url",
+    migrate(db, tx) {
+      // Builds before v5 keyed tabs by an auto-increment id. A key path cannot be changed in
+      // place, so the store is recreated (as those builds did).
+      if (db.objectStoreNames.contains(STORES.TABS) && tx.objectStore(STORES.TABS).keyPath !== "url") {
+        db.deleteObjectStore(STORES.TABS);
+      }
+      if (db.objectStoreNames.contains("collected_tabs")) {
+        db.deleteObjectStore("collected_tabs");
+      }
+      ensureStore(db, tx, STORES.SESSIONS, { keyPath: "id", autoIncrement: true }, [["name", "name", { unique: true }]]);
+      ensureStore(db, tx, STORES.TABS, { keyPath: "url" }, [["sessionId", "sessionId"]]);
+    },
+  },
+  {
+    version: 6,
+    description: "excluded_urls store",
+    migrate(db, tx) {
+      ensureStore(db, tx, STORES.EXCLUDED_URLS, { keyPath: "domain" });
+    },
+  },
+  {
+    version: 7,
+    description: "archived store",
+    migrate(db, tx) {
+      ensureStore(db, tx, STORES.ARCHIVED, { keyPath: "id", autoIncrement: true }, [
+        ["kind", "kind"],
+        ["archivedAt", "archivedAt"],
+      ]);
+    },
+  },
+  {
+    version: 8,
+    description: "runs store",
+    migrate(db, tx) {
+      ensureStore(db, tx, STORES.RUNS, { keyPath: "id", autoIncrement: true }, [["startedAt", "startedAt"]]);
+    },
+  },
+  {
+    version: 10,
+    description: "rejected_tabs store; repair databases upgraded ad hoc by older builds",
+    migrate(db, tx, oldVersion) {
+      // Older builds created rejected_tabs by bumping the version by one outside of any
+      // migration (reaching up to v9), and other contexts opened the database without an
+      // upgrade handler. Either can leave a database whose version is current but whose
+      // stores are missing, so re-apply every earlier migration; they are idempotent.
+      for (const migration of MIGRATIONS) {
+        if (migration.version < 10) migration.migrate(db, tx, oldVersion);
+      }
+      ensureStore(db, tx, STORES.REJECTED_TABS, { keyPath: "url" });
+    },
+  },
+  {
+    version: 11,
+    description: "memberships store; a page (tabs row) can belong to several sessions",
+    migrate(db, tx) {
+      const memberships = ensureStore(db, tx, STORES.MEMBERSHIPS, { keyPath: ["sessionId", "url"] }, [
+        ["sessionId", "sessionId"],
+        ["url", "url"],
+      ]);
+      const tabStore = tx.objectStore(STORES.TABS);
+      const now = new Date().toISOString();
+      // Move each row's sessionId into a membership row, then drop the column and its index
+      tabStore.openCursor().onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (!cursor) {
+          if (tabStore.indexNames.contains("sessionId")) tabStore.deleteIndex("sessionId");
+          return;
+        }
+        const { sessionId, ...page } = cursor.value;
+        if (typeof sessionId === "number") {
+          memberships.put({ sessionId, url: page.url, addedAt: page.timestamp || now });
+        }
+        cursor.update(page);
+        cursor.continue();
+      };
+    },
+  },
+  {
+    version: 12,
+    description: "capture_queue store",
+    migrate(db, tx) {
+      ensureStore(db, tx, STORES.CAPTURE_QUEUE, { keyPath: "url" }, [["queuedAt", "queuedAt"]]);
+    },
+  },
+  {
+    version: 13,
+    description: "trash and settings stores",
+    migrate(db, tx) {
+      ensureStore(db, tx, STORES.TRASH, { keyPath: "id", autoIncrement: true }, [["deletedAt", "deletedAt"]]);
+      ensureStore(db, tx, STORES.SETTINGS, { keyPath: "key" });
+    },
+  },
+  {
+    version: 14,
+    description: "embeddings store",
+    migrate(db, tx) {
+      ensureStore(db, tx, STORES.EMBEDDINGS, { keyPath: "url" });
+    },
+  },
+  {
+    version: 15,
+    description: "lexical_docs and lexical_terms stores (BM25 inverted index)",
+    migrate(db, tx) {
+      ensureStore(db, tx, STORES.LEXICAL_DOCS, { keyPath: "url" }, [["textHash", "textHash"]]);
+      ensureStore(db, tx, STORES.LEXICAL_TERMS, { keyPath: "term" });
+    },
+  },
+  {
+    version: 16,
+    description: "summary_cache store (lite summaries keyed by content hash)",
+    migrate(db, tx) {
+      ensureStore(db, tx, STORES.SUMMARY_CACHE, { keyPath: "contentHash" }, [["updatedAt", "updatedAt"]]);
+    },
+  },
+  {
+    version: 17,
+    description: "conversations store (chat threads per session)",
+    migrate(db, tx) {
+      ensureStore(db, tx, STORES.CONVERSATIONS, { keyPath: "scope" });
+    },
+  },
+  {
+    version: 18,
+    description: "tidy_proposals store (suggested session merges, splits and renames)",
+    migrate(db, tx) {
+      ensureStore(db, tx, STORES.TIDY_PROPOSALS, { keyPath: "id", autoIncrement: true });
+    },
+  },
+  {
+    version: 19,
+    description: "review_queue store (low-confidence classifications awaiting a decision)",
+    migrate(db, tx) {
+      ensureStore(db, tx, STORES.REVIEW_QUEUE, { keyPath: "id", autoIncrement: true }, [
+        ["url", "url"],
+        ["status", "status"],
+      ]);
+    },
+  },
+  {
+    version: 20,
+    description: "corrections store (manual filing changes used as classifier examples)",
+    migrate(db, tx) {
+      ensureStore(db, tx, STORES.CORRECTIONS, { keyPath: "id", autoIncrement: true }, [["createdAt", "createdAt"]]);
+    },
+  },
+];
+
+export const DB_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+// --- Connection ---
+
+let dbPromise = null;
+
+function openRequest(version) {
+  return new Promise((resolve, reject) => {
+    const request = typeof version === "number" ? indexedDB.open(DB_NAME, version) : indexedDB.open(DB_NAME);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      const tx = request.transaction;
+      for (const migration of MIGRATIONS) {
+        if (migration.version > event.oldVersion) {
+          migration.migrate(db, tx, event.oldVersion);
+        }
+      }
+    };
+    request.onblocked = () => {
+      console.warn("NeuMemoDB upgrade is waiting for another NeuMemo page to close its connection.");
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Opens (once per context) the shared NeuMemoDB connection, running pending migrations.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDB() {
+  if (!dbPromise) {
+    dbPromise = openRequest(DB_VERSION)
+      .catch((err) => {
+        // The database is newer than this build (e.g. after a downgrade). Use it as-is rather
+        // than failing every read; the stores this build knows about are still there.
+        if (err && err.name === "VersionError") {
+          console.warn("NeuMemoDB is newer than this build; opening it without upgrading.");
+          return openRequest();
+        }
+        throw err;
+      })
+      .then((db) => {
+        // Let another context run a newer migration instead of blocking it
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        db.onclose = () => {
+          dbPromise = null;
+        };
+        return db;
+      })
+      .catch((err) => {
+        dbPromise = null;
+        throw err;
+      });
+  }
+  return dbPromise;
+}
+
+// --- Transaction helpers ---
+
+/**
+ * Runs `work(tx)` in a transaction and resolves once the transaction completes.
+ * `work` must issue its requests synchronously (or from request callbacks). If it returns an
+ * IDBRequest, the promise resolves with that request's result; otherwise with the returned value,
+ * which callbacks may fill in before completion.
+ * @param {string|string[]} storeNames
+ * @param {IDBTransactionMode} mode
+ * @param {(tx: IDBTransaction) => *} work
+ */
+export async function runTransaction(storeNames, mode, work) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode);
+    let result;
+    tx.oncomplete = () => resolve(result instanceof IDBRequest ? result.result : result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+    try {
+      result = work(tx);
+    } catch (err) {
+      try { tx.abort(); } catch {}
+      reject(err);
+    }
+  });
+}
+
+const getAllFrom = (storeName) =>
+  runTransaction(storeName, "readonly", (tx) => tx.objectStore(storeName).getAll());
+
+// Rows for the given keys, in order (undefined where missing)
+const getMany = (storeName, keys) =>
+  runTransaction(storeName, "readonly", (tx) => {
+    const store = tx.objectStore(storeName);
+    const rows = new Array(keys.length);
+    keys.forEach((key, i) => {
+      store.get(key).onsuccess = (event) => { rows[i] = event.target.result; };
+    });
+    return rows;
+  });
+
+// --- Sessions ---
+
+/** @returns {Promise<Session[]>} */
+export const getAllSessions = () => getAllFrom(STORES.SESSIONS);
+
+/** @returns {Promise<Session|undefined>} */
+export const getSession = (id) =>
+  runTransaction(STORES.SESSIONS, "readonly", (tx) => tx.objectStore(STORES.SESSIONS).get(id));
+
+/** @returns {Promise<Session|undefined>} */
+export const getSessionByName = (name) =>
+  runTransaction(STORES.SESSIONS, "readonly", (tx) => tx.objectStore(STORES.SESSIONS).index("name").get(name));
+
+/**
+ * Adds a session. Rejects with a ConstraintError if the name is taken.
+ * @returns {Promise<number>} The new session id
+ */
+export const addSession = (name) =>
+  runTransaction(STORES.SESSIONS, "readwrite", (tx) => tx.objectStore(STORES.SESSIONS).add({ name }));
+
+/** @param {Session} session */
+export const putSession = (session) =>
+  runTransaction(STORES.SESSIONS, "readwrite", (tx) => tx.objectStore(STORES.SESSIONS).put(session));
+
+/**
+ * Merges `changes` into a session in one transaction, so fields written elsewhere (e.g. the
+ * synopsis) survive a rename. Rejects with a ConstraintError if a new name is taken.
+ * @returns {Promise<Session|undefined>} The updated session, or undefined if it no longer exists
+ */
+export const updateSession = (id, changes) =>
+  runTransaction(STORES.SESSIONS, "readwrite", (tx) => {
+    const store = tx.objectStore(STORES.SESSIONS);
+    const result = { session: undefined };
+    store.get(id).onsuccess = (event) => {
+      if (!event.target.result) return;
+      result.session = { ...event.target.result, ...changes };
+      store.put(result.session);
+    };
+    return result;
+  }).then((result) => result.session);
+
+/** "Name", "Name (2)", "Name (3)", ... — the first one not in `taken` (a Set of names) */
+export function uniqueSessionName(name, taken) {
+  let candidate = name;
+  for (let n = 2; taken.has(candidate); n++) candidate = `${name} (${n})`;
+  return candidate;
+}
+
+/**
+ * Returns the id of the session with this name, creating it if needed. Safe against a
+ * concurrent writer creating the same name.
+ * @returns {Promise<{id: number, created: boolean}>}
+ */
+export async function getOrCreateSession(name) {
+  const existing = await getSessionByName(name);
+  if (existing) return { id: existing.id, created: false };
+  try {
+    return { id: await addSession(name), created: true };
+  } catch (err) {
+    if (err && err.name === "ConstraintError") {
+      const winner = await getSessionByName(name);
+      if (winner) return { id: winner.id, created: false };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Deletes a session and its memberships, plus every page that no longer belongs to any session.
+ */
+export const deleteSessionWithTabs = (sessionId) =>
+  runTransaction([STORES.SESSIONS, STORES.MEMBERSHIPS, STORES.TABS], "readwrite", (tx) => {
+    const memberships = tx.objectStore(STORES.MEMBERSHIPS);
+    tx.objectStore(STORES.SESSIONS).delete(sessionId);
+    memberships.index("sessionId").getAll(sessionId).onsuccess = (event) => {
+      for (const m of event.target.result || []) {
+        memberships.delete([m.sessionId, m.url]);
+        deletePageIfOrphaned(tx, m.url);
+      }
+    };
+  });
+
+// --- Tabs (pages) and memberships ---
+
+// Queue a delete of the page if no membership references it any more. Requests run in order,
+// so membership deletes queued earlier in the same transaction are already reflected.
+function deletePageIfOrphaned(tx, url) {
+  tx.objectStore(STORES.MEMBERSHIPS).index("url").count(url).onsuccess = (event) => {
+    if (event.target.result === 0) tx.objectStore(STORES.TABS).delete(url);
+  };
+}
+
+/** @returns {Promise<TabRecord[]>} */
+export const getAllTabs = () => getAllFrom(STORES.TABS);
+
+/** @returns {Promise<TabRecord|undefined>} */
+export const getTab = (url) =>
+  runTransaction(STORES.TABS, "readonly", (tx) => tx.objectStore(STORES.TABS).get(url));
+
+/** @returns {Promise<Array<TabRecord|undefined>>} Rows for the given URLs, in order */
+export const getTabs = (urls) => getMany(STORES.TABS, urls);
+
+/** @returns {Promise<TabRecord[]>} Pages that belong to the session */
+export const getTabsBySession = (sessionId) =>
+  runTransaction([STORES.MEMBERSHIPS, STORES.TABS], "readonly", (tx) => {
+    const tabStore = tx.objectStore(STORES.TABS);
+    const tabs = [];
+    tx.objectStore(STORES.MEMBERSHIPS).index("sessionId").getAll(sessionId).onsuccess = (event) => {
+      for (const m of event.target.result || []) {
+        tabStore.get(m.url).onsuccess = (e) => {
+          if (e.target.result) tabs.push(e.target.result);
+        };
+      }
+    };
+    return tabs;
+  });
+
+/** @param {TabRecord} tab */
+export const putTab = (tab) =>
+  runTransaction(STORES.TABS, "readwrite", (tx) => tx.objectStore(STORES.TABS).put(tab));
+
+/** Deletes a page together with all of its memberships. */
+export const deleteTab = (url) =>
+  runTransaction([STORES.TABS, STORES.MEMBERSHIPS], "readwrite", (tx) => {
+    const memberships = tx.objectStore(STORES.MEMBERSHIPS);
+    tx.objectStore(STORES.TABS).delete(url);
+    memberships.index("url").getAllKeys(url).onsuccess = (event) => {
+      for (const key of event.target.result || []) memberships.delete(key);
+    };
+  });
+
+/** @returns {Promise<Membership[]>} */
+export const getAllMemberships = () => getAllFrom(STORES.MEMBERSHIPS);
+
+/** @returns {Promise<number[]>} Ids of the sessions the page belongs to */
+export const getSessionIdsForTab = (url) =>
+  runTransaction(STORES.MEMBERSHIPS, "readonly", (tx) => tx.objectStore(STORES.MEMBERSHIPS).index("url").getAll(url))
+    .then((rows) => rows.map((m) => m.sessionId));
+
+/** Adds the page to a session; a no-op if it is already there. */
+export const addTabToSession = (url, sessionId) =>
+  runTransaction(STORES.MEMBERSHIPS, "readwrite", (tx) => {
+    const memberships = tx.objectStore(STORES.MEMBERSHIPS);
+    memberships.get([sessionId, url]).onsuccess = (event) => {
+      if (!event.target.result) {
+        memberships.put({ sessionId, url, addedAt: new Date().toISOString() });
+      }
+    };
+  });
+
+/** Removes the page from a session, deleting the page once no session references it. */
+export const removeTabFromSession = (url, sessionId) =>
+  runTransaction([STORES.MEMBERSHIPS, STORES.TABS], "readwrite", (tx) => {
+    tx.objectStore(STORES.MEMBERSHIPS).delete([sessionId, url]);
+    deletePageIfOrphaned(tx, url);
+  });
+
+/** Moves the page from one session to another, keeping any other memberships. */
+export const moveTabToSession = (url, fromSessionId, toSessionId) =>
+  runTransaction(STORES.MEMBERSHIPS, "readwrite", (tx) => {
+    const memberships = tx.objectStore(STORES.MEMBERSHIPS);
+    memberships.delete([fromSessionId, url]);
+    memberships.get([toSessionId, url]).onsuccess = (event) => {
+      if (!event.target.result) {
+        memberships.put({ sessionId: toSessionId, url, addedAt: new Date().toISOString() });
+      }
+    };
+  });
+
+// --- Exclusion rules ---
+
+/** @returns {Promise<string[]>} Excluded domains */
+export async function getExcludedDomains() {
+  const rows = await getAllFrom(STORES.EXCLUDED_URLS);
+  return rows.map((item) => item.domain);
+}
+
+export const addExcludedDomain = (domain) =>
+  runTransaction(STORES.EXCLUDED_URLS, "readwrite", (tx) => tx.objectStore(STORES.EXCLUDED_URLS).add({ domain }));
+
+export const removeExcludedDomain = (domain) =>
+  runTransaction(STORES.EXCLUDED_URLS, "readwrite", (tx) => tx.objectStore(STORES.EXCLUDED_URLS).delete(domain));
+
+// --- Rejected tabs ---
+
+/** @returns {Promise<RejectedTab[]>} */
+export const getAllRejectedTabs = () => getAllFrom(STORES.REJECTED_TABS);
+
+export const putRejectedTab = (url, reason) =>
+  runTransaction(STORES.REJECTED_TABS, "readwrite", (tx) =>
+    tx.objectStore(STORES.REJECTED_TABS).put({ url, reason, timestamp: new Date().toISOString() }));
+
+// --- Capture queue ---
+
+/** @returns {Promise<QueuedTab[]>} Oldest first */
+export const getQueuedTabs = () =>
+  runTransaction(STORES.CAPTURE_QUEUE, "readonly", (tx) =>
+    tx.objectStore(STORES.CAPTURE_QUEUE).index("queuedAt").getAll());
+
+/** @param {QueuedTab[]} entries */
+export const queueTabs = (entries) =>
+  runTransaction(STORES.CAPTURE_QUEUE, "readwrite", (tx) => {
+    const store = tx.objectStore(STORES.CAPTURE_QUEUE);
+    for (const entry of entries) store.put(entry);
+  });
+
+/** @param {string[]} urls */
+export const removeQueuedTabs = (urls) =>
+  runTransaction(STORES.CAPTURE_QUEUE, "readwrite", (tx) => {
+    const store = tx.objectStore(STORES.CAPTURE_QUEUE);
+    for (const url of urls) store.delete(url);
+  });
+
+// --- Embeddings ---
+
+/** @returns {Promise<EmbeddingRecord[]>} */
+export const getAllEmbeddings = () => getAllFrom(STORES.EMBEDDINGS);
+
+/** @param {EmbeddingRecord[]} rows */
+export const putEmbeddings = (rows) =>
+  runTransaction(STORES.EMBEDDINGS, "readwrite", (tx) => {
+    const store = tx.objectStore(STORES.EMBEDDINGS);
+    for (const row of rows) store.put(row);
+  });
+
+/** @param {string[]} urls */
+export const deleteEmbeddings = (urls) =>
+  runTransaction(STORES.EMBEDDINGS, "readwrite", (tx) => {
+    const store = tx.objectStore(STORES.EMBEDDINGS);
+    for (const url of urls) store.delete(url);
+  });
+
+// --- Lexical index ---
+
+/** @returns {Promise<Array<LexicalDoc|undefined>>} */
+export const getLexicalDocs = (urls) => getMany(STORES.LEXICAL_DOCS, urls);
+
+/** @returns {Promise<Array<LexicalTerm|undefined>>} */
+export const getLexicalTerms = (terms) => getMany(STORES.LEXICAL_TERMS, terms);
+
+/**
+ * url -> textHash for every indexed page, read from the index keys only (no row values).
+ * @returns {Promise<Map<string, string>>}
+ */
+export const getLexicalDocHashes = () =>
+  runTransaction(STORES.LEXICAL_DOCS, "readonly", (tx) => {
+    const hashes = new Map();
+    tx.objectStore(STORES.LEXICAL_DOCS).index("textHash").openKeyCursor().onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      hashes.set(cursor.primaryKey, cursor.key);
+      cursor.continue();
+    };
+    return hashes;
+  });
+
+/**
+ * Writes a batch of index changes in one transaction.
+ * @param {{docs: LexicalDoc[], deletedUrls: string[], terms: LexicalTerm[], deletedTerms: string[]}} changes
+ */
+export const writeLexicalIndex = ({ docs, deletedUrls, terms, deletedTerms }) =>
+  runTransaction([STORES.LEXICAL_DOCS, STORES.LEXICAL_TERMS], "readwrite", (tx) => {
+    const docStore = tx.objectStore(STORES.LEXICAL_DOCS);
+    const termStore = tx.objectStore(STORES.LEXICAL_TERMS);
+    for (const url of deletedUrls) docStore.delete(url);
+    for (const doc of docs) docStore.put(doc);
+    for (const term of deletedTerms) termStore.delete(term);
+    for (const row of terms) termStore.put(row);
+  });
+
+// --- Summary cache ---
+
+/**
+ * @param {string[]} contentHashes
+ * @returns {Promise<Map<string, SummaryCacheEntry>>} Only the hashes that are cached
+ */
+export async function getCachedSummaries(contentHashes) {
+  const rows = await getMany(STORES.SUMMARY_CACHE, contentHashes);
+  return new Map(rows.filter(Boolean).map((row) => [row.contentHash, row]));
+}
+
+/**
+ * Stores summaries, then drops the least recently written entries beyond `maxEntries`.
+ * @param {SummaryCacheEntry[]} entries
+ * @param {number} maxEntries
+ */
+export const putCachedSummaries = (entries, maxEntries) =>
+  runTransaction(STORES.SUMMARY_CACHE, "readwrite", (tx) => {
+    const store = tx.objectStore(STORES.SUMMARY_CACHE);
+    for (const entry of entries) store.put(entry);
+    store.count().onsuccess = (event) => {
+      let excess = event.target.result - maxEntries;
+      if (excess <= 0) return;
+      store.index("updatedAt").openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor || excess-- <= 0) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    };
+  });
+
+// --- Conversations ---
+
+/** @returns {Promise<Conversation|undefined>} */
+export const getConversation = (scope) =>
+  runTransaction(STORES.CONVERSATIONS, "readonly", (tx) => tx.objectStore(STORES.CONVERSATIONS).get(scope));
+
+/** @param {Conversation} conversation */
+export const putConversation = (conversation) =>
+  runTransaction(STORES.CONVERSATIONS, "readwrite", (tx) => tx.objectStore(STORES.CONVERSATIONS).put(conversation));
+
+export const deleteConversation = (scope) =>
+  runTransaction(STORES.CONVERSATIONS, "readwrite", (tx) => tx.objectStore(STORES.CONVERSATIONS).delete(scope));
+
+// --- Trash ---
+// Deletes from the viewer move the removed rows here so they can be undone or restored.
+
+/** @returns {Promise<TrashEntry[]>} */
+export const getAllTrash = () => getAllFrom(STORES.TRASH);
+
+// Deletes the given memberships plus the pages they leave without any session, and records
+// everything in a trash entry. Resolves to the new trash entry id.
+async function moveToTrash(entry, memberships) {
+  const allMemberships = await getAllFrom(STORES.MEMBERSHIPS);
+  const removed = new Set(memberships.map((m) => `${m.sessionId}\n${m.url}`));
+  const stillHeld = new Set(
+    allMemberships.filter((m) => !removed.has(`${m.sessionId}\n${m.url}`)).map((m) => m.url)
+  );
+  const orphanUrls = [...new Set(memberships.map((m) => m.url))].filter((url) => !stillHeld.has(url));
+  const pages = (await Promise.all(orphanUrls.map(getTab))).filter(Boolean);
+
+  return runTransaction([STORES.SESSIONS, STORES.MEMBERSHIPS, STORES.TABS, STORES.TRASH], "readwrite", (tx) => {
+    if (entry.session) tx.objectStore(STORES.SESSIONS).delete(entry.session.id);
+    for (const m of memberships) tx.objectStore(STORES.MEMBERSHIPS).delete([m.sessionId, m.url]);
+    for (const page of pages) tx.objectStore(STORES.TABS).delete(page.url);
+    return tx.objectStore(STORES.TRASH).add({
+      ...entry,
+      deletedAt: new Date().toISOString(),
+      memberships,
+      pages,
+    });
+  });
+}
+
+/**
+ * Moves a session to the trash together with its tabs.
+ * @returns {Promise<number>} The trash entry id
+ */
+export async function trashSession(sessionId) {
+  const session = await getSession(sessionId);
+  if (!session) throw new Error(`Session ${sessionId} does not exist.`);
+  const memberships = await runTransaction(STORES.MEMBERSHIPS, "readonly", (tx) =>
+    tx.objectStore(STORES.MEMBERSHIPS).index("sessionId").getAll(sessionId));
+  return moveToTrash({ kind: "session", label: session.name, session }, memberships);
+}
+
+/**
+ * Moves a tab's membership in one session to the trash (and the page, if no other session holds it).
+ * @returns {Promise<number>} The trash entry id
+ */
+export async function trashTab(url, sessionId) {
+  const [membership, session, page] = await Promise.all([
+    runTransaction(STORES.MEMBERSHIPS, "readonly", (tx) => tx.objectStore(STORES.MEMBERSHIPS).get([sessionId, url])),
+    getSession(sessionId),
+    getTab(url),
+  ]);
+  if (!membership) throw new Error(`${url} is not in session ${sessionId}.`);
+  return moveToTrash(
+    { kind: "tab", label: page?.title || url, from: { id: sessionId, name: session?.name || "" } },
+    [membership]
+  );
+}
+
+/**
+ * Puts a trash entry's rows back. A session whose name was taken in the meantime comes back
+ * under a numbered name ("Work (2)") so it keeps all of its tabs; a tab whose session is gone
+ * goes back into a session of the same name. Pages saved again since the delete are kept.
+ * @returns {Promise<{sessionId: number, name: string}>} Where the rows were restored to
+ */
+export async function restoreTrashEntry(id) {
+  const entry = await runTransaction(STORES.TRASH, "readonly", (tx) => tx.objectStore(STORES.TRASH).get(id));
+  if (!entry) throw new Error(`Trash entry ${id} does not exist.`);
+
+  let target;
+  if (entry.kind === "session") {
+    const taken = new Set((await getAllSessions()).map((s) => s.name));
+    const idTaken = !!(await getSession(entry.session.id));
+    target = { id: idTaken ? undefined : entry.session.id, name: uniqueSessionName(entry.session.name, taken) };
+  } else {
+    const from = await getSession(entry.from.id);
+    target = from || { id: (await getOrCreateSession(entry.from.name || "Restored tabs")).id, name: entry.from.name };
+  }
+
+  return runTransaction([STORES.SESSIONS, STORES.MEMBERSHIPS, STORES.TABS, STORES.TRASH], "readwrite", (tx) => {
+    const tabStore = tx.objectStore(STORES.TABS);
+    const restored = { sessionId: target.id, name: target.name };
+    const putMemberships = (sessionId) => {
+      restored.sessionId = sessionId;
+      for (const m of entry.memberships || []) {
+        tx.objectStore(STORES.MEMBERSHIPS).put({ ...m, sessionId });
+      }
+    };
+
+    for (const page of entry.pages || []) {
+      tabStore.get(page.url).onsuccess = (event) => {
+        if (!event.target.result) tabStore.put(page);
+      };
+    }
+    if (entry.kind === "session") {
+      const session = { ...entry.session, name: target.name };
+      if (target.id === undefined) delete session.id;
+      tx.objectStore(STORES.SESSIONS).add(session).onsuccess = (event) => putMemberships(event.target.result);
+    } else {
+      putMemberships(target.id);
+    }
+    tx.objectStore(STORES.TRASH).delete(id);
+    return restored;
+  });
+}
+
+/** Permanently deletes a trash entry (its rows are already gone from the live stores). */
+export const deleteTrashEntry = (id) =>
+  runTransaction(STORES.TRASH, "readwrite", (tx) => tx.objectStore(STORES.TRASH).delete(id));
+
+/**
+ * Empties trash entries older than `retentionDays`.
+ * @returns {Promise<number>} Number of entries removed
+ */
+export function purgeTrash(retentionDays) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  return runTransaction(STORES.TRASH, "readwrite", (tx) => {
+    const result = { count: 0 };
+    tx.objectStore(STORES.TRASH).index("deletedAt").openCursor(IDBKeyRange.upperBound(cutoff, true)).onsuccess = (event) => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      cursor.delete();
+      result.count++;
+      cursor.continue();
+    };
+    return result;
+  }).then((result) => result.count);
+}
+
+// --- Settings ---
+// User preferences edited on the options page (defaults live in config.js), plus a little
+// background state that has to survive service-worker restarts.
+
+export const SETTING_KEYS = {
+  TRASH_RETENTION_DAYS: "trashRetentionDays",
+  AI_PROVIDER: "aiProvider",
+  REVIEW_THRESHOLD: "reviewConfidenceThreshold",
+  CAPTURE_SCOPE: "captureScope",
+  // {model, retryAfter}: the embeddings endpoint failed; index with hashed vectors until then
+  EMBEDDING_BACKOFF: "embeddingBackoff",
+};
+
+/** @returns {Promise<*>} The stored value, or `fallback` when unset */
+export const getSetting = (key, fallback) =>
+  runTransaction(STORES.SETTINGS, "readonly", (tx) => tx.objectStore(STORES.SETTINGS).get(key))
+    .then((row) => (row === undefined ? fallback : row.value));
+
+export const putSetting = (key, value) =>
+  runTransaction(STORES.SETTINGS, "readwrite", (tx) => tx.objectStore(STORES.SETTINGS).put({ key, value }));
+
+// --- Archive ---
+
+/** @returns {Promise<ArchivedEntry[]>} */
+export const getAllArchived = () => getAllFrom(STORES.ARCHIVED);
+
+/**
+ * Applies the archive retention policy: drops rows older than `retentionDays`, then the
+ * oldest rows beyond `maxEntries`.
+ * @returns {Promise<number>} Number of purged rows
+ */
+export function purgeArchived({ retentionDays, maxEntries }) {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+  return runTransaction(STORES.ARCHIVED, "readwrite", (tx) => {
+    const store = tx.objectStore(STORES.ARCHIVED);
+    const purged = { count: 0 };
+    store.count().onsuccess = (e) => {
+      let remaining = e.target.result || 0;
+      // Walk oldest first and stop at the first row that is inside both limits
+      store.index("archivedAt").openCursor().onsuccess = (ev) => {
+        const cursor = ev.target.result;
+        if (!cursor) return;
+        if (cursor.value.archivedAt < cutoff || remaining > maxEntries) {
+          cursor.delete();
+          purged.count++;
+          remaining--;
+          cursor.continue();
+        }
+      };
+    };
+    return purged;
+  }).then((purged) => purged.count);
+}
+
+const deleteArchived = (id) =>
+  runTransaction(STORES.ARCHIVED, "readwrite", (tx) => tx.objectStore(STORES.ARCHIVED).delete(id));
+
+// Sessions an archived tab belonged to (entries from before memberships carry data.sessionId)
+function archivedSessionIds(entry) {
+  if (Array.isArray(entry.sessionIds)) return entry.sessionIds;
+  return typeof entry.data?.sessionId === "number" ? [entry.data.sessionId] : [];
+}
+
+/**
+ * Restores an archived tab or session. Restoring a session also brings back every archived
+ * tab that belonged to it; restoring a tab brings back its sessions when those were archived too.
+ * @param {ArchivedEntry} entry
+ */
+export async function restoreArchivedEntry(entry) {
+  const archived = await getAllArchived();
+  const archivedSessions = new Map(
+    archived.filter((a) => a.kind === "session" && a.data).map((a) => [a.data.id, a])
+  );
+  const tabEntries = entry.kind === "session"
+    ? archived.filter((a) => a.kind === "tab" && archivedSessionIds(a).includes(entry.data?.id))
+    : [entry];
+
+  // Map an archived session id to a live one, bringing the session back from the archive if
+  // needed. A session of the same name created in the meantime is reused (names are unique).
+  const liveIds = new Map();
+  const resolveSession = async (sessionId) => {
+    if (liveIds.has(sessionId)) return liveIds.get(sessionId);
+    let liveId = null;
+    if (typeof sessionId === "number" && await getSession(sessionId)) {
+      liveId = sessionId;
+    } else if (archivedSessions.has(sessionId)) {
+      const archivedSession = archivedSessions.get(sessionId);
+      const sameName = await getSessionByName(archivedSession.data.name);
+      liveId = sameName
+        ? sameName.id
+        : await runTransaction(STORES.SESSIONS, "readwrite", (tx) =>
+            tx.objectStore(STORES.SESSIONS).add({ ...archivedSession.data }));
+      await deleteArchived(archivedSession.id);
+    }
+    liveIds.set(sessionId, liveId);
+    return liveId;
+  };
+
+  if (entry.kind === "session") {
+    await resolveSession(entry.data?.id);
+  }
+  for (const tabEntry of tabEntries) {
+    const sessionIds = [];
+    for (const archivedId of archivedSessionIds(tabEntry)) {
+      const liveId = await resolveSession(archivedId);
+      if (liveId !== null) sessionIds.push(liveId);
+    }
+    if (sessionIds.length === 0) {
+      sessionIds.push((await getOrCreateSession("Restored tabs")).id);
+    }
+    const { sessionId, ...page } = tabEntry.data || {};
+    const addedAt = new Date().toISOString();
+    await runTransaction([STORES.TABS, STORES.MEMBERSHIPS, STORES.ARCHIVED], "readwrite", (tx) => {
+      // A row for the URL was captured after the page was archived; keep it (and its fresher
+      // summary) like restoreTrashEntry does, and only bring back the memberships
+      const tabStore = tx.objectStore(STORES.TABS);
+      tabStore.get(page.url).onsuccess = (event) => {
+        if (!event.target.result) tabStore.put(page);
+      };
+      for (const id of sessionIds) {
+        tx.objectStore(STORES.MEMBERSHIPS).put({ sessionId: id, url: page.url, addedAt });
+      }
+      tx.objectStore(STORES.ARCHIVED).delete(tabEntry.id);
+    });
+  }
+}
+
+// --- Runs ---
+
+/** @returns {Promise<Run[]>} */
+export const getAllRuns = () => getAllFrom(STORES.RUNS);
+
+/** @returns {Promise<number>} The new run id */
+export const addRun = (run) =>
+  runTransaction(STORES.RUNS, "readwrite", (tx) => tx.objectStore(STORES.RUNS).add(run));
+
+/** @param {Run} run */
+export const putRun = (run) =>
+  runTransaction(STORES.RUNS, "readwrite", (tx) => tx.objectStore(STORES.RUNS).put(run));
+
+// Put back the rows a journal recorded, newest change first
+function revertChanges(tx, changes) {
+  for (let i = changes.length - 1; i >= 0; i--) {
+    const { store, key, before } = changes[i];
+    const target = tx.objectStore(store);
+    if (!before) {
+      target.delete(key);
+    } else if (store === STORES.TABS && typeof before.sessionId === "number") {
+      // Journaled before memberships existed: restore the link as a membership row
+      const { sessionId, ...page } = before;
+      target.put(page);
+      tx.objectStore(STORES.MEMBERSHIPS).put({ sessionId, url: page.url, addedAt: page.timestamp });
+    } else {
+      target.put(before);
+    }
+  }
+}
+
+/**
+ * The only run undoRun accepts: the newest run that is not undone and changed something, if it
+ * completed. Replaying an older run's snapshots would overwrite what later runs wrote.
+ * @param {Run[]} runs
+ * @returns {number|undefined}
+ */
+export function latestUndoableRunId(runs) {
+  const latest = [...runs]
+    .sort((a, b) => b.id - a.id)
+    .find((r) => r.status === "running" || (r.status !== "undone" && r.changes?.length > 0));
+  return latest?.status === "completed" ? latest.id : undefined;
+}
+
+/**
+ * Reverts every change journaled by a run, newest first, and marks the run as undone. Only the
+ * latest run can be undone (see latestUndoableRunId); undo later runs first.
+ * @param {number} runId
+ */
+export async function undoRun(runId) {
+  const journaled = [STORES.TABS, STORES.MEMBERSHIPS, STORES.SESSIONS, STORES.ARCHIVED, STORES.REVIEW_QUEUE];
+  let failure = null;
+  try {
+    await runTransaction([STORES.RUNS, ...journaled], "readwrite", (tx) => {
+      const runsStore = tx.objectStore(STORES.RUNS);
+      runsStore.getAll().onsuccess = (e) => {
+        const runs = e.target.result || [];
+        const run = runs.find((r) => r.id === runId);
+        if (!run || run.status === "running" || run.status === "undone") {
+          failure = new Error(!run ? `Run ${runId} not found` : `Run ${runId} is ${run.status}`);
+          tx.abort();
+          return;
+        }
+        if (latestUndoableRunId(runs) !== runId) {
+          failure = new Error(`Run ${runId} has later runs; undo those first.`);
+          tx.abort();
+          return;
+        }
+        revertChanges(tx, Array.isArray(run.changes) ? run.changes : []);
+        runsStore.put({ ...run, status: "undone", undoneAt: new Date().toISOString() });
+      };
+    });
+  } catch (err) {
+    throw failure || err;
+  }
+}
+
+// --- Corrections ---
+
+/** @returns {Promise<Correction[]>} Oldest first */
+export const getAllCorrections = () => getAllFrom(STORES.CORRECTIONS);
+
+/**
+ * Records a manual correction, dropping the oldest ones beyond `maxEntries`.
+ * @param {Omit<Correction, 'id'|'createdAt'>} correction
+ * @param {number} maxEntries
+ */
+export const logCorrection = (correction, maxEntries) =>
+  runTransaction(STORES.CORRECTIONS, "readwrite", (tx) => {
+    const store = tx.objectStore(STORES.CORRECTIONS);
+    store.add({ ...correction, createdAt: new Date().toISOString() });
+    store.count().onsuccess = (event) => {
+      let excess = event.target.result - maxEntries;
+      if (excess <= 0) return;
+      store.index("createdAt").openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor || excess-- <= 0) return;
+        cursor.delete();
+        cursor.continue();
+      };
+    };
+  });
+
+// --- Review queue ---
+
+/** @returns {Promise<ReviewItem[]>} Pages waiting in the "Needs review" inbox */
+export const getPendingReviewItems = () =>
+  runTransaction(STORES.REVIEW_QUEUE, "readonly", (tx) => tx.objectStore(STORES.REVIEW_QUEUE).index("status").getAll("pending"));
+
+/** @returns {Promise<ReviewItem|undefined>} */
+export const getReviewItem = (id) =>
+  runTransaction(STORES.REVIEW_QUEUE, "readonly", (tx) => tx.objectStore(STORES.REVIEW_QUEUE).get(id));
+
+/**
+ * Files a pending review item: writes its tab row and memberships and records the decision.
+ * Rejects if the item was already filed or the session no longer exists.
+ * @param {number} id
+ * @param {number[]} sessionIds - The chosen session first, then any others the page also joins
+ * @param {Omit<ReviewDecision, 'decidedAt'>} decision
+ * @returns {Promise<ReviewItem>} The filed item
+ */
+export async function fileReviewItem(id, sessionIds, decision) {
+  const { REVIEW_QUEUE, SESSIONS, TABS, MEMBERSHIPS } = STORES;
+  let failure = null;
+  const result = { item: undefined };
+  try {
+    await runTransaction([REVIEW_QUEUE, SESSIONS, TABS, MEMBERSHIPS], "readwrite", (tx) => {
+      const fail = (err) => {
+        failure = err;
+        tx.abort();
+      };
+      const queue = tx.objectStore(REVIEW_QUEUE);
+      queue.get(id).onsuccess = (event) => {
+        const item = event.target.result;
+        if (!item || item.status !== "pending") {
+          fail(new Error(!item ? `Review item ${id} not found` : `Review item ${id} was already filed`));
+          return;
+        }
+        tx.objectStore(SESSIONS).get(decision.sessionId).onsuccess = (event2) => {
+          if (!event2.target.result) {
+            fail(new Error(`Session ${decision.sessionId} does not exist.`));
+            return;
+          }
+          const now = new Date().toISOString();
+          tx.objectStore(TABS).put({ ...item.tab, timestamp: now });
+          for (const sessionId of new Set(sessionIds)) {
+            tx.objectStore(MEMBERSHIPS).put({ sessionId, url: item.url, addedAt: now });
+          }
+          result.item = { ...item, status: "filed", decision: { ...decision, decidedAt: now } };
+          queue.put(result.item);
+        };
+      };
+    });
+  } catch (err) {
+    throw failure || err;
+  }
+  return result.item;
+}
+
+// --- Tidy proposals ---
+
+/** @returns {Promise<TidyProposal[]>} */
+export const getAllTidyProposals = () => getAllFrom(STORES.TIDY_PROPOSALS);
+
+/**
+ * Replaces the proposals of the previous tidy job with new pending ones. Accepted proposals are
+ * kept so they can still be undone.
+ * @param {Array<Omit<TidyProposal, 'id'|'status'|'createdAt'>>} proposals
+ */
+export const replaceTidyProposals = (proposals) =>
+  runTransaction(STORES.TIDY_PROPOSALS, "readwrite", (tx) => {
+    const store = tx.objectStore(STORES.TIDY_PROPOSALS);
+    const createdAt = new Date().toISOString();
+    store.getAll().onsuccess = (event) => {
+      for (const old of event.target.result || []) {
+        if (old.status !== "accepted") store.delete(old.id);
+      }
+      for (const proposal of proposals) store.add({ ...proposal, status: "pending", createdAt });
+    };
+  });
+
+// Runs `work(tx, proposal, fail)` on a tidy proposal in the given status; rejects if it is in
+// another one. `fail(error)` aborts the transaction and rejects with that error.
+async function decideTidyProposal(id, expectedStatus, storeNames, work) {
+  let failure = null;
+  try {
+    await runTransaction([STORES.TIDY_PROPOSALS, ...storeNames], "readwrite", (tx) => {
+      const fail = (err) => {
+        failure = err;
+        tx.abort();
+      };
+      tx.objectStore(STORES.TIDY_PROPOSALS).get(id).onsuccess = (event) => {
+        const proposal = event.target.result;
+        if (!proposal || proposal.status !== expectedStatus) {
+          fail(new Error(!proposal ? `Proposal ${id} not found` : `Proposal ${id} is ${proposal.status}`));
+          return;
+        }
+        work(tx, proposal, fail);
+      };
+    });
+  } catch (err) {
+    throw failure || err;
+  }
+}
+
+/** Marks a pending proposal as dismissed. */
+export const dismissTidyProposal = (id) =>
+  decideTidyProposal(id, "pending", [], (tx, proposal) => {
+    tx.objectStore(STORES.TIDY_PROPOSALS).put({ ...proposal, status: "dismissed", decidedAt: new Date().toISOString() });
+  });
+
+/**
+ * Applies a pending proposal in one transaction, journaling every write. Rejects without changing
+ * anything if the sessions changed so much since the proposal was made that it no longer applies.
+ * - merge: the session with the most tabs absorbs the others and takes the proposed name
+ * - split: the first group stays in the session (renamed); every other group becomes a new session
+ * - rename: the session takes the proposed name
+ * Names already taken by another session get a " (2)" style suffix.
+ * @param {number} id
+ */
+export const acceptTidyProposal = (id) =>
+  decideTidyProposal(id, "pending", [STORES.SESSIONS, STORES.MEMBERSHIPS], (tx, proposal, fail) => {
+    const { SESSIONS, MEMBERSHIPS } = STORES;
+    const sessionStore = tx.objectStore(SESSIONS);
+    const membershipStore = tx.objectStore(MEMBERSHIPS);
+    const changes = [];
+    const stale = () => new Error("The sessions changed since this proposal was made; run Tidy sessions again.");
+
+    sessionStore.getAll().onsuccess = (event) => {
+      const sessionsById = new Map((event.target.result || []).map((s) => [s.id, s]));
+      membershipStore.getAll().onsuccess = (event2) => {
+        const members = new Map(); // sessionId -> Membership[]
+        for (const m of event2.target.result || []) {
+          if (!members.has(m.sessionId)) members.set(m.sessionId, []);
+          members.get(m.sessionId).push(m);
+        }
+        const membersOf = (sessionId) => members.get(sessionId) || [];
+        const involved = proposal.sessionIds.map((sid) => sessionsById.get(sid));
+        if (involved.some((s) => !s)) return fail(stale());
+        const taken = new Set([...sessionsById.values()]
+          .filter((s) => !proposal.sessionIds.includes(s.id))
+          .map((s) => s.name));
+        const claimName = (name) => {
+          const unique = uniqueSessionName(name, taken);
+          taken.add(unique);
+          return unique;
+        };
+        const rename = (session, name) => {
+          if (session.name === name) return;
+          changes.push({ store: SESSIONS, key: session.id, before: session });
+          sessionStore.put({ ...session, name });
+        };
+        const move = (membership, toSessionId) => {
+          changes.push({ store: MEMBERSHIPS, key: [membership.sessionId, membership.url], before: membership });
+          membershipStore.delete([membership.sessionId, membership.url]);
+          if (!membersOf(toSessionId).some((m) => m.url === membership.url)) {
+            const row = { sessionId: toSessionId, url: membership.url, addedAt: membership.addedAt };
+            changes.push({ store: MEMBERSHIPS, key: [toSessionId, membership.url], before: null });
+            membershipStore.put(row);
+            membersOf(toSessionId).push(row);
+          }
+        };
+        const finish = () => {
+          tx.objectStore(STORES.TIDY_PROPOSALS).put({
+            ...proposal,
+            status: "accepted",
+            decidedAt: new Date().toISOString(),
+            changes,
+          });
+        };
+
+        if (proposal.kind === "merge") {
+          const [target, ...sources] = [...involved].sort((a, b) => membersOf(b.id).length - membersOf(a.id).length);
+          for (const source of sources) {
+            for (const m of [...membersOf(source.id)]) move(m, target.id);
+            changes.push({ store: SESSIONS, key: source.id, before: source });
+            sessionStore.delete(source.id);
+          }
+          rename(target, claimName(proposal.name));
+          finish();
+        } else if (proposal.kind === "rename") {
+          rename(involved[0], claimName(proposal.name));
+          finish();
+        } else if (proposal.kind === "split") {
+          const session = involved[0];
+          const current = new Map(membersOf(session.id).map((m) => [m.url, m]));
+          const groups = proposal.groups
+            .map((g) => ({ name: g.name, urls: g.urls.filter((url) => current.has(url)) }))
+            .filter((g) => g.urls.length > 0);
+          if (groups.length < 2) return fail(stale());
+          rename(session, claimName(groups[0].name));
+          let remaining = groups.length - 1;
+          for (const group of groups.slice(1)) {
+            sessionStore.add({ name: claimName(group.name) }).onsuccess = (event3) => {
+              const newId = event3.target.result;
+              changes.push({ store: SESSIONS, key: newId, before: null });
+              for (const url of group.urls) move(current.get(url), newId);
+              if (--remaining === 0) finish();
+            };
+          }
+        } else {
+          fail(new Error(`Unknown proposal kind "${proposal.kind}"`));
+        }
+      };
+    };
+  });
+
+/**
+ * Reverts an accepted proposal and marks it as undone.
+ * @param {number} id
+ */
+export const undoTidyProposal = (id) =>
+  decideTidyProposal(id, "accepted", [STORES.SESSIONS, STORES.MEMBERSHIPS], (tx, proposal) => {
+    revertChanges(tx, proposal.changes || []);
+    tx.objectStore(STORES.TIDY_PROPOSALS).put({ ...proposal, status: "undone", decidedAt: new Date().toISOString() });
+  });
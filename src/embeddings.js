@@ -0,0 +1,246 @@
+// Local embedding index for semantic search.
+// Every saved page gets a vector (title + summary) in the embeddings store when it is saved. A
+// query is embedded once and compared against all vectors locally; the nearest pages, fused with
+// the BM25 hits of lexical_index.js, go to the LLM for re-ranking, so the number of model calls
+// per search no longer grows with history.
+
+import { config } from './config.js';
+import { getAllEmbeddings, putEmbeddings, deleteEmbeddings, getTabs, getSetting, putSetting, SETTING_KEYS } from './db.js';
+import { getAIProvider } from './ai_providers.js';
+import { searchRelevantTabs } from './firebase_ai.js';
+import { fnv1a, tokenize } from './tokenize.js';
+import { lexicalSearch } from './lexical_index.js';
+
+// --- Local hashed embeddings ---
+// Used when the AI provider has no embeddings API or its endpoint fails. Feature
+// hashing of words and word pairs: no model download and fully offline. It captures shared
+// vocabulary rather than meaning, which is why the LLM still re-ranks the candidates.
+
+export const HASHED_EMBEDDING_MODEL = "hashed-384-v1";
+const HASHED_DIMENSIONS = 384;
+
+function normalize(vector) {
+  let norm = 0;
+  for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) {
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+  }
+  return vector;
+}
+
+/** @returns {Float32Array} L2-normalized vector */
+export function hashedEmbedding(text) {
+  const counts = new Map();
+  const tokens = tokenize(text);
+  tokens.forEach((token, i) => {
+    counts.set(token, (counts.get(token) || 0) + 1);
+    if (i > 0) {
+      const pair = `${tokens[i - 1]} ${token}`;
+      counts.set(pair, (counts.get(pair) || 0) + 0.5);
+    }
+  });
+  const vector = new Float32Array(HASHED_DIMENSIONS);
+  for (const [feature, count] of counts) {
+    const hash = fnv1a(feature);
+    // The top bit picks the sign so colliding features tend to cancel out instead of piling up
+    vector[hash % HASHED_DIMENSIONS] += (hash & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+  }
+  return normalize(vector);
+}
+
+const hashedEmbedder = {
+  model: HASHED_EMBEDDING_MODEL,
+  embed: async (texts) => texts.map(hashedEmbedding),
+};
+
+/**
+ * The provider's embeddings when it has them, otherwise local hashed vectors. A failed call
+ * records a back-off in the settings store: until it expires the provider is not called at all,
+ * and the first successful call after it clears it.
+ * @returns {Promise<{model: string, embed: (texts: string[], kind?: 'document'|'query') => Promise<Float32Array[]>}>}
+ */
+async function getEmbedder() {
+  const provider = await getAIProvider();
+  if (typeof provider.embed !== "function") return hashedEmbedder;
+  const model = `${provider.id}:${provider.embeddingModel}`;
+  let backoff = await getSetting(SETTING_KEYS.EMBEDDING_BACKOFF, null).catch(() => null);
+  if (backoff?.model !== model) backoff = null;
+  if (backoff && Date.now() < backoff.retryAfter) return hashedEmbedder;
+  return {
+    model,
+    embed: async (texts, kind) => {
+      let vectors;
+      try {
+        vectors = await provider.embed(texts, kind);
+      } catch (e) {
+        const retryAfter = Date.now() + config.search.embeddingRetryMinutes * 60 * 1000;
+        await putSetting(SETTING_KEYS.EMBEDDING_BACKOFF, { model, retryAfter }).catch(() => {});
+        throw e;
+      }
+      if (backoff) {
+        backoff = null;
+        await putSetting(SETTING_KEYS.EMBEDDING_BACKOFF, null).catch(() => {});
+      }
+      return vectors.map((v) => normalize(Float32Array.from(v)));
+    },
+  };
+}
+
+// --- Index maintenance ---
+
+const embeddingText = (tab) => `${tab?.title || ""}\n${tab?.summary ?? tab?.content ?? ""}`.trim();
+
+// Embed (in batches) and store vectors for tabs that have none or an outdated one. With `upgrade`,
+// vectors from another model are replaced too; the hashed fallback leaves them alone.
+async function updateEmbeddings(tabs, embedder, existing, upgrade) {
+  const stale = [];
+  for (const tab of tabs) {
+    if (!tab?.url) continue;
+    const text = embeddingText(tab);
+    const textHash = fnv1a(text).toString(16);
+    const row = existing.get(tab.url);
+    if (!row || row.textHash !== textHash || (upgrade && row.model !== embedder.model)) stale.push({ url: tab.url, text, textHash });
+  }
+  const batchSize = config.search.embedBatchSize;
+  for (let i = 0; i < stale.length; i += batchSize) {
+    const batch = stale.slice(i, i + batchSize);
+    const vectors = await embedder.embed(batch.map((s) => s.text));
+    const updatedAt = new Date().toISOString();
+    const rows = batch.map((s, j) => ({ url: s.url, model: embedder.model, textHash: s.textHash, vector: vectors[j], updatedAt }));
+    await putEmbeddings(rows);
+    for (const row of rows) existing.set(row.url, row);
+  }
+  return stale.length;
+}
+
+/**
+ * Embeds saved pages right after they are written (called from saveAISummaries).
+ * Falls back to hashed vectors while the provider's embeddings endpoint is failing; those rows
+ * are re-embedded by the provider once it answers again.
+ * @param {Array<{url: string, title: string, summary: string}>} tabs
+ * @returns {Promise<number>} Number of pages embedded
+ */
+export async function indexTabs(tabs) {
+  if (!Array.isArray(tabs) || tabs.length === 0) return 0;
+  const existing = new Map((await getAllEmbeddings()).map((row) => [row.url, row]));
+  const embedder = await getEmbedder();
+  if (embedder !== hashedEmbedder) {
+    try {
+      return await updateEmbeddings(tabs, embedder, existing, true);
+    } catch (e) {
+      // Batches embedded before the failure are kept; the rest get hashed vectors below
+      console.warn(`Embedding endpoint failed; using local hashed vectors for ${config.search.embeddingRetryMinutes} min.`, String(e));
+    }
+  }
+  return await updateEmbeddings(tabs, hashedEmbedder, existing, false);
+}
+
+/**
+ * Brings the index in line with the saved pages: embeds pages that are missing, changed or
+ * embedded by another model (saved before the index existed, imported, restored, provider
+ * switched) and drops pages no longer saved. Run when the service worker starts, not per search.
+ * @param {Array<{url: string, title: string, summary?: string}>} tabs - All saved pages
+ * @returns {Promise<number>} Number of pages embedded or removed
+ */
+export async function syncEmbeddings(tabs) {
+  const saved = new Set(tabs.map((t) => t?.url).filter(Boolean));
+  const orphaned = (await getAllEmbeddings()).map((row) => row.url).filter((url) => !saved.has(url));
+  if (orphaned.length > 0) await deleteEmbeddings(orphaned);
+  return orphaned.length + await indexTabs(tabs);
+}
+
+// --- Search ---
+
+// Reciprocal rank fusion constant: damps the weight of the very top ranks of either list
+const RRF_K = 60;
+
+const dot = (a, b) => {
+  let sum = 0;
+  const n = Math.min(a.length, b.length);
+  for (let i = 0; i < n; i++) sum += a[i] * b[i];
+  return sum;
+};
+
+// One ranking per embedding model, each searched with a query vector from that same model.
+// Rows of the selected provider are skipped while it is backing off; rows of a provider that is
+// no longer selected wait for the next sync to re-embed them.
+async function nearestRankings(query, urls) {
+  const rowsByModel = new Map();
+  for (const row of await getAllEmbeddings()) {
+    if (urls && !urls.has(row.url)) continue;
+    if (!rowsByModel.has(row.model)) rowsByModel.set(row.model, []);
+    rowsByModel.get(row.model).push(row);
+  }
+  const embedder = await getEmbedder();
+  const rankings = [];
+  for (const [model, rows] of rowsByModel) {
+    let queryVector;
+    if (model === HASHED_EMBEDDING_MODEL) {
+      [queryVector] = await hashedEmbedder.embed([query]);
+    } else if (model === embedder.model) {
+      try {
+        [queryVector] = await embedder.embed([query], "query");
+      } catch (e) {
+        console.warn("Embedding endpoint failed; searching hashed vectors only.", String(e));
+        continue;
+      }
+    } else {
+      continue;
+    }
+    rankings.push(rows
+      .map((row) => ({ url: row.url, similarity: dot(queryVector, row.vector) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, config.search.rerankCandidates));
+  }
+  return rankings;
+}
+
+/**
+ * BM25 and nearest-neighbour search over the saved pages, fused, then an LLM re-rank of the top
+ * candidates. Reads the indexes and pages from IndexedDB; pages are indexed when they are saved
+ * (indexTabs, indexTabsLexically) and backfilled at startup. When the LLM is unreachable the
+ * BM25 ranking is returned instead; `rankedBy` tells which one the results came from.
+ * @param {string} query
+ * @param {number} [topK=3]
+ * @param {{urls?: Set<string>}} [options] - `urls` limits the results to those pages (e.g. one session)
+ * @returns {Promise<Array<{url: string, title: string, summary: string, score: number, rankedBy: 'ai'|'lexical'}>>}
+ */
+export async function semanticSearch(query, topK = 3, { urls } = {}) {
+  if (!query) return [];
+  let lexicalHits = [];
+  try {
+    lexicalHits = await lexicalSearch(query, config.search.lexicalCandidates, { urls });
+  } catch (e) {
+    console.warn("Lexical search failed:", String(e));
+  }
+  let nearest = [];
+  try {
+    nearest = await nearestRankings(query, urls);
+  } catch (e) {
+    console.warn("Embedding search failed:", String(e));
+  }
+
+  // Reciprocal rank fusion of the rankings; pages they agree on come first
+  const fused = new Map();
+  for (const ranking of [lexicalHits, ...nearest]) {
+    ranking.forEach(({ url }, rank) => fused.set(url, (fused.get(url) || 0) + 1 / (RRF_K + rank + 1)));
+  }
+  const candidateUrls = [...fused]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, config.search.rerankCandidates)
+    .map(([url]) => url);
+  // Entries of pages deleted since the last sync have no row and drop out here
+  const candidates = (await getTabs(candidateUrls)).filter(Boolean);
+  if (candidates.length === 0) return [];
+  console.log(`🧭 Re-ranking ${candidates.length} candidate(s) with the LLM.`);
+
+  try {
+    const results = await searchRelevantTabs(candidates, query, topK);
+    return results.map((r) => ({ ...r, rankedBy: "ai" }));
+  } catch (e) {
+    console.warn("AI re-ranking failed; returning BM25 results.", String(e));
+    const best = lexicalHits[0]?.score || 1;
+    return lexicalHits.slice(0, topK).map((h) => ({ ...h, score: h.score / best, rankedBy: "lexical" }));
+  }
+}
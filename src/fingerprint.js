@@ -0,0 +1,57 @@
+// Content fingerprints for captured pages: an exact hash of the normalized text (cache key for
+// summaries) and a MinHash sketch that estimates how much of a page changed between captures.
+
+import { fnv1a, tokenize } from './tokenize.js';
+
+const SKETCH_SIZE = 64;
+const SHINGLE_SIZE = 3;
+
+// Murmur3 finalizer: spreads one FNV hash into independent-looking values per seed
+function mix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+const SEEDS = Array.from({ length: SKETCH_SIZE }, (_, i) => fnv1a(`nemo-minhash-${i}`));
+
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Fingerprints page text. Case, punctuation, whitespace and stopwords are ignored, so cosmetic
+ * differences hash the same.
+ * @param {string} text
+ * @returns {Promise<{contentHash: string, sketch: number[]}>}
+ */
+export async function contentFingerprint(text) {
+  const tokens = tokenize(text || "");
+  const sketch = new Array(SKETCH_SIZE).fill(0xffffffff);
+  const shingleCount = Math.max(1, tokens.length - SHINGLE_SIZE + 1);
+  for (let i = 0; i < shingleCount && tokens.length > 0; i++) {
+    const base = fnv1a(tokens.slice(i, i + SHINGLE_SIZE).join(" "));
+    for (let j = 0; j < SKETCH_SIZE; j++) {
+      const h = mix32(base ^ SEEDS[j]);
+      if (h < sketch[j]) sketch[j] = h;
+    }
+  }
+  return { contentHash: await sha256Hex(tokens.join(" ")), sketch };
+}
+
+/**
+ * Estimated share of content (shingles) that differs between two sketches, from 0 (same) to 1.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export function contentChange(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || a.length === 0) return 1;
+  let same = 0;
+  for (let i = 0; i < a.length; i++) if (a[i] === b[i]) same++;
+  return 1 - same / a.length;
+}
@@ -1,7 +1,6 @@
-import { initializeApp } from "firebase/app";
-import { getAI, getGenerativeModel, GoogleAIBackend, InferenceMode, Schema } from "firebase/ai";
 import { get_encoding } from "tiktoken";
 import { config } from "./config.js";
+import { getAIProvider } from "./ai_providers.js";
 
 // --- Utilities ---
 const sleep = (ms) => new Promise((res) => setTimeout(res, ms));
@@ -37,162 +36,170 @@ class RateLimiter {
     }
 }
 
-// --- Firebase Configuration ---
-const {
-  VITE_FIREBASE_API_KEY: apiKey,
-  VITE_FIREBASE_AUTH_DOMAIN: authDomain,
-  VITE_FIREBASE_PROJECT_ID: projectId,
-  VITE_FIREBASE_STORAGE_BUCKET: storageBucket,
-  VITE_FIREBASE_MESSAGING_SENDER_ID: messagingSenderId,
-  VITE_FIREBASE_APP_ID: appId,
-  VITE_FIREBASE_MEASUREMENT_ID: measurementId
-} = import.meta.env;
-
-const firebaseConfig = { apiKey, authDomain, projectId, storageBucket, messagingSenderId, appId, measurementId };
-
-// --- AI Initialization ---
-const firebaseApp = initializeApp(firebaseConfig);
-const ai = getAI(firebaseApp, { backend: new GoogleAIBackend() });
-
-// --- Response Schema Definition ---
-const responseSchema = Schema.array({
-    items: Schema.object({
+// --- Response Schema Definitions ---
+// Plain JSON Schema; each provider converts or forwards it (see ai_providers.js).
+// Object properties not listed in `required` are optional.
+
+// Kinds of page the model may report as content_type
+export const CONTENT_TYPES = ["article", "docs", "repo", "video", "product", "forum", "news", "paper", "reference", "tool", "social", "other"];
+
+// Structured page metadata requested alongside each summary. Reading time is not asked for: the
+// model only sees (a summary of) the page, so it is computed from the captured text instead.
+const metadataProperties = {
+    key_points: { type: "array", items: { type: "string" } },
+    entities: { type: "array", items: { type: "string" } },
+    tags: { type: "array", items: { type: "string" } },
+    content_type: { type: "string", enum: CONTENT_TYPES },
+    language: { type: "string" },
+};
+
+const classifySchema = {
+    type: "array",
+    items: {
+        type: "object",
         properties: {
-            tab_id: Schema.string(),
-            session_name: Schema.string(),
-            summarized_content: Schema.string(),
+            tab_id: { type: "string" },
+            session_name: { type: "string" },
+            summarized_content: { type: "string" },
+            // How sure the model is of session_name (0..1) and why it chose it
+            confidence: { type: "number" },
+            reason: { type: "string" },
+            ...metadataProperties,
             // Optional: session id for mapping to DB; use null/omitted when creating a new session
-            session_id: Schema.number(),
-        }
-    })
-});
+            session_id: { type: "number" },
+            // Optional: further sessions the tab also belongs to (a page may sit in several)
+            additional_sessions: {
+                type: "array",
+                items: {
+                    type: "object",
+                    properties: {
+                        session_name: { type: "string" },
+                        session_id: { type: "number" },
+                    },
+                    required: ["session_name"],
+                },
+            },
+        },
+        required: ["tab_id", "session_name", "summarized_content", "confidence", "reason", ...Object.keys(metadataProperties)],
+    },
+};
 
 // --- Prompt Template ---
+const METADATA_RULES = `- key_points: 3-7 short sentences with the page's main takeaways.
+- entities: named people, organizations, products, places and technologies the page is about.
+- tags: 3-8 short lowercase topical tags (e.g. "machine learning", "travel"), not the site name.
+- content_type: one of ${CONTENT_TYPES.join(", ")}.
+- language: ISO 639-1 code of the page's main language (e.g. "en").`;
+
 const promptTemplate = `You are an AI session classifier.
 Task: Only classify NEW tabs into sessions and summarize ONLY the new tabs.
 
 Existing sessions (from history) are immutable: do not rename, merge, or recreate them. If a new tab clearly belongs to one of the existing sessions, assign it to that session and use the exact session_name and session_id provided. If no existing session fits, propose a new session by providing a specific, descriptive session_name and OMIT the session_id field.
 
 Output JSON ONLY as an array of objects with this exact shape:
-{ tab_id: string, session_name: string, summarized_content: string, session_id?: number }
+{ tab_id: string, session_name: string, summarized_content: string, confidence: number, reason: string, session_id?: number, additional_sessions?: [{ session_name: string, session_id?: number }] }
 
 Rules:
 - Do not include historical tabs in the output (they are already stored). Output objects ONLY for the new tabs provided below.
 - Set tab_id EXACTLY to the tab's URL from the input.
 - For assignment to existing sessions, copy session_name exactly as shown and set session_id to that numeric id.
 - For a new session, choose a new session_name (not generic), and omit session_id entirely (do not include null or 0).
+- Sessions listed as "proposed earlier in this run" have no id yet. If a tab fits one, copy its session_name exactly and omit session_id instead of inventing a similar name.
+- A tab may belong to more than one session. Put its best-fitting session in session_name/session_id and list any other sessions it clearly also belongs to in additional_sessions (same id rules). Omit additional_sessions when there are none.
+- confidence: a number from 0 to 1 for how clearly the tab belongs in session_name. Use 0.9 or more only when the fit is obvious; below 0.6 when the tab could as well go elsewhere or you are guessing from little content. Low-confidence tabs are shown to the user for review, so be honest rather than optimistic.
+- reason: one short sentence on why the tab belongs in session_name (e.g. the shared topic or project).
 - summarized_content: a factual summary that captures the main ideas and sections/topics covered, key entities/terms, and important facts. Make it searchable later by including concrete terms and section-level themes. Limit to a maximum of 500 words. Plain text only; no markdown.
+${METADATA_RULES}
 `;
 
-/**
- * Gets the configuration for the generative model.
- */
-const getModelConfig = () => ({
-    // Prioritize the cloud model for this large task.
-    mode: InferenceMode.PREFER_IN_CLOUD,
-
-    // --- 1. Cloud Model Configuration (Primary) ---
-    inCloudParams: {
-        model: "gemini-2.5-pro",
-        generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: responseSchema,
-            temperature: 0,
-            maxOutputTokens: 65000,
-            candidateCount: 1,
-        },
-    },
-
-    // --- 2. On-Device Model Configuration (Fallback) ---
-    onDeviceParams: {
-        promptOptions: {
-            responseConstraint: responseSchema,
-        },
-        createOptions: {
-            temperature: 0,
-        }
-    }
-});
-
-// Create a `GenerativeModel` instance
-let model = getGenerativeModel(ai, getModelConfig());
-
-// --- Lite Model Config & Instance (for per-tab pre-summaries) ---
-const liteResponseSchema = Schema.array({
-    items: Schema.object({
+// --- Lite schema (for per-tab pre-summaries) ---
+const liteSchema = {
+    type: "array",
+    items: {
+        type: "object",
         properties: {
-            url: Schema.string(),
-            title: Schema.string(),
-            summary: Schema.string(),
-        }
-    })
-});
-
-const getLiteModelConfig = () => ({
-    mode: InferenceMode.PREFER_ON_DEVICE,
-    inCloudParams: {
-        model: "gemini-2.5-flash-lite",
-        generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: liteResponseSchema,
-            temperature: 0,
-            maxOutputTokens: 2048,
-            candidateCount: 1,
+            url: { type: "string" },
+            title: { type: "string" },
+            summary: { type: "string" },
+            ...metadataProperties,
         },
     },
-    onDeviceParams: {
-        // Enforce JSON shape on-device as well
-        promptOptions: {
-            responseConstraint: liteResponseSchema,
-        },
-        // Keep it deterministic
-        createOptions: { temperature: 0 },
-    }
-});
+};
 
-let liteModel = getGenerativeModel(ai, getLiteModelConfig());
 // Global limiter for lite-model requests (configurable RPM)
 const liteLimiter = new RateLimiter(config.liteSummary.rpm, 60_000);
 
-// --- Search-specific schema & model (separate from summarization) ---
-const searchResponseSchema = Schema.array({
-    items: Schema.object({
+// --- Search-specific schema (separate from summarization) ---
+const searchSchema = {
+    type: "array",
+    items: {
+        type: "object",
         properties: {
-            url: Schema.string(),
-            title: Schema.string(),
-            summary: Schema.string(),
-            score: Schema.number(),
-        }
-    })
-});
-
-const getSearchModelConfig = () => ({
-    mode: InferenceMode.PREFER_ON_DEVICE,
-    inCloudParams: {
-        model: "gemini-2.5-flash-lite",
-        generationConfig: {
-            responseMimeType: "application/json",
-            responseSchema: searchResponseSchema,
-            temperature: 0,
-            maxOutputTokens: 1024,
-            candidateCount: 1,
+            url: { type: "string" },
+            title: { type: "string" },
+            summary: { type: "string" },
+            score: { type: "number" },
         },
     },
-    onDeviceParams: {
-        promptOptions: {
-            responseConstraint: searchResponseSchema,
+};
+
+// --- Session synopsis schema ---
+const synopsisSchema = {
+    type: "object",
+    properties: {
+        about: { type: "string" },
+        open_questions: { type: "array", items: { type: "string" } },
+        relations: { type: "string" },
+    },
+};
+
+// --- Chat answer schema ---
+const chatSchema = {
+    type: "object",
+    properties: {
+        answer: { type: "string" },
+        citations: { type: "array", items: { type: "string" } },
+    },
+};
+
+// --- Session maintenance ("Tidy sessions") schema ---
+const tidySchema = {
+    type: "object",
+    properties: {
+        proposals: {
+            type: "array",
+            items: {
+                type: "object",
+                properties: {
+                    kind: { type: "string", enum: ["merge", "split", "rename"] },
+                    session_ids: { type: "array", items: { type: "integer" } },
+                    name: { type: "string" },
+                    groups: {
+                        type: "array",
+                        items: {
+                            type: "object",
+                            properties: {
+                                name: { type: "string" },
+                                urls: { type: "array", items: { type: "string" } },
+                            },
+                        },
+                    },
+                    reason: { type: "string" },
+                },
+                required: ["kind", "session_ids", "reason"],
+            },
         },
-        createOptions: { temperature: 0 },
-    }
-});
+    },
+};
 
-let searchModel = getGenerativeModel(ai, getSearchModelConfig());
+// Output token caps per task
+const MAX_OUTPUT_TOKENS = { classify: 65000, lite: 2048, search: 1024, synopsis: 2048, chat: 4096, tidy: 8192 };
 
 /**
- * Recreates the generative model instance.
+ * Drops the active provider's cached model clients so the next call starts fresh.
  */
-function recreateModel() {
-    model = getGenerativeModel(ai, getModelConfig());
+async function recreateModel() {
+    (await getAIProvider()).reset();
 }
 
 /**
@@ -218,159 +225,217 @@ function normalizeContent(content) {
     return cleanedContent;
 }
 
+// Sessions a history tab belongs to, as [{ id, name }]; older callers pass a single sessionId/sessionName
+function historySessionsOf(t) {
+    if (Array.isArray(t.sessions)) return t.sessions.filter(s => typeof s.id === 'number');
+    return typeof t.sessionId === 'number' ? [{ id: t.sessionId, name: t.sessionName }] : [];
+}
+
+// Echo a history tab back in the response shape so downstream reconciliation keeps it (and all its sessions)
+function passthroughResult(h) {
+    const [first, ...rest] = historySessionsOf(h);
+    return {
+        tab_id: h.url,
+        session_name: first?.name || h.sessionName || 'Uncategorized',
+        summarized_content: h.content || '',
+        session_id: first ? first.id : null,
+        additional_sessions: rest.map(s => ({ session_name: s.name || 'Uncategorized', session_id: s.id })),
+    };
+}
+
+const stringList = (value, max) => (Array.isArray(value) ? value : [])
+    .filter(v => typeof v === 'string' && v.trim())
+    .map(v => v.trim())
+    .slice(0, max);
+
+/**
+ * Normalizes the metadata fields of a classify or lite response item.
+ * @returns {{keyPoints: string[], entities: string[], tags: string[], contentType: string, language: string}}
+ */
+export function tabMetadataOf(item) {
+    const tags = [...new Set(stringList(item?.tags, 16).map(t => t.toLowerCase().replace(/^#/, '')))].slice(0, 8);
+    const language = typeof item?.language === 'string' ? item.language.trim().toLowerCase().slice(0, 8) : '';
+    return {
+        keyPoints: stringList(item?.key_points, 10),
+        entities: [...new Set(stringList(item?.entities, 30))],
+        tags,
+        contentType: CONTENT_TYPES.includes(item?.content_type) ? item.content_type : 'other',
+        language,
+    };
+}
+
+// Case-, spacing- and punctuation-insensitive key for comparing session names
+const sessionNameKey = (name) => String(name || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+
+// Final pass over merged batch results: one row per tab, new session names that differ only in
+// case or punctuation folded into the first spelling, and new names that match an existing
+// session mapped onto it.
+function dedupeSessionNames(results, sessionsById) {
+    const existingByKey = new Map();
+    for (const sess of sessionsById.values()) existingByKey.set(sessionNameKey(sess.name), sess);
+    const canonicalNames = new Map(); // key -> first spelling seen
+
+    const canonicalRef = (ref) => {
+        if (sessionsById.has(Number(ref?.session_id))) return { session_name: ref.session_name, session_id: Number(ref.session_id) };
+        const key = sessionNameKey(ref?.session_name);
+        const existing = existingByKey.get(key);
+        if (existing) return { session_name: existing.name, session_id: existing.id };
+        if (!canonicalNames.has(key)) canonicalNames.set(key, ref?.session_name || 'Uncategorized');
+        return { session_name: canonicalNames.get(key) };
+    };
+
+    const seenTabs = new Set();
+    const merged = [];
+    for (const r of results) {
+        if (!r || typeof r.tab_id !== 'string' || seenTabs.has(r.tab_id)) continue;
+        seenTabs.add(r.tab_id);
+        const primary = canonicalRef(r);
+        const refKey = (ref) => ref.session_id ?? sessionNameKey(ref.session_name);
+        const seenRefs = new Set([refKey(primary)]);
+        const additional = [];
+        for (const extra of Array.isArray(r.additional_sessions) ? r.additional_sessions : []) {
+            const ref = canonicalRef(extra);
+            if (seenRefs.has(refKey(ref))) continue;
+            seenRefs.add(refKey(ref));
+            additional.push(ref);
+        }
+        const { session_id: _id, additional_sessions: _extra, ...rest } = r;
+        merged.push({ ...rest, ...primary, ...(additional.length ? { additional_sessions: additional } : {}) });
+    }
+    return merged;
+}
+
+// The user's corrections (see corrections.js) as a prompt section within config.corrections.maxTokens:
+// session notes first, then labelled example pages. Empty when there is nothing to say.
+function renderGuidance(guidance, countTokens) {
+    if (!guidance || (guidance.sessionNotes.length === 0 && guidance.examples.length === 0)) return '';
+    const budget = config.corrections.maxTokens;
+    let text = "\nThe user's own corrections. They override your judgement: file new tabs that match a pattern or resemble an example the same way, using the session_id given.\n";
+    let used = countTokens(text);
+    const append = (line) => {
+        const cost = countTokens(line);
+        if (used + cost > budget) return false;
+        text += line;
+        used += cost;
+        return true;
+    };
+    for (const note of guidance.sessionNotes) {
+        const facts = [
+            note.createdByUser ? 'created by the user' : '',
+            note.renamedFrom ? `renamed by the user from "${note.renamedFrom}"` : '',
+            note.patterns.length ? `the user files pages from ${note.patterns.join(', ')} here` : '',
+            note.count ? `${note.count} page(s) filed here by hand` : '',
+        ].filter(Boolean);
+        if (!append(`- Session "${note.name}" (ID ${note.sessionId}): ${facts.join('; ')}.\n`)) break;
+    }
+    if (guidance.examples.length > 0 && append("Pages the user filed by hand:\n")) {
+        for (const e of guidance.examples) {
+            const from = e.fromSessionName ? ` (moved out of "${e.fromSessionName}")` : '';
+            if (!append(`- ${e.title} | ${e.url} -> "${e.sessionName}" (ID ${e.sessionId})${from}\n`)) break;
+        }
+    }
+    return text;
+}
+
 /**
  * Sends a list of tabs to the AI model for summarization and session grouping.
+ * New tabs are classified in batches that each fit in `maxTokens` (map); every batch sees the
+ * session catalog, including sessions proposed by earlier batches, and the merged results get a
+ * final pass that folds duplicate new session names together (reduce).
  * @param {Array<Object>} tabs - An array of tab objects.
- * @param {number} [maxTokens=120000] - Max INPUT tokens for the prompt.
+ * @param {number} [maxTokens=120000] - Max INPUT tokens per prompt.
  * NOTE: This is a safety rail to prevent hitting the absolute max.
  * The cloud model (2.5 Pro) has a large limit, but being slightly
  * under is safer and avoids rate limit errors.
+ * @param {import('./corrections.js').ClassificationGuidance} [guidance] - The user's corrections,
+ *   added to every batch as session notes and examples
  */
-async function summarizeTabs(tabs, maxTokens = config.summarize.maxTokens) {
+async function summarizeTabs(tabs, maxTokens = config.summarize.maxTokens, guidance = null) {
     if (!Array.isArray(tabs)) {
         throw new Error('summarizeTabs expects an array of tabs');
     }
 
     const encoding = get_encoding("cl100k_base");
-
-    let tabsInput = '';
-    let tabsInPrompt = 0;
-    // Get token cost of the base prompt
-    let totalTokens = encoding.encode(promptTemplate).length;
+    const countTokens = (text) => encoding.encode(text).length;
+    const guidanceText = renderGuidance(guidance, countTokens);
+    const promptTokens = countTokens(promptTemplate) + countTokens(guidanceText);
 
     // Partition into history vs current
     const historyTabs = tabs.filter(t => t && t.source === 'history');
     const currentTabs = tabs.filter(t => !t || t.source !== 'history');
 
-    // Build existing sessions catalog from history tabs
+    // Build existing sessions catalog from history tabs (a tab is listed under each of its sessions)
     const sessionsById = new Map(); // id -> { id, name, urls: [] }
     for (const t of historyTabs) {
-        const sid = typeof t.sessionId === 'number' ? t.sessionId : undefined;
-        const sname = t.sessionName || 'Uncategorized';
-        if (sid !== undefined) {
-            if (!sessionsById.has(sid)) sessionsById.set(sid, { id: sid, name: sname, urls: [] });
+        for (const { id: sid, name } of historySessionsOf(t)) {
+            if (!sessionsById.has(sid)) sessionsById.set(sid, { id: sid, name: name || 'Uncategorized', urls: [] });
             const bucket = sessionsById.get(sid);
             if (t.url) bucket.urls.push(t.url);
         }
     }
-
-    const appendSectionHeader = (text) => {
-        const header = `\n${text}\n`;
-        const cost = encoding.encode(header).length;
-        if (totalTokens + cost <= maxTokens) {
-            tabsInput += header;
-            totalTokens += cost;
+    // Sessions proposed by earlier batches of this call: normalized name -> { name, urls: [] }
+    const proposedSessions = new Map();
+
+    // Existing sessions briefly (ids, names, sample URLs) — we don't include history content to save
+    // tokens — then the ones proposed so far. Capped at config.summarize.catalogShare of the budget.
+    const buildCatalog = () => {
+        const budget = Math.floor(maxTokens * config.summarize.catalogShare);
+        let catalog = '';
+        let used = 0;
+        const append = (text) => {
+            const cost = countTokens(text);
+            if (used + cost > budget) return false;
+            catalog += text;
+            used += cost;
             return true;
+        };
+        // limit sample URLs to avoid token bloat
+        const sample = (urls) => urls.slice(0, 5).join('\n- ');
+        if (sessionsById.size > 0 && append('\nExisting sessions (immutable):\n')) {
+            for (const sess of sessionsById.values()) {
+                if (!append(`\n<SESSION>\nID: ${sess.id}\nName: ${sess.name}\nKnown URLs (sample):\n- ${sample(sess.urls)}`)) break;
+            }
+        }
+        if (proposedSessions.size > 0 && append('\nNew sessions proposed earlier in this run (no id yet):\n')) {
+            for (const sess of proposedSessions.values()) {
+                if (!append(`\n<SESSION>\nName: ${sess.name}\nKnown URLs (sample):\n- ${sample(sess.urls)}`)) break;
+            }
         }
-        return false;
+        return catalog;
     };
 
-    const appendTab = (t) => {
+    const tabsHeader = '\nNewly collected open tabs (to classify and summarize):\n';
+
+    // Renders a tab, truncating its content to what is left of `available` tokens; null if even
+    // the header and footer do not fit
+    const renderTab = (t, available) => {
         const tabHeader = `\n<NEMO_tab>\nID: ${t.url}\nTitle: ${t.title}\nURL: ${t.url}\nContent:\n<CONTENT_START>\n`;
         const tabFooter = `\n<CONTENT_END>`;
-        
-        // Calculate tokens for header and footer
-        const headerTokens = encoding.encode(tabHeader).length;
-        const footerTokens = encoding.encode(tabFooter).length;
-        const wrapperTokens = headerTokens + footerTokens;
-
-        if (totalTokens + wrapperTokens > maxTokens) {
-            console.warn('Skipping tab: Not enough space for tab header/footer.');
-            return false; // Cannot add more, not even the header
-        }
-        
-        // Calculate available tokens for the content itself
-        let availableTokens = maxTokens - totalTokens - wrapperTokens;
-        
+        const wrapperTokens = countTokens(tabHeader) + countTokens(tabFooter);
+        if (wrapperTokens >= available) return null;
+
         // Normalize content *first*
         const normalizedContent = normalizeContent(t.content);
-        let contentTokens = encoding.encode(normalizedContent);
-
-        let truncatedContent;
-        if (contentTokens.length > availableTokens) {
-            // Truncate the tokens and then decode
-            const truncatedTokenSlice = contentTokens.slice(0, availableTokens);
+        const contentTokens = encoding.encode(normalizedContent);
+        let truncatedContent = normalizedContent;
+        if (contentTokens.length > available - wrapperTokens) {
             // encoding.decode returns a string; no TextDecoder needed
-            truncatedContent = encoding.decode(truncatedTokenSlice);
-            console.warn(`Content for tab ${t.url} was truncated to fit within the token limit.`);
-        } else {
-            truncatedContent = normalizedContent;
+            truncatedContent = encoding.decode(contentTokens.slice(0, available - wrapperTokens));
         }
-
-        const finalTabString = `${tabHeader}${truncatedContent}${tabFooter}`;
-        const finalTabTokens = encoding.encode(finalTabString).length;
-
-        // Final check: In rare cases, encoding(header) + encoding(truncated) might be
-        // slightly different from encoding(header + truncated).
-        if (totalTokens + finalTabTokens > maxTokens) {
-             console.warn(`Skipping tab ${t.url} due to final token check mismatch.`);
-             return false;
-        }
-
-        tabsInput += finalTabString;
-        totalTokens += finalTabTokens;
-        tabsInPrompt++;
-        return true;
+        const text = `${tabHeader}${truncatedContent}${tabFooter}`;
+        // In rare cases, encoding(header) + encoding(truncated) differs from encoding(header + truncated)
+        const tokens = countTokens(text);
+        return tokens <= available ? { text, tokens, truncated: truncatedContent !== normalizedContent } : null;
     };
 
-    // 1) Describe existing sessions briefly (ids, names, sample URLs) — we don't include history content to save tokens
-    if (sessionsById.size > 0) {
-        const headerOk = appendSectionHeader('Existing sessions (immutable):');
-        if (headerOk) {
-            for (const sess of sessionsById.values()) {
-                // limit sample URLs to avoid token bloat
-                const sample = sess.urls.slice(0, 5).join('\n- ');
-                const block = `\n<SESSION>\nID: ${sess.id}\nName: ${sess.name}\nKnown URLs (sample):\n- ${sample}`;
-                const cost = encoding.encode(block).length;
-                if (totalTokens + cost <= maxTokens) {
-                    tabsInput += block;
-                    totalTokens += cost;
-                } else {
-                    break;
-                }
-            }
-        }
-    }
-
-    // 2) Include only NEW tabs for classification/summarization
-    if (currentTabs.length > 0) {
-        if (appendSectionHeader('Newly collected open tabs (to classify and summarize):')) {
-            for (const t of currentTabs) {
-                if (!appendTab(t)) break; // Stop if we run out of tokens
-            }
-        }
-    }
-
-    console.log(`📊 Prompt includes ${tabsInPrompt} of ${tabs.length} tabs provided.`);
-    console.log(`📊 Final prompt token count: ${totalTokens} (Max: ${maxTokens})`);
-
-    // If no new tabs could be added, return passthrough of historical with no AI call
-    if (tabsInPrompt === 0) {
-        console.warn("No tabs could be added to the prompt. Aborting AI call.");
-        // Return existing history as-is so downstream reconciliation doesn't delete them
-        return historyTabs.map(h => ({
-            tab_id: h.url,
-            session_name: h.sessionName || 'Uncategorized',
-            summarized_content: h.content || '',
-            session_id: typeof h.sessionId === 'number' ? h.sessionId : null,
-        }));
-    }
+    const provider = await getAIProvider();
 
-    const finalPrompt = `${promptTemplate}\n${tabsInput}`;
-    console.log(`📝 Sending final prompt to AI (${totalTokens} tokens).`);
-
-    const request = {
-        contents: [
-            { role: 'user', parts: [{ text: finalPrompt }] }
-        ]
-    };
-
-    // Helper: retry cloud call when aborted/timeouts occur
-    const callWithRetry = async (req, attempts = 2) => {
+    // Helper: retry the call when aborted/timeouts occur
+    const callWithRetry = async (prompt, attempts = 2) => {
         let lastErr;
         for (let i = 0; i <= attempts; i++) {
             try {
-                return await model.generateContent(req);
+                return await provider.generate('classify', prompt, { schema: classifySchema, maxOutputTokens: MAX_OUTPUT_TOKENS.classify });
             } catch (error) {
                 const msg = String(error?.message || error || '');
                 const isAbort = /aborted|AbortError|The user aborted a request/i.test(msg);
@@ -387,60 +452,112 @@ async function summarizeTabs(tabs, maxTokens = config.summarize.maxTokens) {
         throw lastErr;
     };
 
-    try {
-        const result = await callWithRetry(request, 2);
-        // Log which inference source was used by the model (cloud vs on-device)
-        try {
-            console.log('You used: ' + (result?.response?.inferenceSource || 'unknown'));
-        } catch {}
-        const responseText = result.response.text();
-        console.log("🤖 Raw AI Response:", responseText);
+    // Remember the new sessions a batch proposed so later batches can reuse them
+    const recordProposals = (results) => {
+        for (const r of results) {
+            for (const ref of [r, ...(Array.isArray(r?.additional_sessions) ? r.additional_sessions : [])]) {
+                if (!ref?.session_name || sessionsById.has(Number(ref.session_id))) continue;
+                const key = sessionNameKey(ref.session_name);
+                if (!proposedSessions.has(key)) proposedSessions.set(key, { name: ref.session_name, urls: [] });
+                if (typeof r.tab_id === 'string') proposedSessions.get(key).urls.push(r.tab_id);
+            }
+        }
+    };
+
+    // Classifies one batch of rendered tabs; throws on API errors and malformed JSON
+    const aiResults = [];
+    const classifyBatch = async (label, catalog, tabsInput) => {
+        const finalPrompt = `${promptTemplate}\n${guidanceText}${catalog}${tabsHeader}${tabsInput}`;
+        const responseText = await callWithRetry(finalPrompt, 2);
+        console.log(`🤖 Raw AI Response (batch ${label}):`, responseText);
+        // With schema enforcement, the response should be valid JSON.
+        const parsed = JSON.parse(responseText);
+        if (!Array.isArray(parsed)) {
+            throw new Error('AI response was not an array');
+        }
+        recordProposals(parsed);
+        aiResults.push(...parsed.map(r => ({ ...r, metadata: tabMetadataOf(r) })));
+    };
+
+    // 1) Map: classify new tabs batch by batch, each prompt within maxTokens
+    const truncatedUrls = new Set();
+    let next = 0;
+    let batchCount = 0;
+    let failedBatches = 0;
+    while (next < currentTabs.length) {
+        const catalog = buildCatalog();
+        let available = maxTokens - promptTokens - countTokens(catalog) - countTokens(tabsHeader);
+        const rendered = [];
+        while (next < currentTabs.length && rendered.length < config.summarize.maxTabsPerBatch) {
+            const tab = renderTab(currentTabs[next], available);
+            // A tab is only truncated to fit when it starts a batch; otherwise it opens the next one
+            if (!tab || (rendered.length > 0 && tab.truncated)) break;
+            if (tab.truncated) {
+                console.warn(`Content for tab ${currentTabs[next].url} was truncated to fit within the token limit.`);
+                truncatedUrls.add(currentTabs[next].url);
+            }
+            rendered.push(tab.text);
+            available -= tab.tokens;
+            next++;
+        }
+        if (rendered.length === 0) {
+            console.warn(`Skipping tab ${currentTabs[next]?.url}: not enough space for it in the prompt.`);
+            next++;
+            continue;
+        }
 
+        batchCount++;
+        console.log(`📝 Sending classification batch ${batchCount} (${rendered.length} tab(s), ${maxTokens - available} tokens; ${next}/${currentTabs.length} new tabs).`);
         try {
-            // With schema enforcement, the response should be valid JSON.
-            const parsed = JSON.parse(responseText);
-            if (!Array.isArray(parsed)) {
-                throw new Error('AI response was not an array');
+            await classifyBatch(batchCount, catalog, rendered.join(''));
+        } catch (error) {
+            // Often a rate limit (429), an API error or malformed JSON (e.g. an output cut off in a
+            // large batch). Retry once as two half-size batches; tabs that still fail are left out,
+            // and the caller reports them on the run.
+            console.error(`❌ Classification batch ${batchCount} failed; retrying at half size.`, error);
+            const half = Math.ceil(rendered.length / 2);
+            const halves = [rendered.slice(0, half), rendered.slice(half)].filter(part => part.length > 0);
+            for (const [i, part] of halves.entries()) {
+                try {
+                    await classifyBatch(`${batchCount}.${i + 1}`, buildCatalog(), part.join(''));
+                } catch (retryError) {
+                    failedBatches++;
+                    console.error(`❌ Classification batch ${batchCount}.${i + 1} failed again (${part.length} tab(s) left out).`, retryError);
+                }
             }
-            // Merge: pass-through all history tabs, and append AI results for new tabs
-            const passthrough = historyTabs.map(h => ({
-                tab_id: h.url,
-                session_name: h.sessionName || 'Uncategorized',
-                summarized_content: h.content || '',
-                session_id: typeof h.sessionId === 'number' ? h.sessionId : null,
-            }));
-            return [...passthrough, ...parsed];
-        } catch (jsonError) {
-            console.error("❌ JSON parsing failed even with schema enforcement.", jsonError.message, "Response was:", responseText);
-            // Fallback: if AI part fails, at least return historical
-            return historyTabs.map(h => ({
-                tab_id: h.url,
-                session_name: h.sessionName || 'Uncategorized',
-                summarized_content: h.content || '',
-                session_id: typeof h.sessionId === 'number' ? h.sessionId : null,
-            })); 
         }
-    } catch (error) {
-        console.error("❌ Error during AI content generation.", error);
-        // This is often a rate limit (429) or other API error.
-        // Return historical only to avoid data loss downstream
-        return historyTabs.map(h => ({
-            tab_id: h.url,
-            session_name: h.sessionName || 'Uncategorized',
-            summarized_content: h.content || '',
-            session_id: typeof h.sessionId === 'number' ? h.sessionId : null,
-        }));
     }
+    console.log(`📊 Classified ${currentTabs.length} new tab(s) in ${batchCount} batch(es) (${failedBatches} half-size retries failed).`);
+
+    // 2) Reduce: merge, keeping one result per tab and one spelling per new session
+    // Pass-through all history tabs so downstream reconciliation doesn't delete them
+    const passthrough = historyTabs.map(passthroughResult);
+    const merged = dedupeSessionNames(aiResults, sessionsById)
+        .map(r => (truncatedUrls.has(r.tab_id) ? { ...r, coverage: 'partial' } : r));
+    return [...passthrough, ...merged];
 }
 
 export { summarizeTabs };
 export { recreateModel };
 
+// "Author: …" / "Published: …" / "Updated: …" lines from the metadata content.js collected
+function pageFactLines(page) {
+    const date = (iso) => (iso ? iso.slice(0, 10) : "");
+    return [
+        page?.author ? `Author: ${page.author}` : "",
+        date(page?.publishedAt) ? `Published: ${date(page.publishedAt)}` : "",
+        date(page?.modifiedAt) ? `Updated: ${date(page.modifiedAt)}` : "",
+    ].filter(Boolean).map(line => `${line}\n`).join("");
+}
+
 /**
- * Quickly summarizes a single tab's content using the lite model to save tokens.
- * Returns a short plain-text summary. If it fails, returns an empty string.
- * @param {{title: string, url: string, content: string}} tab
- * @param {number} [maxInputTokens=6000] - Max input tokens passed to the lite model
+ * Quickly summarizes tabs using the lite model to save tokens, several tabs per request.
+ * Pages longer than `perTabMaxTokens` are summarized section by section (see summarizeLongTab).
+ * Returns results in input order, skipping tabs that failed; returns [] if everything fails.
+ * @param {Array<{title: string, url: string, content: string, page?: import('./db.js').PageMetadata}>} tabs
+ * @param {string} [customInstruction]
+ * @param {number} [perTabMaxTokens] - Max input tokens per tab in a single request
+ * @returns {Promise<Array<{url: string, title: string, summary: string, coverage: 'full'|'partial'}>>}
  */
 export async function summarizeTabsLiteBatch(tabs, customInstruction = "", perTabMaxTokens = config.liteSummary.perTabMaxTokens) {
     if (!Array.isArray(tabs) || tabs.length === 0) return [];
@@ -450,19 +567,24 @@ export async function summarizeTabsLiteBatch(tabs, customInstruction = "", perTa
     const CONCURRENCY = config.liteSummary.concurrency;
 
         const encoding = get_encoding("cl100k_base");
+        const provider = await getAIProvider();
 
         // Helper to build and run a single chunk request
-        const summarizeChunk = async (chunkTabs) => {
+        const summarizeChunk = async (chunkTabs, instruction = customInstruction, maxTokensPerTab = perTabMaxTokens) => {
             let promptParts = [
                 "You are a helpful assistant that summarizes multiple web pages.",
                 "For each input tab, return JSON ONLY as an array of objects: { url: string, title: string, summary: string }.",
                     "Each summary must be factual and information-dense, capturing the main ideas and section-level topics, key entities/terms, and important facts so it can be searched later. Limit each summary to a maximum of 500 words. Keep it neutral and self-contained. Plain text only; no markdown.",
                 "Match each output object's url and title exactly to the input URL and title.",
+                "When a tab lists its author or publish date, state them in the summary.",
+                "PDF content marks each page with [Page N]; give the page numbers of the main sections in the summary (e.g. \"results on pp. 7-9\").",
+                "Also return for each tab:",
+                METADATA_RULES,
                 "Strict formatting: Output must be valid RFC 8259 JSON.",
             ];
 
-            if (customInstruction) {
-                promptParts.push(String(customInstruction));
+            if (instruction) {
+                promptParts.push(String(instruction));
             }
 
             promptParts.push("Input tabs follow with delimiters; do not include the inputs in your output.");
@@ -472,22 +594,20 @@ export async function summarizeTabsLiteBatch(tabs, customInstruction = "", perTa
                 const url = t?.url || "";
                 const normalized = normalizeContent(t?.content || t?.summary || "");
                 const tokens = encoding.encode(normalized);
-                const truncated = tokens.length > perTabMaxTokens
-                    ? encoding.decode(tokens.slice(0, perTabMaxTokens))
+                const truncated = tokens.length > maxTokensPerTab
+                    ? encoding.decode(tokens.slice(0, maxTokensPerTab))
                     : normalized;
                 promptParts.push(
-                    `\n<NEMO_tab>\nTitle: ${title}\nURL: ${url}\nContent:\n<CONTENT_START>\n${truncated}\n<CONTENT_END>`
+                    `\n<NEMO_tab>\nTitle: ${title}\nURL: ${url}\n${pageFactLines(t?.page)}Content:\n<CONTENT_START>\n${truncated}\n<CONTENT_END>`
                 );
             }
 
-            const request = {
-                contents: [ { role: 'user', parts: [{ text: promptParts.join("\n") }] } ]
-            };
-
             // Respect rate limit before issuing the request
             await liteLimiter.acquire();
-            const result = await liteModel.generateContent(request);
-            const text = (result?.response?.text?.() || "").trim();
+            const text = await provider.generate('lite', promptParts.join("\n"), {
+                schema: liteSchema,
+                maxOutputTokens: MAX_OUTPUT_TOKENS.lite,
+            });
             let parsed;
             try {
                 parsed = JSON.parse(text);
@@ -503,19 +623,21 @@ export async function summarizeTabsLiteBatch(tabs, customInstruction = "", perTa
                     url: typeof item.url === 'string' ? item.url : "",
                     title: typeof item.title === 'string' ? item.title : "Untitled",
                     summary: typeof item.summary === 'string' ? item.summary : "",
+                    coverage: 'full',
+                    metadata: tabMetadataOf(item),
                 }))
                 .filter(x => x.url);
         };
 
-        // Small input optimization: single request path
-        if (tabs.length <= BATCH_SIZE) {
-            return await summarizeChunk(tabs);
-        }
+        // Pages longer than perTabMaxTokens are summarized section by section instead of from their head
+        const isLong = (t) => encoding.encode(normalizeContent(t?.content || t?.summary || "")).length > perTabMaxTokens;
+        const longTabs = tabs.filter(isLong);
+        const shortTabs = tabs.filter(t => !longTabs.includes(t));
 
-        // Split into chunks of 5
+        // Split into chunks of BATCH_SIZE
         const chunks = [];
-        for (let i = 0; i < tabs.length; i += BATCH_SIZE) {
-            chunks.push(tabs.slice(i, i + BATCH_SIZE));
+        for (let i = 0; i < shortTabs.length; i += BATCH_SIZE) {
+            chunks.push(shortTabs.slice(i, i + BATCH_SIZE));
         }
 
         // Concurrency-limited mapper
@@ -534,7 +656,13 @@ export async function summarizeTabsLiteBatch(tabs, customInstruction = "", perTa
         };
 
     // Run up to CONCURRENCY chunk requests at a time
-        const chunkResults = await mapWithConcurrency(chunks, CONCURRENCY, summarizeChunk);
+        const chunkResults = await mapWithConcurrency(chunks, CONCURRENCY, chunk => summarizeChunk(chunk));
+        if (longTabs.length > 0) {
+            console.log(`📚 Summarizing ${longTabs.length} long page(s) section by section.`);
+            const longResults = await mapWithConcurrency(longTabs, CONCURRENCY, t =>
+                summarizeLongTab(t, encoding, summarizeChunk, mapWithConcurrency));
+            chunkResults.push(longResults.filter(Boolean));
+        }
 
         // Flatten and dedupe by URL (last wins)
         const byUrl = new Map();
@@ -557,6 +685,86 @@ export async function summarizeTabsLiteBatch(tabs, customInstruction = "", perTa
     }
 }
 
+// Splits normalized page text into sections of at most `maxTokens`, breaking at line boundaries
+// (paragraphs, headings) where possible
+function splitIntoSections(text, encoding, maxTokens) {
+    const sections = [];
+    let current = [];
+    let currentTokens = 0;
+    const flush = () => {
+        if (current.length > 0) sections.push(current.join("\n"));
+        current = [];
+        currentTokens = 0;
+    };
+    for (const line of text.split("\n")) {
+        const tokens = encoding.encode(line);
+        if (tokens.length > maxTokens) {
+            // A single huge line (minified text, tables) is cut into token slices
+            flush();
+            for (let i = 0; i < tokens.length; i += maxTokens) {
+                sections.push(encoding.decode(tokens.slice(i, i + maxTokens)));
+            }
+            continue;
+        }
+        if (currentTokens + tokens.length > maxTokens) flush();
+        current.push(line);
+        currentTokens += tokens.length + 1;
+    }
+    flush();
+    return sections.filter(s => s.trim().length > 0);
+}
+
+// Map-reduce summary of one long page: summarize up to config.liteSummary.maxSections sections
+// (spread evenly over the page when there are more), then combine the section summaries.
+// coverage is 'partial' when sections were skipped or failed.
+async function summarizeLongTab(tab, encoding, summarizeChunk, mapWithConcurrency) {
+    const { sectionMaxTokens, maxSections, sectionSummaryWords } = config.liteSummary;
+    const sections = splitIntoSections(normalizeContent(tab.content || tab.summary || ""), encoding, sectionMaxTokens);
+    const picked = sections.length <= maxSections
+        ? sections.map((_, i) => i)
+        : Array.from({ length: maxSections }, (_, i) => Math.round(i * (sections.length - 1) / (maxSections - 1)));
+
+    const title = tab.title || "Untitled";
+    const sectionTabs = picked.map(i => ({
+        url: `${tab.url}#nemo-section-${i + 1}`,
+        title: `${title} (section ${i + 1} of ${sections.length})`,
+        content: sections[i],
+    }));
+    const batches = [];
+    for (let i = 0; i < sectionTabs.length; i += config.liteSummary.batchSize) {
+        batches.push(sectionTabs.slice(i, i + config.liteSummary.batchSize));
+    }
+    const instruction = `Each input is one section of a longer page. Summarize only that section in at most ${sectionSummaryWords} words.`;
+    const summaries = new Map();
+    const batchResults = await mapWithConcurrency(batches, config.liteSummary.concurrency, async (batch) => {
+        try {
+            return await summarizeChunk(batch, instruction, sectionMaxTokens);
+        } catch (e) {
+            console.warn(`Section summaries failed for ${tab.url}:`, String(e));
+            return [];
+        }
+    });
+    for (const item of batchResults.flat()) {
+        if (item.summary) summaries.set(item.url, item.summary);
+    }
+
+    const parts = sectionTabs.filter(s => summaries.has(s.url));
+    if (parts.length === 0) return null;
+    const combinedInput = parts.map(s => `${s.title}:\n${summaries.get(s.url)}`).join("\n\n");
+    const [combined] = await summarizeChunk(
+        [{ url: tab.url, title, content: combinedInput }],
+        "The content below consists of summaries of consecutive sections of one page. Combine them into a single summary of the whole page.",
+        Math.max(config.liteSummary.perTabMaxTokens, encoding.encode(combinedInput).length)
+    ).catch(e => {
+        console.warn(`Combining section summaries failed for ${tab.url}:`, String(e));
+        return [];
+    });
+    const coverage = parts.length === sections.length ? 'full' : 'partial';
+    console.log(`📚 ${tab.url}: summarized ${parts.length} of ${sections.length} section(s) (${coverage}).`);
+    // If only the combine step failed, the joined section summaries still beat the page head
+    return { url: tab.url, title, summary: combined?.summary || combinedInput, coverage, metadata: combined?.metadata || tabMetadataOf({}) };
+}
+
 // Backwards-compat: single-tab helper using the batch function
 export async function summarizeTabLite(tab, perTabMaxTokens = 1000) {
     const res = await summarizeTabsLiteBatch([tab], "", perTabMaxTokens);
@@ -566,6 +774,8 @@ export async function summarizeTabLite(tab, perTabMaxTokens = 1000) {
 /**
  * Search for the most relevant tabs to a user query using a dedicated prompt and schema.
  * Returns 0..topK items globally, aggregated across chunks with scores.
+ * Failed chunks are skipped, but if every request fails this throws so the caller can fall back
+ * to lexical ranking instead of reporting "no results".
  * @param {Array<{title:string,url:string,content?:string,summary?:string}>} tabs
  * @param {string} query
  * @param {number} [topK=3]
@@ -585,7 +795,7 @@ export async function searchRelevantTabs(tabs, query, topK = 3, perTabMaxTokens
             "Select the most relevant tabs to answer the user's information need.",
             "Return JSON ONLY as an array of up to K objects with: { url: string, title: string, summary: string, score: number }.",
             "Constraints:",
-            "- K = " + Math.min(topK, 3),
+            "- K = " + topK,
             "- score is in [0.0, 1.0], where 1.0 is a perfect semantic match.",
             "- Sort results by score descending.",
             "- If none are relevant, return an empty array [].",
@@ -606,20 +816,21 @@ export async function searchRelevantTabs(tabs, query, topK = 3, perTabMaxTokens
         return parts.join("\n");
     };
 
+    const provider = await getAIProvider();
+
     const runChunk = async (chunkTabs) => {
-        const request = {
-            contents: [{ role: 'user', parts: [{ text: buildPromptForChunk(chunkTabs) }] }]
-        };
         try {
-            const result = await searchModel.generateContent(request);
-            const text = (result?.response?.text?.() || "").trim();
+            const text = await provider.generate('search', buildPromptForChunk(chunkTabs), {
+                schema: searchSchema,
+                maxOutputTokens: MAX_OUTPUT_TOKENS.search,
+            });
             let parsed;
             try {
                 parsed = JSON.parse(text);
                 if (!Array.isArray(parsed)) throw new Error("Search response was not an array");
             } catch (e) {
                 console.error("❌ Search JSON parsing failed.", e?.message, "Response was:", text);
-                return [];
+                return null;
             }
             return parsed
                 .filter(Boolean)
@@ -632,13 +843,14 @@ export async function searchRelevantTabs(tabs, query, topK = 3, perTabMaxTokens
                 .filter(x => x.url);
         } catch (e) {
             console.warn("Search chunk failed:", String(e));
-            return [];
+            return null;
         }
     };
 
     // If small, single request
     if (tabs.length <= BATCH_SIZE) {
         const results = await runChunk(tabs);
+        if (!results) throw new Error("AI search request failed");
         return results.sort((a,b) => (b.score||0) - (a.score||0)).slice(0, topK);
     }
 
@@ -663,6 +875,7 @@ export async function searchRelevantTabs(tabs, query, topK = 3, perTabMaxTokens
     };
 
     const chunkResults = await mapWithConcurrency(chunks, CONCURRENCY, runChunk);
+    if (chunkResults.every(arr => arr === null)) throw new Error("Every AI search request failed");
     const byUrl = new Map();
     for (const arr of chunkResults) {
         for (const r of (arr || [])) {
@@ -676,4 +889,151 @@ export async function searchRelevantTabs(tabs, query, topK = 3, perTabMaxTokens
     return Array.from(byUrl.values())
         .sort((a,b) => (b.score||0) - (a.score||0))
         .slice(0, topK);
-}
\ No newline at end of file
+}
+
+/**
+ * Writes a synopsis of a session treated as a research thread: what it is about, the questions
+ * it leaves open, and how its pages relate. Uses up to config.synopsis.maxTabs page summaries.
+ * Throws if the AI call fails or returns something unusable.
+ * @param {string} sessionName
+ * @param {Array<{url: string, title: string, summary?: string, keyPoints?: string[]}>} tabs
+ * @returns {Promise<{about: string, openQuestions: string[], relations: string}>}
+ */
+export async function generateSessionSynopsis(sessionName, tabs) {
+    const encoding = get_encoding("cl100k_base");
+    const { maxTabs, perTabMaxTokens } = config.synopsis;
+    const parts = [
+        "You are a research assistant. The user groups web pages into sessions that work as research threads.",
+        `Session: "${sessionName}"`,
+        "Write a synopsis of this session so the user can pick the thread up again without re-reading every page.",
+        "Return JSON ONLY as an object: { about: string, open_questions: string[], relations: string }.",
+        "- about: 2-4 sentences on what the session is about and what has been covered so far.",
+        "- open_questions: 2-6 main questions the pages raise or leave unanswered.",
+        "- relations: 2-4 sentences on how the pages relate (which build on, compare or contradict each other). Refer to pages by title.",
+        "Plain text only; no markdown. Pages follow with delimiters; do not include them in your output.",
+    ];
+    for (const t of tabs.slice(0, maxTabs)) {
+        const text = normalizeContent([t.summary || "", ...(t.keyPoints || [])].join("\n"));
+        const tokens = encoding.encode(text);
+        const truncated = tokens.length > perTabMaxTokens ? encoding.decode(tokens.slice(0, perTabMaxTokens)) : text;
+        parts.push(`\n<NEMO_tab>\nTitle: ${t.title || "Untitled"}\nURL: ${t.url}\nSummary:\n<CONTENT_START>\n${truncated}\n<CONTENT_END>`);
+    }
+
+    const provider = await getAIProvider();
+    const text = await provider.generate('synopsis', parts.join("\n"), {
+        schema: synopsisSchema,
+        maxOutputTokens: MAX_OUTPUT_TOKENS.synopsis,
+    });
+    const parsed = JSON.parse(text);
+    if (!parsed || typeof parsed.about !== 'string' || !parsed.about.trim()) {
+        throw new Error("Synopsis response had no 'about' text");
+    }
+    return {
+        about: parsed.about.trim(),
+        openQuestions: stringList(parsed.open_questions, 8),
+        relations: typeof parsed.relations === 'string' ? parsed.relations.trim() : "",
+    };
+}
+
+/**
+ * Answers a question from the given saved tabs only, citing the URLs it used.
+ * `history` gives the earlier turns of the conversation for follow-up questions.
+ * Throws if the AI call fails or returns something unusable.
+ * @param {string} question
+ * @param {Array<{role: 'user'|'assistant', text: string}>} history - Oldest first
+ * @param {Array<{url: string, title: string, summary?: string, keyPoints?: string[]}>} sources
+ * @returns {Promise<{answer: string, citations: string[]}>} citations are URLs from `sources`
+ */
+export async function answerFromTabs(question, history, sources) {
+    const encoding = get_encoding("cl100k_base");
+    const { perSourceMaxTokens } = config.chat;
+    const parts = [
+        "You answer questions about web pages the user saved. Use ONLY the sources below; do not rely on outside knowledge.",
+        "If the sources do not contain the answer, say so plainly and suggest what to look for.",
+        "Return JSON ONLY as an object: { answer: string, citations: string[] }.",
+        "- answer: plain text, no markdown. Refer to sources as [1], [2], ... where you use them.",
+        "- citations: the URLs of every source you used, exactly as given. Empty if none was useful.",
+    ];
+    sources.forEach((s, i) => {
+        const text = normalizeContent([s.summary || "", ...(s.keyPoints || [])].join("\n"));
+        const tokens = encoding.encode(text);
+        const truncated = tokens.length > perSourceMaxTokens ? encoding.decode(tokens.slice(0, perSourceMaxTokens)) : text;
+        parts.push(`\n<NEMO_source>\n[${i + 1}] Title: ${s.title || "Untitled"}\nURL: ${s.url}\n<CONTENT_START>\n${truncated}\n<CONTENT_END>`);
+    });
+    if (history.length > 0) {
+        parts.push("\nConversation so far:");
+        for (const turn of history) parts.push(`${turn.role === 'user' ? 'User' : 'Assistant'}: ${turn.text}`);
+    }
+    parts.push(`\nQuestion: ${question}`);
+
+    const provider = await getAIProvider();
+    const text = await provider.generate('chat', parts.join("\n"), {
+        schema: chatSchema,
+        maxOutputTokens: MAX_OUTPUT_TOKENS.chat,
+    });
+    const parsed = JSON.parse(text);
+    if (!parsed || typeof parsed.answer !== 'string' || !parsed.answer.trim()) {
+        throw new Error("Chat response had no answer");
+    }
+    const known = new Set(sources.map(s => s.url));
+    return {
+        answer: parsed.answer.trim(),
+        citations: [...new Set(stringList(parsed.citations, sources.length))].filter(url => known.has(url)),
+    };
+}
+
+/**
+ * Asks the model for merge, split and rename proposals across the session catalog. Sessions are
+ * listed with up to `config.tidy.tabsPerSession` tab titles each, within `config.tidy.maxTokens`.
+ * Proposals are returned as the model wrote them; callers check them against the catalog.
+ * @param {Array<{id: number, name: string, tabs: Array<{url: string, title: string}>}>} sessions
+ * @returns {Promise<Array<{kind: 'merge'|'split'|'rename', sessionIds: number[], name: string,
+ *   groups: Array<{name: string, urls: string[]}>, reason: string}>>}
+ */
+export async function proposeSessionTidy(sessions) {
+    const encoding = get_encoding("cl100k_base");
+    const { maxTokens, tabsPerSession } = config.tidy;
+    const parts = [
+        "You maintain the user's research sessions (groups of saved web pages). Over time they drift: near-duplicate sessions, one-tab sessions that belong elsewhere, sessions mixing unrelated topics, vague names.",
+        "Propose changes that clearly make the catalog easier to use. Propose nothing for sessions that are fine; an empty list is a valid answer.",
+        "Return JSON ONLY as an object: { proposals: [...] }. Each proposal is one of:",
+        "- { kind: \"merge\", session_ids: [2 or more ids], name: string, reason: string } — the sessions cover the same topic; name is the merged session's name (may be one of the existing names).",
+        "- { kind: \"split\", session_ids: [one id], groups: [{ name: string, urls: string[] }, ...], reason: string } — the session mixes 2+ distinct topics. Give 2+ groups; put every tab URL of the session in exactly one group, copied exactly as listed.",
+        "- { kind: \"rename\", session_ids: [one id], name: string, reason: string } — the name is vague or misleading. Do not rename sessions you merge or split.",
+        "Names: specific and descriptive, 2-6 words. reason: one sentence the user can check against the tabs.",
+        "Use each session id in at most one proposal. Sessions follow with delimiters; do not include them in your output.",
+    ];
+    let used = encoding.encode(parts.join("\n")).length;
+    let listed = 0;
+    for (const s of sessions) {
+        const lines = [`\n<NEMO_session>\nid: ${s.id}\nname: ${s.name}\ntabs (${s.tabs.length}):`];
+        for (const t of s.tabs.slice(0, tabsPerSession)) lines.push(`- ${t.title || "Untitled"} | ${t.url}`);
+        if (s.tabs.length > tabsPerSession) lines.push(`- … and ${s.tabs.length - tabsPerSession} more`);
+        const block = lines.join("\n");
+        const tokens = encoding.encode(block).length;
+        if (used + tokens > maxTokens) break;
+        parts.push(block);
+        used += tokens;
+        listed++;
+    }
+    if (listed < sessions.length) console.warn(`Tidy prompt is full; left out ${sessions.length - listed} session(s).`);
+
+    const provider = await getAIProvider();
+    const text = await provider.generate('tidy', parts.join("\n"), {
+        schema: tidySchema,
+        maxOutputTokens: MAX_OUTPUT_TOKENS.tidy,
+    });
+    const parsed = JSON.parse(text);
+    const proposals = Array.isArray(parsed?.proposals) ? parsed.proposals : [];
+    return proposals
+        .filter(p => p && typeof p === 'object')
+        .map(p => ({
+            kind: p.kind,
+            sessionIds: Array.isArray(p.session_ids) ? p.session_ids.map(Number).filter(Number.isInteger) : [],
+            name: typeof p.name === 'string' ? p.name.trim() : "",
+            groups: (Array.isArray(p.groups) ? p.groups : [])
+                .filter(g => g && typeof g.name === 'string')
+                .map(g => ({ name: g.name.trim(), urls: Array.isArray(g.urls) ? g.urls.filter(u => typeof u === 'string') : [] })),
+            reason: typeof p.reason === 'string' ? p.reason.trim() : "",
+        }));
+}
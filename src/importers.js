@@ -0,0 +1,124 @@
+// Parsers that turn other tools' exports into import groups for the IMPORT_TABS message.
+// Each group becomes one session; its links are queued for the next capture run.
+// Runs in extension pages (the viewer): parseNetscapeBookmarks needs DOMParser.
+
+/**
+ * @typedef {Object} ImportGroup
+ * @property {string} name - Session name
+ * @property {Array<{url: string, title: string}>} links
+ */
+
+const FOLDER_SEPARATOR = " / ";
+
+/**
+ * Parses the Netscape bookmarks HTML format exported by every major browser.
+ * One group per folder that directly contains links; nested folders are named by their path.
+ * Links outside any folder go to "Imported bookmarks".
+ * @param {string} html
+ * @returns {ImportGroup[]}
+ */
+export function parseNetscapeBookmarks(html) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  const groups = [];
+  const rootList = doc.querySelector("dl");
+  if (!rootList) return groups;
+
+  const walk = (dl, path) => {
+    const links = [];
+    for (const dt of dl.querySelectorAll(":scope > dt, :scope > p > dt")) {
+      const anchor = dt.querySelector(":scope > a");
+      const heading = dt.querySelector(":scope > h3");
+      if (anchor) {
+        links.push({ url: anchor.getAttribute("href") || "", title: anchor.textContent.trim() });
+      } else if (heading) {
+        // The folder's list is normally inside the <dt>; some exporters put it right after
+        const sub = dt.querySelector(":scope > dl")
+          || (dt.nextElementSibling?.tagName === "DL" ? dt.nextElementSibling : null);
+        if (sub) walk(sub, [...path, heading.textContent.trim() || "Untitled folder"]);
+      }
+    }
+    if (links.length > 0) {
+      groups.push({ name: path.length ? path.join(FOLDER_SEPARATOR) : "Imported bookmarks", links });
+    }
+  };
+  walk(rootList, []);
+  return groups;
+}
+
+/**
+ * Parses OneTab's "Export URLs" text: one `url | title` per line, groups separated by blank lines.
+ * OneTab does not export group names, so groups are numbered and stamped with the import date.
+ * @param {string} text
+ * @returns {ImportGroup[]}
+ */
+export function parseOneTab(text) {
+  const date = new Date().toISOString().slice(0, 10);
+  const blocks = [];
+  let current = [];
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) {
+      if (current.length) blocks.push(current);
+      current = [];
+      continue;
+    }
+    const sep = line.indexOf(" | ");
+    const url = (sep === -1 ? line : line.slice(0, sep)).trim();
+    const title = sep === -1 ? "" : line.slice(sep + 3).trim();
+    current.push({ url, title });
+  }
+  if (current.length) blocks.push(current);
+
+  return blocks.map((links, i) => ({
+    name: blocks.length > 1 ? `OneTab ${date} (${i + 1})` : `OneTab ${date}`,
+    links,
+  }));
+}
+
+/** True when the text looks like a Netscape bookmarks file rather than a OneTab list */
+export const isNetscapeBookmarks = (text) => /<!DOCTYPE\s+NETSCAPE-Bookmark-file/i.test(text) || /<dl[\s>]/i.test(text);
+
+/**
+ * Lists every chrome.bookmarks folder with its path and number of links (including subfolders).
+ * @returns {Promise<Array<{id: string, path: string, count: number}>>}
+ */
+export async function listBookmarkFolders() {
+  const [root] = await chrome.bookmarks.getTree();
+  const folders = [];
+  const walk = (node, path) => {
+    let count = 0;
+    for (const child of node.children || []) {
+      if (child.url) {
+        count++;
+      } else {
+        count += walk(child, [...path, child.title || "Untitled folder"]);
+      }
+    }
+    if (path.length > 0) folders.push({ id: node.id, path: path.join(FOLDER_SEPARATOR), count });
+    return count;
+  };
+  walk(root, []);
+  return folders;
+}
+
+/**
+ * Reads a chrome.bookmarks folder into groups: one per folder (the chosen one and every
+ * subfolder) that directly contains links, named by the path from the chosen folder.
+ * @param {string} folderId
+ * @returns {Promise<ImportGroup[]>}
+ */
+export async function groupsFromBookmarkFolder(folderId) {
+  const [folder] = await chrome.bookmarks.getSubTree(folderId);
+  const groups = [];
+  const walk = (node, path) => {
+    const links = (node.children || [])
+      .filter((child) => child.url)
+      .map((child) => ({ url: child.url, title: child.title || "" }));
+    if (links.length > 0) groups.push({ name: path.join(FOLDER_SEPARATOR), links });
+    for (const child of node.children || []) {
+      if (!child.url) walk(child, [...path, child.title || "Untitled folder"]);
+    }
+  };
+  if (folder) walk(folder, [folder.title || "Bookmarks"]);
+  return groups;
+}
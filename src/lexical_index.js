@@ -0,0 +1,179 @@
+// Offline lexical search: a BM25 inverted index over page titles, URLs, summaries, tags and entities.
+// It answers a query from IndexedDB alone, so the viewer can show results instantly, the search
+// can fall back to it when the AI is unreachable, and its hits seed the candidates the AI re-ranks.
+// Writes happen in the background service worker only (when pages are saved or filed from review,
+// and the sync at service-worker startup); searches and extension pages just read.
+
+import { config } from './config.js';
+import { getTab, getLexicalDocs, getLexicalTerms, getLexicalDocHashes, writeLexicalIndex } from './db.js';
+import { fnv1a, tokenize } from './tokenize.js';
+
+// lexical_terms row holding the index totals; the tokenizer never produces an empty term
+const META_KEY = "";
+
+// Title words count twice: a match there says more about the page than one in the summary
+const TITLE_WEIGHT = 2;
+
+/**
+ * @typedef {Object} LexicalHit
+ * @property {string} url
+ * @property {string} title
+ * @property {string} summary
+ * @property {string[]} [tags]
+ * @property {string} [contentType]
+ * @property {number} score - Raw BM25 score (only comparable within one query)
+ */
+
+// Host (without www.) and path words; the query string is mostly tracking noise
+function urlTokens(url) {
+  try {
+    const parsed = new URL(url);
+    return tokenize(`${parsed.hostname.replace(/^www\./, "")} ${decodeURIComponent(parsed.pathname)}`);
+  } catch {
+    return tokenize(url);
+  }
+}
+
+// Tags and entities are part of the row's AI metadata (absent on older rows)
+const metadataText = (tab) => [...(tab.tags || []), ...(tab.entities || [])].join("\n");
+
+const indexedText = (tab) => `${tab.url}\n${tab.title || ""}\n${tab.summary ?? tab.content ?? ""}\n${metadataText(tab)}`;
+
+function documentTokens(tab) {
+  const title = tokenize(tab.title || "");
+  const tokens = [];
+  for (let i = 0; i < TITLE_WEIGHT; i++) tokens.push(...title);
+  tokens.push(...urlTokens(tab.url), ...tokenize(tab.summary ?? tab.content ?? ""), ...tokenize(metadataText(tab)));
+  return tokens;
+}
+
+// Index updates read postings, change them in memory and write them back, so they must not
+// interleave within this context
+let writeQueue = Promise.resolve();
+
+/**
+ * (Re)indexes `tabs` and drops `removedUrls` from the index.
+ * @param {Array<{url: string, title: string, summary?: string, content?: string}>} tabs
+ * @param {string[]} [removedUrls]
+ */
+function applyChanges(tabs, removedUrls = []) {
+  const run = writeQueue.then(async () => {
+    const changes = new Map(removedUrls.map((url) => [url, null]));
+    for (const tab of tabs) if (tab?.url) changes.set(tab.url, tab);
+    const urls = [...changes.keys()];
+    if (urls.length === 0) return;
+
+    const oldDocs = (await getLexicalDocs(urls)).filter(Boolean);
+    const newDocs = [];
+    const frequencies = new Map(); // url -> Map(term -> tf)
+    for (const [url, tab] of changes) {
+      if (!tab) continue;
+      const tf = new Map();
+      const tokens = documentTokens(tab);
+      for (const token of tokens) tf.set(token, (tf.get(token) || 0) + 1);
+      frequencies.set(url, tf);
+      newDocs.push({ url, textHash: fnv1a(indexedText(tab)).toString(16), length: tokens.length, terms: [...tf.keys()] });
+    }
+
+    const termKeys = new Set();
+    for (const doc of [...oldDocs, ...newDocs]) for (const term of doc.terms) termKeys.add(term);
+    const keys = [META_KEY, ...termKeys];
+    const rows = await getLexicalTerms(keys);
+    const meta = rows[0] || { term: META_KEY, docCount: 0, totalLength: 0 };
+    const termRows = new Map(keys.slice(1).map((term, i) => [term, rows[i + 1] || { term, postings: {} }]));
+
+    for (const doc of oldDocs) {
+      for (const term of doc.terms) delete termRows.get(term).postings[doc.url];
+      meta.docCount -= 1;
+      meta.totalLength -= doc.length;
+    }
+    for (const doc of newDocs) {
+      for (const [term, tf] of frequencies.get(doc.url)) termRows.get(term).postings[doc.url] = [tf, doc.length];
+      meta.docCount += 1;
+      meta.totalLength += doc.length;
+    }
+
+    const written = [meta];
+    const deletedTerms = [];
+    for (const [term, row] of termRows) {
+      if (Object.keys(row.postings).length > 0) written.push(row);
+      else deletedTerms.push(term);
+    }
+    const newUrls = new Set(newDocs.map((d) => d.url));
+    await writeLexicalIndex({
+      docs: newDocs,
+      deletedUrls: urls.filter((url) => !newUrls.has(url)),
+      terms: written,
+      deletedTerms,
+    });
+  });
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Indexes pages right after they are written (called from saveAISummaries).
+ * @param {Array<{url: string, title: string, summary: string, tags?: string[], entities?: string[]}>} tabs
+ */
+export async function indexTabsLexically(tabs) {
+  if (!Array.isArray(tabs) || tabs.length === 0) return;
+  await applyChanges(tabs);
+}
+
+/**
+ * Brings the index in line with the saved pages: indexes pages that are missing or changed
+ * (saved before the index existed, imported, restored) and drops pages no longer saved.
+ * @param {Array<{url: string, title: string, summary?: string}>} tabs - All saved pages
+ * @returns {Promise<number>} Number of pages added, updated or removed
+ */
+export async function syncLexicalIndex(tabs) {
+  const hashes = await getLexicalDocHashes();
+  const stale = [];
+  const saved = new Set();
+  for (const tab of tabs) {
+    if (!tab?.url) continue;
+    saved.add(tab.url);
+    if (hashes.get(tab.url) !== fnv1a(indexedText(tab)).toString(16)) stale.push(tab);
+  }
+  const removed = [...hashes.keys()].filter((url) => !saved.has(url));
+  if (stale.length > 0 || removed.length > 0) await applyChanges(stale, removed);
+  return stale.length + removed.length;
+}
+
+/**
+ * Ranks saved pages against `query` with BM25. Reads the index only, so it is safe to call from
+ * extension pages; pages deleted since the last sync are skipped.
+ * @param {string} query
+ * @param {number} [limit]
+ * @param {{urls?: Set<string>}} [options] - Only rank these pages
+ * @returns {Promise<LexicalHit[]>} Best match first
+ */
+export async function lexicalSearch(query, limit = config.search.lexicalCandidates, { urls } = {}) {
+  const terms = [...new Set(tokenize(query || ""))];
+  if (terms.length === 0) return [];
+  const [meta, ...rows] = await getLexicalTerms([META_KEY, ...terms]);
+  if (!meta?.docCount) return [];
+
+  const { k1, b } = config.search.bm25;
+  const avgLength = meta.totalLength / meta.docCount || 1;
+  const scores = new Map();
+  for (const row of rows) {
+    if (!row) continue;
+    const postings = Object.entries(row.postings);
+    const idf = Math.log(1 + (meta.docCount - postings.length + 0.5) / (postings.length + 0.5));
+    for (const [url, [tf, length]] of postings) {
+      if (urls && !urls.has(url)) continue;
+      const score = idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * (length / avgLength)));
+      scores.set(url, (scores.get(url) || 0) + score);
+    }
+  }
+
+  const ranked = [...scores].sort((x, y) => y[1] - x[1]);
+  const hits = [];
+  for (const [url, score] of ranked) {
+    if (hits.length >= limit) break;
+    const tab = await getTab(url);
+    if (tab) hits.push({ url, title: tab.title || "Untitled", summary: tab.summary || "", tags: tab.tags, contentType: tab.contentType, score });
+  }
+  return hits;
+}
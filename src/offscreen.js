@@ -0,0 +1,103 @@
+// Offscreen document that reads PDFs for the background (see pdf.js). It downloads the file,
+// parses it with pdf.js in a web worker and answers READ_PDF messages with the extracted text.
+
+// The legacy build carries polyfills for the Chrome versions the modern build no longer targets
+import { getDocument, GlobalWorkerOptions } from 'pdfjs-dist/legacy/build/pdf.mjs';
+import { config } from './config.js';
+import { isPdfUrl } from './pdf.js';
+
+GlobalWorkerOptions.workerPort = new Worker(
+  new URL('pdfjs-dist/legacy/build/pdf.worker.mjs', import.meta.url),
+  { type: 'module' }
+);
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message?.type !== 'READ_PDF') return false;
+  fetchPdf(message.url)
+    .then(data => (data ? extractPdfText(data) : null))
+    .then(pdf => sendResponse({ ok: true, pdf }))
+    .catch(err => sendResponse({ ok: false, error: String(err?.message || err) }));
+  return true;
+});
+
+/**
+ * Downloads `url` if it serves a PDF. Resolves to null for other content types (so a page that
+ * only failed injection for another reason is not misread), and throws an Error whose message is
+ * a rejection reason ('too_large', 'http_404', 'fetch_timeout', ...) when the download fails.
+ * @param {string} url
+ * @returns {Promise<Uint8Array|null>}
+ */
+async function fetchPdf(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), config.pdf.fetchTimeoutMs);
+  try {
+    const res = await fetch(url, { signal: controller.signal, redirect: 'follow', credentials: 'include' });
+    if (!res.ok) throw new Error(`http_${res.status}`);
+    const type = res.headers.get('content-type') || '';
+    const isPdf = /application\/(x-)?pdf/i.test(type) || ((!type || /octet-stream/i.test(type)) && isPdfUrl(url));
+    if (!isPdf) {
+      controller.abort();
+      return null;
+    }
+    const length = Number(res.headers.get('content-length'));
+    if (length > config.pdf.maxBytes) throw new Error('too_large');
+    const data = new Uint8Array(await res.arrayBuffer());
+    if (data.byteLength > config.pdf.maxBytes) throw new Error('too_large');
+    return data;
+  } catch (err) {
+    if (err?.name === 'AbortError') throw new Error('fetch_timeout');
+    throw err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// One page's text with the line breaks pdf.js reports
+async function pageText(page) {
+  const { items } = await page.getTextContent();
+  let text = '';
+  for (const item of items) {
+    if (typeof item.str !== 'string') continue;
+    text += item.str;
+    text += item.hasEOL ? '\n' : (item.str && !/\s$/.test(item.str) ? ' ' : '');
+  }
+  return text.replace(/[ \t]+/g, ' ').replace(/ *\n */g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Extracts the text of a PDF, one "[Page N]" block per page (pages without text are skipped).
+ * @param {Uint8Array} data
+ * @returns {Promise<{title: string, content: string, pageCount: number, pagesRead: number}>}
+ *   title is the document's own title ('' if it has none)
+ */
+async function extractPdfText(data) {
+  const loadingTask = getDocument({
+    data,
+    isEvalSupported: false,
+    disableFontFace: true,
+    stopAtErrors: false,
+  });
+  const doc = await loadingTask.promise;
+  try {
+    const { info } = await doc.getMetadata().catch(() => ({ info: {} }));
+    const pagesRead = Math.min(doc.numPages, config.pdf.maxPages);
+    const blocks = [];
+    for (let n = 1; n <= pagesRead; n++) {
+      const page = await doc.getPage(n);
+      const text = await pageText(page);
+      page.cleanup();
+      if (text) blocks.push(`[Page ${n}]\n${text}`);
+    }
+    if (pagesRead < doc.numPages) {
+      blocks.push(`[Pages ${pagesRead + 1}-${doc.numPages} not captured]`);
+    }
+    return {
+      title: String(info?.Title || '').trim(),
+      content: blocks.join('\n\n'),
+      pageCount: doc.numPages,
+      pagesRead,
+    };
+  } finally {
+    await loadingTask.destroy();
+  }
+}
@@ -1,51 +1,15 @@
-(function(){
-  const DB_NAME = "NeuMemoDB";
-  const DB_VERSION = 6;
-  const EXCLUDED_URLS_STORE = "excluded_urls";
-  let db;
-
-  function openDB() {
-    return new Promise((resolve, reject) => {
-      if (db) {
-        return resolve(db);
-      }
-      const request = indexedDB.open(DB_NAME, DB_VERSION);
-      request.onerror = (event) => reject("Database error: " + event.target.error);
-      request.onupgradeneeded = (event) => {
-        const db = event.target.result;
-        if (!db.objectStoreNames.contains(EXCLUDED_URLS_STORE)) {
-          db.createObjectStore(EXCLUDED_URLS_STORE, { keyPath: "domain" });
-        }
-      };
-      request.onsuccess = (event) => {
-        db = event.target.result;
-        resolve(db);
-      };
-    });
-  }
-
-  async function ensureStoreExists() {
-    const current = await openDB();
-    if (current.objectStoreNames && !current.objectStoreNames.contains(EXCLUDED_URLS_STORE)) {
-      const newVersion = current.version + 1;
-      current.close();
-      await new Promise((resolve, reject) => {
-        const req = indexedDB.open(DB_NAME, newVersion);
-        req.onerror = (e) => reject(e.target.error);
-        req.onupgradeneeded = (ev) => {
-          const upgradeDb = ev.target.result;
-          if (!upgradeDb.objectStoreNames.contains(EXCLUDED_URLS_STORE)) {
-            upgradeDb.createObjectStore(EXCLUDED_URLS_STORE, { keyPath: "domain" });
-          }
-        };
-        req.onsuccess = (ev) => {
-          db = ev.target.result;
-          resolve();
-        };
-      });
-    }
-  }
+import {
+  openDB,
+  getExcludedDomains,
+  addExcludedDomain,
+  removeExcludedDomain,
+  getSetting,
+  putSetting,
+  SETTING_KEYS,
+} from './db.js';
+import { config } from './config.js';
 
+(function(){
   function normalizeRule(rule){
     if(!rule || typeof rule !== 'string') return '';
     let r = rule.trim().toLowerCase();
@@ -59,42 +23,16 @@
     return r;
   }
 
-  async function loadRules(){
-    await ensureStoreExists();
-    const db = await openDB();
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(EXCLUDED_URLS_STORE, "readonly");
-      const store = transaction.objectStore(EXCLUDED_URLS_STORE);
-      const request = store.getAll();
-      request.onerror = (event) => reject("Error loading rules: " + event.target.error);
-      request.onsuccess = (event) => {
-        const domains = event.target.result.map(item => item.domain);
-        resolve(domains);
-      };
-    });
+  function loadRules(){
+    return getExcludedDomains();
   }
 
-  async function addRule(domain) {
-    await ensureStoreExists();
-    const db = await openDB();
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(EXCLUDED_URLS_STORE, "readwrite");
-      const store = transaction.objectStore(EXCLUDED_URLS_STORE);
-      const request = store.add({ domain });
-      request.onerror = (event) => reject("Error adding rule: " + event.target.error);
-      transaction.oncomplete = () => resolve();
-    });
+  function addRule(domain) {
+    return addExcludedDomain(domain);
   }
 
-  async function removeRule(domain) {
-    const db = await openDB();
-    return new Promise((resolve, reject) => {
-      const transaction = db.transaction(EXCLUDED_URLS_STORE, "readwrite");
-      const store = transaction.objectStore(EXCLUDED_URLS_STORE);
-      const request = store.delete(domain);
-       request.onerror = (event) => reject("Error removing rule: " + event.target.error);
-      transaction.oncomplete = () => resolve();
-    });
+  function removeRule(domain) {
+    return removeExcludedDomain(domain);
   }
 
   function render(list){
@@ -147,11 +85,92 @@
     input.focus();
   }
 
+  const AI_TASKS = ['classify', 'lite', 'search', 'synopsis', 'chat', 'tidy'];
+
+  async function initAIProvider(){
+    const select = document.getElementById('ai-provider');
+    const localFields = document.getElementById('local-ai-fields');
+    const status = document.getElementById('ai-status');
+    const settings = await getSetting(SETTING_KEYS.AI_PROVIDER, { id: 'firebase' });
+
+    select.value = settings.id || 'firebase';
+    document.getElementById('ai-base-url').value = settings.baseUrl || '';
+    document.getElementById('ai-base-url').placeholder = config.localAI.baseUrl;
+    document.getElementById('ai-api-key').value = settings.apiKey || '';
+    AI_TASKS.forEach((task) => {
+      const input = document.getElementById(`ai-model-${task}`);
+      input.value = settings.models?.[task] || '';
+      input.placeholder = config.localAI.model;
+    });
+    const embedInput = document.getElementById('ai-model-embed');
+    embedInput.value = settings.models?.embed || '';
+    embedInput.placeholder = config.localAI.embeddingModel;
+
+    const toggle = () => { localFields.style.display = select.value === 'openai_compatible' ? 'block' : 'none'; };
+    toggle();
+    select.addEventListener('change', () => { toggle(); status.textContent = ''; });
+
+    document.getElementById('ai-save').addEventListener('click', async () => {
+      const next = { id: select.value };
+      if(select.value === 'openai_compatible'){
+        const baseUrl = document.getElementById('ai-base-url').value.trim();
+        if(baseUrl && !/^https?:\/\//i.test(baseUrl)){
+          status.textContent = 'The base URL must start with http:// or https://';
+          return;
+        }
+        next.baseUrl = baseUrl;
+        next.apiKey = document.getElementById('ai-api-key').value.trim();
+        next.models = {};
+        [...AI_TASKS, 'embed'].forEach((task) => {
+          const model = document.getElementById(`ai-model-${task}`).value.trim();
+          if(model) next.models[task] = model;
+        });
+      }
+      await putSetting(SETTING_KEYS.AI_PROVIDER, next);
+      status.textContent = 'Saved. The next AI request uses this provider.';
+    });
+  }
+
+  async function initTrashDays(){
+    const input = document.getElementById('trash-days');
+    input.value = await getSetting(SETTING_KEYS.TRASH_RETENTION_DAYS, config.trash.retentionDays);
+    input.addEventListener('change', async () => {
+      const days = Math.round(Number(input.value));
+      if(!Number.isFinite(days) || days < 1){
+        input.value = await getSetting(SETTING_KEYS.TRASH_RETENTION_DAYS, config.trash.retentionDays);
+        return;
+      }
+      input.value = days;
+      await putSetting(SETTING_KEYS.TRASH_RETENTION_DAYS, days);
+    });
+  }
+
+  // Stored as a fraction (0..1), shown as a percentage
+  async function initReviewThreshold(){
+    const input = document.getElementById('review-threshold');
+    const load = async () => {
+      input.value = Math.round(await getSetting(SETTING_KEYS.REVIEW_THRESHOLD, config.review.confidenceThreshold) * 100);
+    };
+    await load();
+    input.addEventListener('change', async () => {
+      const percent = Math.round(Number(input.value));
+      if(input.value === '' || !Number.isFinite(percent) || percent < 0 || percent > 100){
+        await load();
+        return;
+      }
+      input.value = percent;
+      await putSetting(SETTING_KEYS.REVIEW_THRESHOLD, percent / 100);
+    });
+  }
+
   document.addEventListener('DOMContentLoaded', async () => {
     try {
       await openDB();
       const list = await loadRules();
       render(list);
+      await initAIProvider();
+      await initTrashDays();
+      await initReviewThreshold();
 
       document.getElementById('add-btn').addEventListener('click', onAdd);
       document.getElementById('domain-input').addEventListener('keydown', (e)=>{
@@ -0,0 +1,66 @@
+// PDF capture: tabs showing a PDF can't take the content script, so their text is read with
+// pdf.js instead. pdf.js is too large to load into the service worker on every wake, so the
+// download and parsing happen in an offscreen document (offscreen.js) that is opened while PDFs
+// are being read and closed again afterwards. Each page's text is prefixed with a "[Page N]"
+// marker, so summaries and chat answers can point to where something is.
+
+/**
+ * Whether a URL names a PDF file by its path.
+ * @param {string} url
+ */
+export function isPdfUrl(url) {
+  try {
+    return /\.pdf$/i.test(new URL(url).pathname);
+  } catch {
+    return false;
+  }
+}
+
+const OFFSCREEN_PATH = 'offscreen.html';
+
+let creating = null; // createDocument() in flight
+let closing = null;  // closeDocument() in flight
+let reading = 0;     // readPdf() calls that still need the document
+
+// Only one offscreen document may exist; concurrent callers share its creation
+async function ensureOffscreenDocument() {
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_PATH)],
+  });
+  if (contexts.length > 0) return;
+  if (!creating) {
+    creating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_PATH,
+      reasons: ['WORKERS'],
+      justification: 'Extract the text of PDF tabs with pdf.js in a web worker',
+    }).finally(() => { creating = null; });
+  }
+  await creating;
+}
+
+/**
+ * Downloads `url` and extracts its text in the offscreen document. Resolves to null when the URL
+ * serves something other than a PDF (so a page that only failed injection for another reason is
+ * not misread), and throws an Error whose message is a rejection reason ('too_large',
+ * 'http_404', 'fetch_timeout', ...) when the download fails.
+ * @param {string} url
+ * @returns {Promise<{title: string, content: string, pageCount: number, pagesRead: number}|null>}
+ *   title is the document's own title ('' if it has none); content has one "[Page N]" block per
+ *   page with text
+ */
+export async function readPdf(url) {
+  reading++;
+  try {
+    await closing;
+    await ensureOffscreenDocument();
+    const response = await chrome.runtime.sendMessage({ type: 'READ_PDF', url });
+    if (!response?.ok) throw new Error(response?.error || 'pdf_failed');
+    return response.pdf;
+  } finally {
+    // The document holds pdf.js and its worker; don't keep them around between runs
+    if (--reading === 0) {
+      closing = chrome.offscreen.closeDocument().catch(() => {}).finally(() => { closing = null; });
+    }
+  }
+}
@@ -0,0 +1,58 @@
+// "Needs review" inbox: new pages the classifier was unsure about wait in the review queue until
+// the user accepts the suggested session, picks another one or creates a new one. Filing writes the
+// page like a capture run would and records the decision on the queue entry. Runs in the
+// background service worker.
+
+import { getReviewItem, fileReviewItem, getSession, getOrCreateSession } from './db.js';
+import { indexTabs } from './embeddings.js';
+import { indexTabsLexically } from './lexical_index.js';
+import { refreshSessionSynopses } from './synopsis.js';
+import { recordCorrection } from './corrections.js';
+
+/**
+ * Files a pending review item.
+ * - 'accept': the suggested session (created if the model proposed a new one), plus the other
+ *   existing sessions the model also put the page in
+ * - 'pick': the existing session `sessionId`
+ * - 'create': a new session named `sessionName` (or the existing one with that name)
+ * @param {number} id
+ * @param {{action: 'accept'|'pick'|'create', sessionId?: number, sessionName?: string}} choice
+ * @returns {Promise<import('./db.js').ReviewItem>} The filed item
+ */
+export async function decideReviewItem(id, { action, sessionId, sessionName }) {
+  const item = await getReviewItem(id);
+  if (!item) throw new Error(`Review item ${id} not found`);
+
+  let session;
+  const extraIds = [];
+  if (action === "accept") {
+    const suggested = typeof item.suggestion.sessionId === "number" ? await getSession(item.suggestion.sessionId) : null;
+    session = suggested || await getOrCreateSession(item.suggestion.sessionName).then((r) => getSession(r.id));
+    for (const extraId of item.additionalSessionIds || []) {
+      if (extraId !== session.id && (await getSession(extraId))) extraIds.push(extraId);
+    }
+  } else if (action === "pick") {
+    session = await getSession(Number(sessionId));
+  } else if (action === "create") {
+    const name = String(sessionName || "").trim();
+    if (!name) throw new Error("The new session needs a name.");
+    session = await getSession((await getOrCreateSession(name)).id);
+  } else {
+    throw new Error(`Unknown review action "${action}"`);
+  }
+  if (!session) throw new Error("That session no longer exists.");
+
+  const filed = await fileReviewItem(id, [session.id, ...extraIds], { action, sessionId: session.id, sessionName: session.name });
+  console.log(`🤔 Filed ${filed.url} under "${session.name}" (${action}).`);
+  // Overruling the suggestion teaches the classifier; so does a session made for the page
+  if (action !== "accept") {
+    if (action === "create") await recordCorrection({ kind: "create", sessionId: session.id, name: session.name });
+    await recordCorrection({ kind: "move", url: filed.url, fromSessionId: filed.suggestion.sessionId, sessionId: session.id });
+  }
+
+  const written = [{ url: filed.url, title: filed.tab.title, summary: filed.tab.summary, tags: filed.tab.tags, entities: filed.tab.entities }];
+  await indexTabs(written).catch((e) => console.warn('Failed to update the search index:', e));
+  await indexTabsLexically(written).catch((e) => console.warn('Failed to update the lexical index:', e));
+  refreshSessionSynopses([session.id, ...extraIds]);
+  return filed;
+}
@@ -0,0 +1,53 @@
+// Session synopses: an AI overview stored on each session row and regenerated whenever the set
+// of pages in the session changes. Runs in the background service worker.
+
+import { getSession, getTabsBySession, updateSession } from './db.js';
+import { generateSessionSynopsis } from './firebase_ai.js';
+import { fnv1a } from './tokenize.js';
+
+// Identifies a session's page set; order-independent
+const tabSetHash = (tabs) => fnv1a(tabs.map((t) => t.url).sort().join("\n")).toString(16);
+
+// sessionId -> pending refresh, so the viewer and a finished run don't generate the same synopsis twice
+const pending = new Map();
+
+/**
+ * Returns the session's synopsis, regenerating it first when the session's pages changed since
+ * it was made (or always, with `force`). Empty sessions get no synopsis.
+ * @param {number} sessionId
+ * @param {{force?: boolean}} [options]
+ * @returns {Promise<import('./db.js').SessionSynopsis|null>}
+ */
+export function refreshSessionSynopsis(sessionId, { force = false } = {}) {
+  if (pending.has(sessionId)) return pending.get(sessionId);
+  const run = (async () => {
+    const [session, tabs] = await Promise.all([getSession(sessionId), getTabsBySession(sessionId)]);
+    if (!session) throw new Error(`Session ${sessionId} does not exist.`);
+    if (tabs.length === 0) return null;
+    const hash = tabSetHash(tabs);
+    if (!force && session.synopsis?.tabSetHash === hash) return session.synopsis;
+
+    console.log(`🧾 Writing the synopsis of "${session.name}" (${tabs.length} tab(s)).`);
+    const synopsis = {
+      ...await generateSessionSynopsis(session.name, tabs),
+      tabSetHash: hash,
+      tabCount: tabs.length,
+      generatedAt: new Date().toISOString(),
+    };
+    await updateSession(sessionId, { synopsis });
+    return synopsis;
+  })();
+  pending.set(sessionId, run);
+  run.finally(() => pending.delete(sessionId)).catch(() => {});
+  return run;
+}
+
+/**
+ * Brings the synopses of the given sessions up to date, one at a time; failures are logged.
+ * @param {number[]} sessionIds
+ */
+export async function refreshSessionSynopses(sessionIds) {
+  for (const id of new Set(sessionIds)) {
+    await refreshSessionSynopsis(id).catch((e) => console.warn(`Failed to refresh the synopsis of session ${id}:`, String(e)));
+  }
+}
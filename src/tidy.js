@@ -0,0 +1,72 @@
+// "Tidy sessions": asks the model for merge, split and rename proposals across all sessions and
+// stores them for review. Nothing is applied here; the viewer accepts proposals one at a time
+// (acceptTidyProposal in db.js), and each accepted one can be undone. Runs in the background
+// service worker.
+
+import { getAllSessions, getAllTabs, getAllMemberships, replaceTidyProposals } from './db.js';
+import { proposeSessionTidy } from './firebase_ai.js';
+
+// Keeps the proposals that fit the current sessions, fixing what can be fixed (unknown tab URLs,
+// tabs listed in two groups, duplicate ids) and dropping the rest
+function validProposals(raw, sessionsById, urlsBySession) {
+  const used = new Set();
+  const proposals = [];
+  for (const p of raw) {
+    const ids = [...new Set(p.sessionIds)].filter((id) => sessionsById.has(id) && !used.has(id));
+    let proposal = null;
+    if (p.kind === "merge" && ids.length >= 2) {
+      proposal = { kind: "merge", sessionIds: ids, name: p.name || sessionsById.get(ids[0]).name };
+    } else if (p.kind === "rename" && ids.length === 1 && p.name && p.name !== sessionsById.get(ids[0]).name) {
+      proposal = { kind: "rename", sessionIds: ids, name: p.name };
+    } else if (p.kind === "split" && ids.length === 1) {
+      const urls = urlsBySession.get(ids[0]) || new Set();
+      const assigned = new Set();
+      const groups = p.groups
+        .map((g) => ({
+          name: g.name,
+          urls: g.urls.filter((url) => urls.has(url) && !assigned.has(url) && assigned.add(url)),
+        }))
+        .filter((g) => g.name && g.urls.length > 0);
+      if (groups.length >= 2) proposal = { kind: "split", sessionIds: ids, groups };
+    }
+    if (!proposal) continue;
+    ids.forEach((id) => used.add(id));
+    proposals.push({
+      ...proposal,
+      sessionNames: ids.map((id) => sessionsById.get(id).name),
+      reason: p.reason,
+    });
+  }
+  return proposals;
+}
+
+/**
+ * Generates a new set of proposals, replacing the pending ones from the previous job.
+ * @returns {Promise<number>} Number of proposals stored
+ */
+export async function proposeTidySessions() {
+  const [sessions, tabs, memberships] = await Promise.all([getAllSessions(), getAllTabs(), getAllMemberships()]);
+  if (sessions.length < 2) {
+    await replaceTidyProposals([]);
+    return 0;
+  }
+  const tabsByUrl = new Map(tabs.map((t) => [t.url, t]));
+  const urlsBySession = new Map();
+  for (const m of memberships) {
+    if (!tabsByUrl.has(m.url)) continue;
+    if (!urlsBySession.has(m.sessionId)) urlsBySession.set(m.sessionId, new Set());
+    urlsBySession.get(m.sessionId).add(m.url);
+  }
+  const catalog = sessions.map((s) => ({
+    id: s.id,
+    name: s.name,
+    tabs: [...(urlsBySession.get(s.id) || [])].map((url) => ({ url, title: tabsByUrl.get(url).title })),
+  }));
+
+  console.log(`🧹 Asking for tidy proposals across ${sessions.length} session(s).`);
+  const raw = await proposeSessionTidy(catalog);
+  const proposals = validProposals(raw, new Map(sessions.map((s) => [s.id, s])), urlsBySession);
+  if (raw.length > proposals.length) console.warn(`Dropped ${raw.length - proposals.length} tidy proposal(s) that do not fit the sessions.`);
+  await replaceTidyProposals(proposals);
+  return proposals.length;
+}
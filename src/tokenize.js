@@ -0,0 +1,25 @@
+// Text helpers shared by the local search indexes (embeddings.js and lexical_index.js).
+
+/** 32-bit FNV-1a hash */
+export function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+const STOPWORDS = new Set(
+  "a an and are as at be but by for from has have in is it its of on or that the this to was were will with you your".split(" ")
+);
+
+/**
+ * Lowercased, accent-folded words of at least two characters, without stopwords.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return (String(text).toLowerCase().normalize("NFKD").replace(/[\u0300-\u036f]/g, "").match(/[\p{L}\p{N}]+/gu) || [])
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
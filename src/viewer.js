@@ -1,14 +1,61 @@
-const DB_NAME = "NeuMemoDB";
-const DB_VERSION = 6; // Incremented version to trigger onupgradeneeded
-const SESSIONS_STORE = "sessions";
-const TABS_STORE = "tabs";
-const EXCLUDED_URLS_STORE = "excluded_urls";
+import {
+    openDB,
+    getAllSessions,
+    addSession,
+    updateSession,
+    getAllTabs,
+    getTabsBySession,
+    getAllMemberships,
+    addTabToSession,
+    trashSession,
+    trashTab,
+    getAllTrash,
+    restoreTrashEntry,
+    deleteTrashEntry,
+    moveTabToSession,
+    getAllArchived,
+    restoreArchivedEntry,
+    getAllRuns,
+    latestUndoableRunId,
+    getConversation,
+    deleteConversation,
+    getAllTidyProposals,
+    acceptTidyProposal,
+    dismissTidyProposal,
+    undoTidyProposal,
+    getPendingReviewItems,
+    getSetting,
+    putSetting,
+    SETTING_KEYS,
+} from './db.js';
+import { exportData, importData, CONFLICT_STRATEGIES } from './backup.js';
+import { loadBrief, briefToMarkdown, briefToHtml } from './brief.js';
+import {
+    parseNetscapeBookmarks,
+    parseOneTab,
+    isNetscapeBookmarks,
+    listBookmarkFolders,
+    groupsFromBookmarkFolder,
+} from './importers.js';
+import { lexicalSearch } from './lexical_index.js';
+import { recordCorrection } from './corrections.js';
+
+// Human-readable labels for the reasons the background records when archiving rows
+const ARCHIVE_REASON_LABELS = {
+    missing_from_ai_output: "Missing from the latest AI output",
+    empty_after_reconcile: "Session had no tabs left",
+};
 
-let db;
 // Keep a long-lived port open during collection to keep the background SW alive
 let collectKeepAlivePort = null;
 // Extra lifeline: persistent keepalive while the viewer is open
 let viewerKeepAlivePort = null;
+// Bumped per search so a slow AI response never overwrites the results of a newer query
+let latestSearchId = 0;
+// Tag / content type filter for the tab list (a session or search results); kept while browsing
+const tabFilter = { tag: '', contentType: '' };
+// Re-renders whichever tab list is shown after the filter changes; null for the other views
+let rerenderTabList = null;
 
 document.addEventListener("DOMContentLoaded", () => {
     // Establish a persistent keepalive port for the duration of the viewer page
@@ -23,11 +70,26 @@ document.addEventListener("DOMContentLoaded", () => {
         window.addEventListener('beforeunload', () => { try { viewerKeepAlivePort?.disconnect(); } catch {} });
     } catch {}
 
-    initDatabase().then(() => {
+    openDB().then(() => {
         loadSessions();
         document.getElementById("save-session").addEventListener("click", saveCurrentSession);
+        initCaptureScope();
         document.getElementById("new-session").addEventListener("click", createNewSession);
+        document.getElementById("view-archive").addEventListener("click", showArchive);
+        document.getElementById("view-trash").addEventListener("click", showTrash);
+        document.getElementById("view-runs").addEventListener("click", showRuns);
+        document.getElementById("view-tidy").addEventListener("click", () => showTidy());
+        document.getElementById("view-review").addEventListener("click", showReview);
+        document.getElementById("chat-all").addEventListener("click", () => showChat('all', 'All sessions'));
+        document.getElementById("export-all").addEventListener("click", () => exportToFile());
+        document.getElementById("import-data").addEventListener("click", () => document.getElementById("import-file").click());
+        document.getElementById("import-file").addEventListener("change", importFromFile);
+        document.getElementById("import-bookmarks").addEventListener("click", importChromeBookmarks);
         document.getElementById("search-input").addEventListener("keydown", handleSearch);
+        document.getElementById("content-type-filter").addEventListener("change", (e) => setTabFilter({ contentType: e.target.value }));
+        document.getElementById("tag-filter-clear").addEventListener("click", () => setTabFilter({ tag: '' }));
+    }).catch((error) => {
+        console.error("Database error:", error);
     });
     initResizeableSidebar();
     // Listen for background completion/failure notifications
@@ -48,211 +110,495 @@ document.addEventListener("DOMContentLoaded", () => {
     });
 });
 
-function initDatabase() {
-    return new Promise((resolve, reject) => {
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
+async function loadSessions(selectFirst = true) {
+    const sessions = await getAllSessions();
+    const sessionsList = document.getElementById("sessions-list");
+    sessionsList.innerHTML = "";
+    updateReviewCount();
 
-        request.onerror = (event) => {
-            console.error("Database error:", event.target.error);
-            reject(event.target.error);
+    sessions.forEach(session => {
+        const li = document.createElement("li");
+        li.dataset.sessionId = session.id;
+
+        const sessionNameSpan = document.createElement('span');
+        sessionNameSpan.className = 'session-name';
+        sessionNameSpan.textContent = session.name;
+        li.appendChild(sessionNameSpan);
+
+        li.addEventListener("click", () => {
+            document.getElementById("search-input").value = ""; // Clear search
+            loadTabsForSession(session.id);
+            document.querySelectorAll("#sessions-list li").forEach(item => item.classList.remove("active"));
+            li.classList.add("active");
+        });
+        
+        const actions = document.createElement('div');
+        actions.className = 'session-actions';
+
+        const editButton = document.createElement('button');
+        editButton.textContent = '✏️';
+        editButton.className = 'edit-session';
+        editButton.onclick = (e) => {
+            e.stopPropagation();
+            editSessionName(session.id, session.name);
         };
 
-        request.onupgradeneeded = (event) => {
-            db = event.target.result;
-            if (!db.objectStoreNames.contains(SESSIONS_STORE)) {
-                const sessionStore = db.createObjectStore(SESSIONS_STORE, { keyPath: "id", autoIncrement: true });
-                sessionStore.createIndex("name", "name", { unique: true });
-            }
-            if (!db.objectStoreNames.contains(TABS_STORE)) {
-                const tabStore = db.createObjectStore(TABS_STORE, { keyPath: "url" });
-                tabStore.createIndex("sessionId", "sessionId", { unique: false });
-            }
-            if (!db.objectStoreNames.contains(EXCLUDED_URLS_STORE)) {
-                db.createObjectStore(EXCLUDED_URLS_STORE, { keyPath: "domain" });
-            }
-            
-            // Data migration from old structure if necessary
-            if (event.oldVersion === 1) {
-                // Logic to migrate old 'tabs' data to new 'sessions' and 'tabs' stores
-                const tx = event.target.transaction;
-                if (tx.objectStoreNames.contains("tabs")) {
-                    const oldTabsStore = tx.objectStore("tabs");
-                    const newTabsStore = tx.objectStore(TABS_STORE);
-                    const newSessionStore = tx.objectStore(SESSIONS_STORE);
-
-                    oldTabsStore.getAll().onsuccess = (e) => {
-                        const oldTabs = e.target.result;
-                        const sessions = {}; // Group tabs by session_name
-
-                        oldTabs.forEach(tab => {
-                            const sessionName = tab.session_name || "Uncategorized";
-                            if (!sessions[sessionName]) {
-                                sessions[sessionName] = [];
-                            }
-                            sessions[sessionName].push(tab);
-                        });
-
-                        Object.keys(sessions).forEach(sessionName => {
-                            newSessionStore.add({ name: sessionName }).onsuccess = (e) => {
-                                const sessionId = e.target.result;
-                                sessions[sessionName].forEach(tab => {
-                                    newTabsStore.add({
-                                        sessionId: sessionId,
-                                        title: tab.title,
-                                        url: tab.url,
-                                        summary: tab.summarized_content
-                                    });
-                                });
-                            };
-                        });
-                    };
-                }
-                 if (tx.objectStoreNames.contains("collected_tabs")) {
-                    db.deleteObjectStore("collected_tabs");
-                }
-                if (tx.objectStoreNames.contains("rejected_tabs")) {
-                    db.deleteObjectStore("rejected_tabs");
-                }
-            }
-
-            if (event.oldVersion < 5) {
-                const tx = event.target.transaction;
-                if (tx.objectStoreNames.contains(TABS_STORE)) {
-                    const tabStore = tx.objectStore(TABS_STORE);
-                    if (tabStore.keyPath !== 'url') {
-                        // This is a destructive operation, but necessary to fix the key path.
-                        db.deleteObjectStore(TABS_STORE);
-                        const newTabStore = db.createObjectStore(TABS_STORE, { keyPath: "url" });
-                        newTabStore.createIndex("sessionId", "sessionId", { unique: false });
-                    }
-                }
-            }
+        const deleteButton = document.createElement('button');
+        deleteButton.textContent = '🗑️';
+        deleteButton.className = 'delete-session';
+        deleteButton.onclick = (e) => {
+            e.stopPropagation();
+            deleteSession(session.id);
+        };
+        
+        const openButton = document.createElement('button');
+        openButton.textContent = '↗️';
+        openButton.title = 'Open all tabs in new window';
+        openButton.onclick = (e) => {
+            e.stopPropagation();
+            openSessionInNewWindow(session.id);
         };
 
-        request.onsuccess = (event) => {
-            db = event.target.result;
-            resolve();
+        const exportButton = document.createElement('button');
+        exportButton.textContent = '💾';
+        exportButton.title = 'Export this session';
+        exportButton.onclick = (e) => {
+            e.stopPropagation();
+            exportToFile(session);
         };
-    });
-}
 
-function loadSessions() {
-    const transaction = db.transaction(SESSIONS_STORE, "readonly");
-    const store = transaction.objectStore(SESSIONS_STORE);
-    const request = store.getAll();
+        const markdownButton = document.createElement('button');
+        markdownButton.textContent = '📝';
+        markdownButton.title = 'Export as Markdown';
+        markdownButton.onclick = (e) => {
+            e.stopPropagation();
+            exportBrief(session, 'markdown');
+        };
 
-    request.onsuccess = (event) => {
-        const sessions = event.target.result;
-        const sessionsList = document.getElementById("sessions-list");
-        sessionsList.innerHTML = "";
+        const chatButton = document.createElement('button');
+        chatButton.textContent = '💬';
+        chatButton.title = 'Chat about this session';
+        chatButton.onclick = (e) => {
+            e.stopPropagation();
+            document.querySelectorAll("#sessions-list li").forEach(item => item.classList.remove("active"));
+            li.classList.add("active");
+            showChat(session.id, session.name);
+        };
 
-        sessions.forEach(session => {
-            const li = document.createElement("li");
-            li.dataset.sessionId = session.id;
+        const htmlButton = document.createElement('button');
+        htmlButton.textContent = '📄';
+        htmlButton.title = 'Export as a standalone HTML page';
+        htmlButton.onclick = (e) => {
+            e.stopPropagation();
+            exportBrief(session, 'html');
+        };
 
-            const sessionNameSpan = document.createElement('span');
-            sessionNameSpan.className = 'session-name';
-            sessionNameSpan.textContent = session.name;
-            li.appendChild(sessionNameSpan);
+        actions.appendChild(openButton);
+        actions.appendChild(chatButton);
+        actions.appendChild(markdownButton);
+        actions.appendChild(htmlButton);
+        actions.appendChild(exportButton);
+        actions.appendChild(editButton);
+        actions.appendChild(deleteButton);
+        li.appendChild(actions);
 
-            li.addEventListener("click", () => {
-                document.getElementById("search-input").value = ""; // Clear search
-                loadTabsForSession(session.id);
-                document.querySelectorAll("#sessions-list li").forEach(item => item.classList.remove("active"));
-                li.classList.add("active");
-            });
-            
-            const actions = document.createElement('div');
-            actions.className = 'session-actions';
-
-            const editButton = document.createElement('button');
-            editButton.textContent = '✏️';
-            editButton.className = 'edit-session';
-            editButton.onclick = (e) => {
-                e.stopPropagation();
-                editSessionName(session.id, session.name);
-            };
-
-            const deleteButton = document.createElement('button');
-            deleteButton.textContent = '🗑️';
-            deleteButton.className = 'delete-session';
-            deleteButton.onclick = (e) => {
-                e.stopPropagation();
-                deleteSession(session.id);
-            };
-            
-            const openButton = document.createElement('button');
-            openButton.textContent = '↗️';
-            openButton.title = 'Open all tabs in new window';
-            openButton.onclick = (e) => {
-                e.stopPropagation();
-                openSessionInNewWindow(session.id);
-            };
-
-            actions.appendChild(openButton);
-            actions.appendChild(editButton);
-            actions.appendChild(deleteButton);
-            li.appendChild(actions);
-
-            sessionsList.appendChild(li);
-        });
+        sessionsList.appendChild(li);
+    });
 
-        if (sessions.length > 0) {
-            loadTabsForSession(sessions[0].id);
-            sessionsList.firstChild.classList.add("active");
-        }
-    };
+    if (selectFirst && sessions.length > 0) {
+        loadTabsForSession(sessions[0].id);
+        sessionsList.firstChild.classList.add("active");
+    }
 }
 
-function loadTabsForSession(sessionId) {
+async function loadTabsForSession(sessionId) {
     const searchInput = document.getElementById("search-input");
     if (searchInput.value.trim().length > 0) {
         // If there is a search query, don't load session tabs
         return;
     }
-    const transaction = db.transaction(TABS_STORE, "readonly");
-    const store = transaction.objectStore(TABS_STORE);
-    const index = store.index("sessionId");
-    const request = index.getAll(sessionId);
+    const [tabs, sessions, memberships] = await Promise.all([
+        getTabsBySession(sessionId),
+        getAllSessions(),
+        getAllMemberships(),
+    ]);
+    const sessionNames = new Map(sessions.map(s => [s.id, s.name]));
+    const tabsList = document.getElementById("tabs-list");
+    tabsList.innerHTML = "";
+    rerenderTabList = () => loadTabsForSession(sessionId);
+    const session = sessions.find(s => s.id === sessionId);
+    if (session && tabs.length > 0) appendSynopsis(tabsList, session);
+    const shownTabs = filterTabList(tabs);
 
-    request.onsuccess = (event) => {
-        const tabs = event.target.result;
-        const tabsList = document.getElementById("tabs-list");
-        tabsList.innerHTML = "";
+    shownTabs.forEach(tab => {
+        const li = document.createElement("li");
+        const tabLink = createTabLink(tab);
 
-        tabs.forEach(tab => {
-            const li = document.createElement("li");
-            const tabLink = document.createElement("a");
-            tabLink.href = tab.url;
-            tabLink.textContent = tab.title || tab.url;
-            tabLink.target = "_blank";
-            
-            const tabSummary = document.createElement("p");
-            tabSummary.textContent = tab.summary || '';
-            
-            const tabContent = document.createElement('div');
-            tabContent.appendChild(tabLink);
-            tabContent.appendChild(tabSummary);
-
-            const actions = document.createElement('div');
-            actions.className = 'tab-actions';
-
-            const moveButton = document.createElement('button');
-            moveButton.textContent = 'Move';
-            moveButton.onclick = () => moveTab(tab.url, tab.sessionId);
-
-            const deleteButton = document.createElement('button');
-            deleteButton.textContent = 'Delete';
-            deleteButton.onclick = () => deleteTab(tab.url);
-
-            actions.appendChild(moveButton);
-            actions.appendChild(deleteButton);
-            
-            li.appendChild(tabContent);
-            li.appendChild(actions);
-            tabsList.appendChild(li);
+        const tabSummary = document.createElement("p");
+        tabSummary.textContent = tab.summary || '';
+        
+        const tabContent = document.createElement('div');
+        tabContent.appendChild(tabLink);
+        tabContent.appendChild(tabSummary);
+        appendTabMetadata(tabContent, tab);
+
+        if (tab.coverage === 'partial') {
+            const coverage = document.createElement("p");
+            coverage.className = "archive-meta";
+            coverage.textContent = "Summary covers part of this page (it is longer than the section limit).";
+            tabContent.appendChild(coverage);
+        }
+
+        // Other sessions this page also belongs to
+        const otherSessions = memberships
+            .filter(m => m.url === tab.url && m.sessionId !== sessionId && sessionNames.has(m.sessionId))
+            .map(m => sessionNames.get(m.sessionId));
+        if (otherSessions.length > 0) {
+            const alsoIn = document.createElement("p");
+            alsoIn.className = "archive-meta";
+            alsoIn.textContent = `Also in: ${otherSessions.join(', ')}`;
+            tabContent.appendChild(alsoIn);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'tab-actions';
+
+        const moveButton = document.createElement('button');
+        moveButton.textContent = 'Move';
+        moveButton.onclick = () => moveTab(tab.url, sessionId);
+
+        const copyButton = document.createElement('button');
+        copyButton.textContent = 'Copy';
+        copyButton.title = 'Also add this tab to another session';
+        copyButton.onclick = () => copyTab(tab.url, sessionId);
+
+        const deleteButton = document.createElement('button');
+        deleteButton.textContent = 'Delete';
+        deleteButton.onclick = () => deleteTab(tab.url, sessionId);
+
+        actions.appendChild(moveButton);
+        actions.appendChild(copyButton);
+        actions.appendChild(deleteButton);
+        
+        li.appendChild(tabContent);
+        li.appendChild(actions);
+        tabsList.appendChild(li);
+    });
+}
+
+// --- Session synopsis ---
+
+// Synopsis block at the top of a session's tab list. Shows the stored synopsis straight away and
+// asks the background for a fresh one, which it only regenerates when the session's pages
+// changed (or always, for Regenerate).
+function appendSynopsis(tabsList, session) {
+    const li = document.createElement("li");
+    li.className = "session-synopsis";
+    tabsList.appendChild(li);
+    let current = session.synopsis || null;
+
+    const render = (status) => {
+        li.innerHTML = "";
+        const heading = document.createElement("h3");
+        heading.textContent = "Synopsis";
+        li.appendChild(heading);
+
+        if (current) {
+            const about = document.createElement("p");
+            about.textContent = current.about;
+            li.appendChild(about);
+            if (current.openQuestions?.length > 0) {
+                const questionsTitle = document.createElement("h4");
+                questionsTitle.textContent = "Open questions";
+                const questions = document.createElement("ul");
+                for (const question of current.openQuestions) {
+                    const item = document.createElement("li");
+                    item.textContent = question;
+                    questions.appendChild(item);
+                }
+                li.appendChild(questionsTitle);
+                li.appendChild(questions);
+            }
+            if (current.relations) {
+                const relations = document.createElement("p");
+                relations.textContent = current.relations;
+                li.appendChild(relations);
+            }
+        }
+
+        const meta = document.createElement("p");
+        meta.className = "archive-meta";
+        const generated = current ? `Generated ${new Date(current.generatedAt).toLocaleString()} from ${current.tabCount} tab(s).` : '';
+        meta.textContent = [generated, status].filter(Boolean).join(' ');
+        li.appendChild(meta);
+
+        const regenerate = document.createElement("button");
+        regenerate.className = "action-button secondary-button";
+        regenerate.textContent = "Regenerate";
+        regenerate.disabled = status === 'Writing…';
+        regenerate.onclick = () => refresh(true);
+        li.appendChild(regenerate);
+    };
+
+    const refresh = (force) => {
+        render(force || !current ? 'Writing…' : '');
+        chrome.runtime.sendMessage({ type: "REFRESH_SYNOPSIS", sessionId: session.id, force }, (response) => {
+            if (!li.isConnected) return;
+            if (chrome.runtime.lastError || !response?.ok) {
+                const error = chrome.runtime.lastError?.message || response?.error || 'unknown error';
+                render(`Could not write the synopsis: ${error}`);
+                return;
+            }
+            current = response.synopsis;
+            render('');
         });
     };
+    refresh(false);
+}
+
+// --- Chat ---
+
+// Chat about one session (scope = its id) or all of them (scope = 'all'). Answers come from the
+// background, which searches the saved summaries and cites the pages it used.
+async function showChat(scope, title) {
+    document.getElementById("search-input").value = "";
+    hideTabFilters();
+    if (scope === 'all') document.querySelectorAll("#sessions-list li.active").forEach(item => item.classList.remove("active"));
+
+    const tabsList = document.getElementById("tabs-list");
+    tabsList.innerHTML = "";
+    let messages = (await getConversation(scope))?.messages || [];
+    let pendingQuestion = null;
+    let error = '';
+
+    const header = document.createElement("li");
+    header.className = "view-header";
+    const heading = document.createElement("h3");
+    heading.textContent = `Chat · ${title}`;
+    const clearButton = document.createElement("button");
+    clearButton.className = "action-button secondary-button";
+    clearButton.textContent = "Clear";
+    clearButton.title = "Delete this conversation";
+    clearButton.onclick = async () => {
+        if (!confirm("Delete this conversation?")) return;
+        await deleteConversation(scope);
+        messages = [];
+        render();
+    };
+    header.appendChild(heading);
+    header.appendChild(clearButton);
+
+    const thread = document.createElement("li");
+    thread.className = "chat-thread";
+
+    const inputRow = document.createElement("li");
+    inputRow.className = "chat-input";
+    const input = document.createElement("textarea");
+    input.rows = 2;
+    input.placeholder = scope === 'all' ? "Ask about any of your saved tabs…" : "Ask about the tabs in this session…";
+    const sendButton = document.createElement("button");
+    sendButton.className = "action-button";
+    sendButton.textContent = "Send";
+    inputRow.appendChild(input);
+    inputRow.appendChild(sendButton);
+
+    const appendMessage = (message) => {
+        const item = document.createElement("div");
+        item.className = `chat-message ${message.role}`;
+        const text = document.createElement("p");
+        text.textContent = message.text;
+        item.appendChild(text);
+        if (message.citations?.length > 0) {
+            const sources = document.createElement("ol");
+            sources.className = "chat-citations";
+            for (const citation of message.citations) {
+                const source = document.createElement("li");
+                const link = document.createElement("a");
+                link.href = citation.url;
+                link.target = "_blank";
+                link.textContent = citation.title || citation.url;
+                source.appendChild(link);
+                sources.appendChild(source);
+            }
+            item.appendChild(sources);
+        }
+        thread.appendChild(item);
+    };
+
+    const render = () => {
+        thread.innerHTML = "";
+        if (messages.length === 0 && !pendingQuestion) {
+            const empty = document.createElement("p");
+            empty.className = "archive-meta";
+            empty.textContent = "Answers use only the summaries of your saved tabs and link the tabs they come from.";
+            thread.appendChild(empty);
+        }
+        messages.forEach(appendMessage);
+        if (pendingQuestion) {
+            appendMessage({ role: 'user', text: pendingQuestion });
+            appendMessage({ role: 'assistant', text: 'Thinking…' });
+        }
+        if (error) {
+            const note = document.createElement("p");
+            note.className = "archive-meta";
+            note.textContent = error;
+            thread.appendChild(note);
+        }
+        clearButton.disabled = messages.length === 0 || !!pendingQuestion;
+        sendButton.disabled = !!pendingQuestion;
+        thread.scrollTop = thread.scrollHeight;
+    };
+
+    const send = () => {
+        const question = input.value.trim();
+        if (!question || pendingQuestion) return;
+        pendingQuestion = question;
+        error = '';
+        input.value = "";
+        render();
+        chrome.runtime.sendMessage({ type: "CHAT_ASK", scope, question }, (response) => {
+            if (!thread.isConnected) return;
+            pendingQuestion = null;
+            if (chrome.runtime.lastError || !response?.ok) {
+                error = `Could not answer: ${chrome.runtime.lastError?.message || response?.error || 'unknown error'}`;
+                input.value = question;
+            } else {
+                messages = response.conversation.messages;
+            }
+            render();
+        });
+    };
+    sendButton.onclick = send;
+    input.addEventListener("keydown", (e) => {
+        if (e.key === "Enter" && !e.shiftKey) {
+            e.preventDefault();
+            send();
+        }
+    });
+
+    tabsList.appendChild(header);
+    tabsList.appendChild(thread);
+    tabsList.appendChild(inputRow);
+    render();
+    input.focus();
+}
+
+// --- Tab metadata and filters ---
+
+function setTabFilter(changes) {
+    Object.assign(tabFilter, changes);
+    rerenderTabList?.();
+}
+
+// Applies the tag / content type filter, refreshes the filter bar for `tabs` and, when the filter
+// hides every tab, says so in the list
+function filterTabList(tabs) {
+    const bar = document.getElementById("tab-filters");
+    const select = document.getElementById("content-type-filter");
+    const types = [...new Set(tabs.map(t => t.contentType).filter(Boolean))].sort();
+    if (tabFilter.contentType && !types.includes(tabFilter.contentType)) types.push(tabFilter.contentType);
+    select.innerHTML = "";
+    for (const [value, label] of [['', 'All types'], ...types.map(type => [type, type])]) {
+        const option = document.createElement("option");
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    }
+    select.value = tabFilter.contentType;
+    document.getElementById("tag-filter").classList.toggle("hidden", !tabFilter.tag);
+    document.getElementById("tag-filter-label").textContent = `Tag: ${tabFilter.tag}`;
+    bar.classList.toggle("hidden", types.length === 0 && !tabFilter.tag);
+
+    const shown = tabs.filter(tab => (!tabFilter.tag || (tab.tags || []).includes(tabFilter.tag))
+        && (!tabFilter.contentType || tab.contentType === tabFilter.contentType));
+    if (tabs.length > 0 && shown.length === 0) {
+        const li = document.createElement("li");
+        li.className = "empty-state";
+        li.textContent = "No tabs match the filter.";
+        document.getElementById("tabs-list").appendChild(li);
+    }
+    return shown;
+}
+
+// The other views (trash, archive, runs) don't use the filter bar
+function hideTabFilters() {
+    rerenderTabList = null;
+    document.getElementById("tab-filters").classList.add("hidden");
+}
+
+// Title link with the page's favicon; the icon hides itself if it fails to load
+function createTabLink(tab) {
+    const link = document.createElement("a");
+    link.href = tab.url;
+    link.target = "_blank";
+    if (tab.page?.favicon) {
+        const icon = document.createElement("img");
+        icon.className = "tab-favicon";
+        icon.src = tab.page.favicon;
+        icon.alt = "";
+        icon.loading = "lazy";
+        icon.onerror = () => icon.remove();
+        link.appendChild(icon);
+    }
+    link.appendChild(document.createTextNode(tab.title || tab.url));
+    return link;
+}
+
+// "Published 3 Mar 2025 (updated 5 Apr 2025)", or '' when the page declares no dates
+function formatPageDates(page) {
+    const format = (iso) => (iso ? new Date(iso).toLocaleDateString(undefined, { dateStyle: 'medium' }) : '');
+    const published = format(page?.publishedAt);
+    const modified = format(page?.modifiedAt);
+    if (published) return modified && modified !== published ? `Published ${published} (updated ${modified})` : `Published ${published}`;
+    return modified ? `Updated ${modified}` : '';
+}
+
+// Publish date, author, content type, reading time and language, clickable tag chips and the
+// key points of a saved page
+function appendTabMetadata(container, tab) {
+    const facts = [
+        formatPageDates(tab.page),
+        tab.page?.author ? `by ${tab.page.author}` : '',
+        tab.contentType,
+        tab.readingMinutes ? `${tab.readingMinutes} min read` : '',
+        tab.language,
+    ].filter(Boolean);
+    if (facts.length > 0) {
+        const meta = document.createElement("p");
+        meta.className = "archive-meta";
+        meta.textContent = facts.join(' · ');
+        container.appendChild(meta);
+    }
+
+    if (Array.isArray(tab.tags) && tab.tags.length > 0) {
+        const chips = document.createElement("div");
+        chips.className = "tag-chips";
+        for (const tag of tab.tags) {
+            const chip = document.createElement("button");
+            chip.className = tag === tabFilter.tag ? "tag-chip active" : "tag-chip";
+            chip.textContent = tag;
+            chip.title = tag === tabFilter.tag ? "Clear tag filter" : `Show only tabs tagged “${tag}”`;
+            chip.onclick = () => setTabFilter({ tag: tag === tabFilter.tag ? '' : tag });
+            chips.appendChild(chip);
+        }
+        container.appendChild(chips);
+    }
+
+    if (Array.isArray(tab.keyPoints) && tab.keyPoints.length > 0) {
+        const details = document.createElement("details");
+        details.className = "key-points";
+        const summary = document.createElement("summary");
+        summary.textContent = "Key points";
+        const list = document.createElement("ul");
+        for (const point of tab.keyPoints) {
+            const item = document.createElement("li");
+            item.textContent = point;
+            list.appendChild(item);
+        }
+        details.appendChild(summary);
+        details.appendChild(list);
+        container.appendChild(details);
+    }
 }
 
 async function handleSearch(event) {
@@ -269,24 +615,37 @@ async function handleSearch(event) {
         return;
     }
 
-    const allTabs = await getAllTabs();
+    const searchId = ++latestSearchId;
     
     // Unselect any active session
     document.querySelectorAll("#sessions-list li.active").forEach(item => item.classList.remove("active"));
 
-    showLoading(true, 'search');
-    chrome.runtime.sendMessage({ type: "SEARCH_TABS", query: query, tabs: allTabs }, (response) => {
+    // BM25 hits from the local index show up instantly while the AI re-ranks in the background
+    const lexicalHits = (await lexicalSearch(query, 10).catch(e => {
+        console.warn("Lexical search failed:", e);
+        return [];
+    })).map(hit => ({ ...hit, rankedBy: 'lexical' }));
+    if (searchId !== latestSearchId) return;
+    displaySearchedTabs(lexicalHits, 'Refining with AI…');
+
+    chrome.runtime.sendMessage({ type: "SEARCH_TABS", query: query }, (response) => {
+        if (searchId !== latestSearchId) return;
         if (chrome.runtime.lastError) {
             console.error("Error sending search message:", chrome.runtime.lastError);
-            showLoading(false);
+            displaySearchedTabs(lexicalHits);
             return;
         }
-        showLoading(false);
         displaySearchedTabs(response.tabs);
     });
 }
 
-function displaySearchedTabs(tabs) {
+// Where a search result's ranking came from
+const RANKING_LABELS = {
+    ai: 'AI ranked',
+    lexical: 'Keyword match (offline)',
+};
+
+function displaySearchedTabs(tabs, status) {
     const tabsList = document.getElementById("tabs-list");
     tabsList.innerHTML = "";
 
@@ -294,42 +653,99 @@ function displaySearchedTabs(tabs) {
         return;
     }
 
-    tabs.forEach(tab => {
+    rerenderTabList = () => displaySearchedTabs(tabs, status);
+    const statusText = status || (tabs.length === 0 ? 'No matching tabs.' : '');
+    if (statusText) {
         const li = document.createElement("li");
-        const tabLink = document.createElement("a");
-        tabLink.href = tab.url;
-        tabLink.textContent = tab.title || tab.url;
-        tabLink.target = "_blank";
-        
+        li.className = "empty-state";
+        li.textContent = statusText;
+        tabsList.appendChild(li);
+    }
+    const shownTabs = filterTabList(tabs);
+
+    shownTabs.forEach(tab => {
+        const li = document.createElement("li");
+        const tabLink = createTabLink(tab);
+
         const tabSummary = document.createElement("p");
         tabSummary.textContent = tab.summary || '';
         
         const tabContent = document.createElement('div');
         tabContent.appendChild(tabLink);
         tabContent.appendChild(tabSummary);
+        appendTabMetadata(tabContent, tab);
+        if (RANKING_LABELS[tab.rankedBy]) {
+            const ranking = document.createElement("p");
+            ranking.className = "archive-meta";
+            ranking.textContent = RANKING_LABELS[tab.rankedBy];
+            tabContent.appendChild(ranking);
+        }
         
         li.appendChild(tabContent);
         tabsList.appendChild(li);
     });
 }
 
-function getAllTabs() {
-    return new Promise((resolve, reject) => {
-        const transaction = db.transaction(TABS_STORE, "readonly");
-        const store = transaction.objectStore(TABS_STORE);
-        const request = store.getAll();
-
-        request.onsuccess = (event) => {
-            resolve(event.target.result);
-        };
+// --- Capture scope ---
+// The picker next to "Organize Tabs": this window, the selected tabs, one tab group or all
+// windows. The choice is remembered in the settings store.
+
+const CAPTURE_SCOPE_LABELS = {
+    window: 'This window',
+    highlighted: 'Selected tabs',
+    all: 'All windows',
+};
+
+const captureScopeValue = (scope) => (scope?.kind === 'group' ? `group:${scope.groupId}` : scope?.kind || 'all');
+
+// Rebuilds the options (tab groups come and go) and keeps the current choice when it still exists
+async function refreshCaptureScopes(preferred) {
+    const select = document.getElementById("capture-scope");
+    const value = preferred || select.value;
+    const groups = await chrome.tabGroups.query({}).catch(() => []);
+    select.innerHTML = "";
+    select.appendChild(new Option(CAPTURE_SCOPE_LABELS.window, 'window'));
+    select.appendChild(new Option(CAPTURE_SCOPE_LABELS.highlighted, 'highlighted'));
+    for (const group of groups) {
+        select.appendChild(new Option(`Tab group: ${group.title || `(${group.color})`}`, `group:${group.id}`));
+    }
+    select.appendChild(new Option(CAPTURE_SCOPE_LABELS.all, 'all'));
+    select.value = [...select.options].some(o => o.value === value) ? value : 'all';
+}
 
-        request.onerror = (event) => {
-            reject(event.target.error);
-        };
+async function initCaptureScope() {
+    const select = document.getElementById("capture-scope");
+    const saved = await getSetting(SETTING_KEYS.CAPTURE_SCOPE, { kind: 'all' }).catch(() => ({ kind: 'all' }));
+    await refreshCaptureScopes(captureScopeValue(saved));
+    select.addEventListener("change", () => {
+        const [kind, groupId] = select.value.split(':');
+        putSetting(SETTING_KEYS.CAPTURE_SCOPE, groupId ? { kind, groupId: Number(groupId) } : { kind })
+            .catch(e => console.warn("Failed to save the capture scope:", e));
     });
+    for (const event of [chrome.tabGroups.onCreated, chrome.tabGroups.onUpdated, chrome.tabGroups.onRemoved]) {
+        event.addListener(() => refreshCaptureScopes());
+    }
 }
 
-function saveCurrentSession() {
+// The picked scope as sent with COLLECT_TABS
+async function selectedCaptureScope() {
+    const [kind, groupId] = (document.getElementById("capture-scope").value || 'all').split(':');
+    if (kind === 'group') {
+        const group = await chrome.tabGroups.get(Number(groupId)).catch(() => null);
+        return { kind, groupId: Number(groupId), groupTitle: group?.title || group?.color || '' };
+    }
+    if (kind === 'window') {
+        return { kind, windowId: (await chrome.windows.getCurrent()).id };
+    }
+    return { kind };
+}
+
+function captureScopeLabel(scope) {
+    if (scope.kind === 'group') return `tab group “${scope.groupTitle || 'untitled'}”`;
+    return (CAPTURE_SCOPE_LABELS[scope.kind] || scope.kind).toLowerCase();
+}
+
+async function saveCurrentSession() {
     showLoading(true, 'collect');
     // Open a keepalive port so the background service worker doesn't go idle
     try {
@@ -337,7 +753,8 @@ function saveCurrentSession() {
             collectKeepAlivePort = chrome.runtime.connect({ name: 'nemo-collect-keepalive' });
         }
     } catch {}
-    chrome.runtime.sendMessage({ type: "COLLECT_TABS" }, (response) => {
+    const scope = await selectedCaptureScope();
+    chrome.runtime.sendMessage({ type: "COLLECT_TABS", scope }, (response) => {
         if (chrome.runtime.lastError) {
             console.error("Error sending collect message:", chrome.runtime.lastError);
             showLoading(false);
@@ -358,9 +775,9 @@ function showLoading(isLoading, mode = 'collect') {
     if (!overlay) return;
     if (isLoading) {
         if (titleEl && subtextEl) {
-            if (mode === 'search') {
-                titleEl.textContent = 'Searching your tabs…';
-                subtextEl.textContent = 'Hang tight—finding the most relevant results.';
+            if (mode === 'import') {
+                titleEl.textContent = 'Importing and summarizing your links…';
+                subtextEl.textContent = 'Each page is fetched and summarized. Large imports are processed in batches; the rest are picked up the next time you organize tabs.';
             } else {
                 titleEl.textContent = 'Organizing your tabs into sessions…';
                 subtextEl.textContent = 'This may take a few minutes. Perfect time to grab a coffee—when you come back, it should be all set ☕';
@@ -374,109 +791,768 @@ function showLoading(isLoading, mode = 'collect') {
     }
 }
 
-function createNewSession() {
+async function createNewSession() {
     const sessionName = prompt("Enter new session name:");
     if (sessionName) {
-        const transaction = db.transaction(SESSIONS_STORE, "readwrite");
-        const store = transaction.objectStore(SESSIONS_STORE);
-        store.add({ name: sessionName });
-
-        transaction.oncomplete = () => {
-            loadSessions();
-        };
+        try {
+            const sessionId = await addSession(sessionName);
+            await recordCorrection({ kind: 'create', sessionId, name: sessionName });
+        } catch (error) {
+            console.error("Failed to create session:", error);
+            alert(`A session named "${sessionName}" already exists.`);
+            return;
+        }
+        loadSessions();
     }
 }
 
-function editSessionName(sessionId, oldName) {
+async function editSessionName(sessionId, oldName) {
     const newName = prompt("Enter new session name:", oldName);
     if (newName && newName !== oldName) {
-        const transaction = db.transaction(SESSIONS_STORE, "readwrite");
-        const store = transaction.objectStore(SESSIONS_STORE);
-        store.put({ id: sessionId, name: newName });
+        try {
+            await updateSession(sessionId, { name: newName });
+            await recordCorrection({ kind: 'rename', sessionId, name: newName, previousName: oldName });
+        } catch (error) {
+            console.error("Failed to rename session:", error);
+            alert(`A session named "${newName}" already exists.`);
+            return;
+        }
+        loadSessions();
+    }
+}
 
-        transaction.oncomplete = () => {
-            loadSessions();
-        };
+// Deletes move rows to the trash; the toast's Undo restores them straight away
+async function deleteSession(sessionId) {
+    try {
+        const trashId = await trashSession(sessionId);
+        loadSessions();
+        document.getElementById("tabs-list").innerHTML = "";
+        hideTabFilters();
+        showUndoToast("Session moved to trash.", () => restoreFromTrash(trashId));
+    } catch (error) {
+        console.error("Failed to delete session:", error);
+        alert("Failed to delete this session.");
     }
 }
 
-function deleteSession(sessionId) {
-    if (confirm("Are you sure you want to delete this session and all its tabs?")) {
-        const sessionTx = db.transaction(SESSIONS_STORE, "readwrite");
-        sessionTx.objectStore(SESSIONS_STORE).delete(sessionId);
+// Removes the tab from this session; the page itself goes to the trash once no session holds it
+async function deleteTab(tabUrl, sessionId) {
+    try {
+        const trashId = await trashTab(tabUrl, sessionId);
+        loadTabsForSession(sessionId);
+        showUndoToast("Tab moved to trash.", () => restoreFromTrash(trashId));
+    } catch (error) {
+        console.error("Failed to delete tab:", error);
+        alert("Failed to delete this tab.");
+    }
+}
 
-        sessionTx.oncomplete = () => {
-            const tabTx = db.transaction(TABS_STORE, "readwrite");
-            const tabStore = tabTx.objectStore(TABS_STORE);
-            const tabIndex = tabStore.index("sessionId");
-            const request = tabIndex.openCursor(IDBKeyRange.only(sessionId));
+let toastTimer = null;
 
-            request.onsuccess = (event) => {
-                const cursor = event.target.result;
-                if (cursor) {
-                    cursor.delete();
-                    cursor.continue();
-                }
-            };
+function showUndoToast(message, onUndo) {
+    const toast = document.getElementById("toast");
+    document.getElementById("toast-message").textContent = message;
+    document.getElementById("toast-undo").onclick = () => {
+        hideToast();
+        onUndo();
+    };
+    toast.classList.remove("hidden");
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(hideToast, 8000);
+}
 
-            tabTx.oncomplete = () => {
-                loadSessions();
-                document.getElementById("tabs-list").innerHTML = "";
-            };
+function hideToast() {
+    clearTimeout(toastTimer);
+    document.getElementById("toast").classList.add("hidden");
+}
+
+// Restores a trash entry and shows the session it went back into
+async function restoreFromTrash(trashId) {
+    try {
+        const { sessionId } = await restoreTrashEntry(trashId);
+        await loadSessions(false);
+        const item = document.querySelector(`#sessions-list li[data-session-id="${sessionId}"]`);
+        if (item) item.click();
+    } catch (error) {
+        console.error("Failed to restore from trash:", error);
+        alert("Failed to restore this item.");
+    }
+}
+
+async function showTrash() {
+    document.getElementById("search-input").value = "";
+    hideTabFilters();
+    document.querySelectorAll("#sessions-list li.active").forEach(item => item.classList.remove("active"));
+
+    // Newest first; deletedAt is an ISO string
+    const entries = (await getAllTrash())
+        .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+    const tabsList = document.getElementById("tabs-list");
+    tabsList.innerHTML = "";
+
+    if (entries.length === 0) {
+        const li = document.createElement("li");
+        li.className = "empty-state";
+        li.textContent = "The trash is empty.";
+        tabsList.appendChild(li);
+        return;
+    }
+
+    entries.forEach(entry => {
+        const li = document.createElement("li");
+        const entryContent = document.createElement('div');
+
+        const title = document.createElement("strong");
+        const tabCount = entry.memberships?.length || 0;
+        title.textContent = entry.kind === 'session'
+            ? `Session: ${entry.label} (${tabCount} tab${tabCount === 1 ? '' : 's'})`
+            : entry.label;
+        entryContent.appendChild(title);
+
+        const meta = document.createElement("p");
+        meta.className = "archive-meta";
+        const from = entry.kind === 'tab' && entry.from?.name ? `From “${entry.from.name}” · ` : '';
+        meta.textContent = `${from}deleted ${new Date(entry.deletedAt).toLocaleString()}`;
+        entryContent.appendChild(meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'tab-actions';
+
+        const restoreButton = document.createElement('button');
+        restoreButton.textContent = 'Restore';
+        restoreButton.onclick = async () => {
+            await restoreFromTrash(entry.id);
+            showTrash();
+        };
+
+        const deleteButton = document.createElement('button');
+        deleteButton.textContent = 'Delete forever';
+        deleteButton.onclick = async () => {
+            if (!confirm("Permanently delete this item? This cannot be undone.")) return;
+            await deleteTrashEntry(entry.id);
+            showTrash();
         };
+
+        actions.appendChild(restoreButton);
+        actions.appendChild(deleteButton);
+        li.appendChild(entryContent);
+        li.appendChild(actions);
+        tabsList.appendChild(li);
+    });
+}
+
+// Prompts for a target session id; returns null when cancelled or invalid
+async function promptForSessionId(message, currentSessionId) {
+    const sessions = await getAllSessions();
+    const candidates = sessions.filter(s => s.id !== currentSessionId);
+    const sessionOptions = candidates.map(s => `${s.id} - ${s.name}`).join('\n');
+    const input = prompt(`${message}\n${sessionOptions}`);
+    const id = parseInt(input);
+    return candidates.some(s => s.id === id) ? id : null;
+}
+
+async function moveTab(tabUrl, currentSessionId) {
+    const id = await promptForSessionId("Enter the ID of the session to move this tab to:", currentSessionId);
+    if (id !== null) {
+        await moveTabToSession(tabUrl, currentSessionId, id);
+        await recordCorrection({ kind: 'move', url: tabUrl, fromSessionId: currentSessionId, sessionId: id });
+        loadTabsForSession(currentSessionId);
     }
 }
 
-function deleteTab(tabUrl) {
-    if (confirm("Are you sure you want to delete this tab?")) {
-        const transaction = db.transaction(TABS_STORE, "readwrite");
-        transaction.objectStore(TABS_STORE).delete(tabUrl);
+async function copyTab(tabUrl, currentSessionId) {
+    const id = await promptForSessionId("Enter the ID of the session to also add this tab to:", currentSessionId);
+    if (id !== null) {
+        await addTabToSession(tabUrl, id);
+        await recordCorrection({ kind: 'copy', url: tabUrl, sessionId: id });
+        loadTabsForSession(currentSessionId);
+    }
+}
 
-        transaction.oncomplete = () => {
-            const activeSession = document.querySelector("#sessions-list li.active");
-            if (activeSession) {
-                loadTabsForSession(parseInt(activeSession.dataset.sessionId));
-            }
+function downloadFile(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+const fileSlug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'session';
+
+// Downloads the whole database, or just `session` when given, as a versioned JSON file
+async function exportToFile(session) {
+    try {
+        const data = await exportData(session ? { sessionId: session.id } : {});
+        const date = new Date().toISOString().slice(0, 10);
+        const slug = session ? `-${fileSlug(session.name)}` : '';
+        downloadFile(`nemo-export${slug}-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+    } catch (err) {
+        console.error("Export failed:", err);
+        alert("Failed to export.");
+    }
+}
+
+// Downloads a session as a research brief to paste into a wiki or share as a file
+async function exportBrief(session, format) {
+    try {
+        const brief = await loadBrief(session.id);
+        if (format === 'html') {
+            downloadFile(`${fileSlug(session.name)}.html`, briefToHtml(brief), 'text/html');
+        } else {
+            downloadFile(`${fileSlug(session.name)}.md`, briefToMarkdown(brief), 'text/markdown');
+        }
+    } catch (err) {
+        console.error("Brief export failed:", err);
+        alert("Failed to export this session.");
+    }
+}
+
+async function importFromFile(event) {
+    const file = event.target.files?.[0];
+    event.target.value = ""; // allow re-importing the same file
+    if (!file) return;
+
+    const text = await file.text();
+    // Anything that is not a Nemo JSON export is treated as a bookmarks file or a OneTab list
+    if (!/\.json$/i.test(file.name) && !text.trim().startsWith('{')) {
+        const groups = isNetscapeBookmarks(text) ? parseNetscapeBookmarks(text) : parseOneTab(text);
+        sendImportGroups(isNetscapeBookmarks(text) ? 'bookmarks_html' : 'onetab', groups);
+        return;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        alert("This file is not valid JSON.");
+        return;
+    }
+
+    const strategy = prompt(
+        "When a session name or URL already exists:\n" +
+        "newer - merge sessions of the same name; keep the most recently saved copy of a tab\n" +
+        "both - import sessions under a new name; tabs join both sessions\n" +
+        "skip - keep what is here and ignore the imported duplicate",
+        "newer"
+    );
+    if (strategy === null) return;
+    if (!CONFLICT_STRATEGIES.includes(strategy.trim())) {
+        alert(`Please enter one of: ${CONFLICT_STRATEGIES.join(', ')}.`);
+        return;
+    }
+
+    try {
+        const stats = await importData(data, { strategy: strategy.trim() });
+        loadSessions(false);
+        alert([
+            `Imported ${stats.sessionsCreated} new session(s), merged ${stats.sessionsMerged}, skipped ${stats.sessionsSkipped}.`,
+            `Tabs: ${stats.tabsAdded} added, ${stats.tabsUpdated} updated, ${stats.tabsSkipped} kept as they were.`,
+            `Exclusion rules added: ${stats.excludedDomainsAdded}.`,
+        ].join('\n'));
+    } catch (err) {
+        console.error("Import failed:", err);
+        alert(`Failed to import: ${err.message || err}`);
+    }
+}
+
+async function importChromeBookmarks() {
+    let folders;
+    try {
+        folders = (await listBookmarkFolders()).filter(f => f.count > 0);
+    } catch (err) {
+        console.error("Failed to read bookmarks:", err);
+        alert("Failed to read your bookmarks.");
+        return;
+    }
+    if (folders.length === 0) {
+        alert("There are no bookmark folders with links to import.");
+        return;
+    }
+    const options = folders.map(f => `${f.id} - ${f.path} (${f.count})`).join('\n');
+    const input = prompt(`Enter the ID(s) of the folder(s) to import, separated by commas:\n${options}`);
+    if (!input) return;
+    const ids = input.split(',').map(s => s.trim()).filter(id => folders.some(f => f.id === id));
+    if (ids.length === 0) {
+        alert("No matching folder IDs.");
+        return;
+    }
+    const groups = [];
+    for (const id of ids) {
+        groups.push(...await groupsFromBookmarkFolder(id));
+    }
+    sendImportGroups('chrome_bookmarks', groups);
+}
+
+// Hands parsed groups to the background, which creates the sessions and queues the URLs.
+// Queued URLs are summarized right away; the overlay stays up until COLLECT_TABS_DONE.
+function sendImportGroups(source, groups) {
+    const linkCount = groups.reduce((n, g) => n + g.links.length, 0);
+    if (linkCount === 0) {
+        alert("No links were found to import.");
+        return;
+    }
+    showLoading(true, 'import');
+    try {
+        if (!collectKeepAlivePort) {
+            collectKeepAlivePort = chrome.runtime.connect({ name: 'nemo-collect-keepalive' });
+        }
+    } catch {}
+    chrome.runtime.sendMessage({ type: "IMPORT_TABS", source, groups }, (response) => {
+        if (chrome.runtime.lastError || !response?.ok) {
+            console.error("Import failed:", chrome.runtime.lastError || response?.error);
+            alert(`Failed to import: ${response?.error || 'unknown error'}`);
+            showLoading(false);
+            try { collectKeepAlivePort?.disconnect(); } catch {}
+            collectKeepAlivePort = null;
+            return;
+        }
+        loadSessions(false);
+        console.log(`Imported ${groups.length} group(s): ${response.queued} queued, ${response.linked} already saved, ${response.rejected} rejected, ${response.excluded} excluded.`);
+        if (response.queued === 0) {
+            // Nothing to summarize, so no run was started
+            showLoading(false);
+            try { collectKeepAlivePort?.disconnect(); } catch {}
+            collectKeepAlivePort = null;
+        }
+    });
+}
+
+async function showArchive() {
+    document.getElementById("search-input").value = "";
+    hideTabFilters();
+    document.querySelectorAll("#sessions-list li.active").forEach(item => item.classList.remove("active"));
+
+    // Newest first; archivedAt is an ISO string
+    const entries = (await getAllArchived())
+        .sort((a, b) => String(b.archivedAt).localeCompare(String(a.archivedAt)));
+    const tabsList = document.getElementById("tabs-list");
+    tabsList.innerHTML = "";
+
+    if (entries.length === 0) {
+        const li = document.createElement("li");
+        li.className = "empty-state";
+        li.textContent = "The archive is empty.";
+        tabsList.appendChild(li);
+        return;
+    }
+
+    entries.forEach(entry => {
+        const li = document.createElement("li");
+        const entryContent = document.createElement('div');
+
+        if (entry.kind === 'session') {
+            const sessionTitle = document.createElement("strong");
+            sessionTitle.textContent = `Session: ${entry.data?.name || 'Untitled'}`;
+            entryContent.appendChild(sessionTitle);
+        } else {
+            const tabLink = document.createElement("a");
+            tabLink.href = entry.data?.url;
+            tabLink.textContent = entry.data?.title || entry.data?.url;
+            tabLink.target = "_blank";
+            const tabSummary = document.createElement("p");
+            tabSummary.textContent = entry.data?.summary || '';
+            entryContent.appendChild(tabLink);
+            entryContent.appendChild(tabSummary);
+        }
+
+        const meta = document.createElement("p");
+        meta.className = "archive-meta";
+        const reason = ARCHIVE_REASON_LABELS[entry.reason] || entry.reason || "Archived";
+        meta.textContent = `${reason} · archived ${new Date(entry.archivedAt).toLocaleString()}`;
+        entryContent.appendChild(meta);
+
+        const actions = document.createElement('div');
+        actions.className = 'tab-actions';
+
+        const restoreButton = document.createElement('button');
+        restoreButton.textContent = 'Restore';
+        restoreButton.onclick = () => {
+            restoreArchivedEntry(entry)
+                .then(() => {
+                    loadSessions(false);
+                    showArchive();
+                })
+                .catch(err => {
+                    console.error("Failed to restore archived entry:", err);
+                    alert("Failed to restore this item.");
+                });
         };
+        actions.appendChild(restoreButton);
+
+        li.appendChild(entryContent);
+        li.appendChild(actions);
+        tabsList.appendChild(li);
+    });
+}
+
+async function showRuns() {
+    document.getElementById("search-input").value = "";
+    hideTabFilters();
+    document.querySelectorAll("#sessions-list li.active").forEach(item => item.classList.remove("active"));
+
+    // Newest first; run ids are auto-incremented
+    const runs = (await getAllRuns()).sort((a, b) => b.id - a.id);
+    const undoableId = latestUndoableRunId(runs);
+    const tabsList = document.getElementById("tabs-list");
+    tabsList.innerHTML = "";
+
+    if (runs.length === 0) {
+        const li = document.createElement("li");
+        li.className = "empty-state";
+        li.textContent = "No runs yet. Press “Organize Tabs” to start one.";
+        tabsList.appendChild(li);
+        return;
     }
+
+    runs.forEach(run => {
+        const li = document.createElement("li");
+        const runContent = document.createElement('div');
+
+        const runTitle = document.createElement("strong");
+        runTitle.textContent = `Run #${run.id} · ${new Date(run.startedAt).toLocaleString()}`;
+        runContent.appendChild(runTitle);
+
+        const stats = document.createElement("p");
+        const strippedChars = (run.captured || []).reduce((sum, c) => sum + (c.extraction?.boilerplateChars || 0), 0);
+        stats.textContent = [
+            `${run.captured?.length || 0} captured`,
+            `${run.rejected?.length || 0} rejected`,
+            `${run.sessionsCreated?.length || 0} sessions created`,
+            `${run.reassigned?.length || 0} reassigned`,
+            ...(run.needsReview?.length ? [`${run.needsReview.length} sent to review`] : []),
+            ...(strippedChars > 0 ? [`${strippedChars.toLocaleString()} boilerplate chars stripped`] : []),
+        ].join(' · ');
+        runContent.appendChild(stats);
+
+        const meta = document.createElement("p");
+        meta.className = "archive-meta";
+        const duration = run.endedAt
+            ? `${Math.max(1, Math.round((new Date(run.endedAt) - new Date(run.startedAt)) / 1000))}s`
+            : 'in progress';
+        meta.textContent = `Status: ${run.status}${run.error ? ` (${run.error})` : ''} · ${duration}${run.scope ? ` · scope: ${captureScopeLabel(run.scope)}` : ''} · model: ${run.model || 'unknown'}`;
+        runContent.appendChild(meta);
+
+        if (run.sessionsCreated?.length || run.rejected?.length) {
+            const details = document.createElement("details");
+            const summary = document.createElement("summary");
+            summary.textContent = "Details";
+            details.appendChild(summary);
+            const detailList = document.createElement("ul");
+            (run.sessionsCreated || []).forEach(s => {
+                const item = document.createElement("li");
+                item.textContent = `New session: ${s.name}`;
+                detailList.appendChild(item);
+            });
+            (run.rejected || []).forEach(r => {
+                const item = document.createElement("li");
+                item.textContent = `Rejected (${r.reason}): ${r.url}`;
+                detailList.appendChild(item);
+            });
+            details.appendChild(detailList);
+            runContent.appendChild(details);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'tab-actions';
+
+        const undoButton = document.createElement('button');
+        undoButton.textContent = 'Undo';
+        undoButton.disabled = run.id !== undoableId;
+        undoButton.title = undoButton.disabled && run.status === 'completed' && run.changes?.length
+            ? 'Undo the later runs first'
+            : 'Undo this run';
+        undoButton.onclick = () => undoRun(run);
+        actions.appendChild(undoButton);
+
+        li.appendChild(runContent);
+        li.appendChild(actions);
+        tabsList.appendChild(li);
+    });
 }
 
-function moveTab(tabUrl, currentSessionId) {
-    const transaction = db.transaction(SESSIONS_STORE, "readonly");
-    const store = transaction.objectStore(SESSIONS_STORE);
-    store.getAll().onsuccess = (event) => {
-        const sessions = event.target.result;
-        const sessionOptions = sessions.filter(s => s.id !== currentSessionId).map(s => `${s.id}:${s.name}`).join('\n');
-        const newSessionId = prompt(`Enter the ID of the session to move this tab to:\n${sessionOptions.split(':').join(' - ')}`);
-        
-        if (newSessionId && !isNaN(newSessionId)) {
-            const id = parseInt(newSessionId);
-            const updateTx = db.transaction(TABS_STORE, "readwrite");
-            const tabStore = updateTx.objectStore(TABS_STORE);
-            tabStore.get(tabUrl).onsuccess = (e) => {
-                const tab = e.target.result;
-                tab.sessionId = id;
-                tabStore.put(tab);
-            };
-
-            updateTx.oncomplete = () => {
-                loadTabsForSession(currentSessionId);
-            };
+function undoRun(run) {
+    if (!confirm(`Undo run #${run.id}? Tabs and sessions will return to their state before this run.`)) {
+        return;
+    }
+    chrome.runtime.sendMessage({ type: "UNDO_RUN", runId: run.id }, (response) => {
+        if (chrome.runtime.lastError || !response?.ok) {
+            console.error("Failed to undo run:", chrome.runtime.lastError || response?.error);
+            alert("Failed to undo this run.");
+            return;
         }
-    };
+        loadSessions(false);
+        showRuns();
+    });
+}
+
+// --- Needs review ---
+
+async function updateReviewCount() {
+    const count = (await getPendingReviewItems()).length;
+    document.getElementById("view-review").textContent = count > 0 ? `Needs review (${count})` : 'Needs review';
+}
+
+// Inbox of new tabs the classifier was unsure about. Each one is filed by accepting the suggested
+// session, picking another session or creating a new one; the background records the decision.
+async function showReview() {
+    document.getElementById("search-input").value = "";
+    hideTabFilters();
+    document.querySelectorAll("#sessions-list li.active").forEach(item => item.classList.remove("active"));
+
+    const [items, sessions] = await Promise.all([getPendingReviewItems(), getAllSessions()]);
+    const tabsList = document.getElementById("tabs-list");
+    tabsList.innerHTML = "";
+
+    if (items.length === 0) {
+        const li = document.createElement("li");
+        li.className = "empty-state";
+        li.textContent = "Nothing to review. Tabs the AI is unsure how to file will wait here.";
+        tabsList.appendChild(li);
+        return;
+    }
+
+    sessions.sort((a, b) => a.name.localeCompare(b.name));
+    items.sort((a, b) => a.confidence - b.confidence);
+    items.forEach(item => {
+        const li = document.createElement("li");
+        const content = document.createElement('div');
+
+        const link = document.createElement("a");
+        link.href = item.url;
+        link.target = "_blank";
+        link.textContent = item.tab.title || item.url;
+        content.appendChild(link);
+
+        const summary = document.createElement("p");
+        summary.textContent = item.tab.summary || '';
+        content.appendChild(summary);
+
+        const suggestion = document.createElement("p");
+        const newSession = typeof item.suggestion.sessionId !== 'number';
+        suggestion.textContent = `Suggested: ${item.suggestion.sessionName}${newSession ? ' (new session)' : ''} · ${Math.round(item.confidence * 100)}% sure`;
+        content.appendChild(suggestion);
+        if (item.reason) {
+            const reason = document.createElement("p");
+            reason.className = "archive-meta";
+            reason.textContent = item.reason;
+            content.appendChild(reason);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'tab-actions';
+
+        const acceptButton = document.createElement('button');
+        acceptButton.textContent = 'Accept';
+        acceptButton.title = `File under "${item.suggestion.sessionName}"`;
+        acceptButton.onclick = () => decideReview(item, { action: 'accept' });
+
+        const picker = document.createElement('select');
+        picker.title = 'File under another session';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Move to…';
+        picker.appendChild(placeholder);
+        for (const session of sessions) {
+            const option = document.createElement('option');
+            option.value = session.id;
+            option.textContent = session.name;
+            picker.appendChild(option);
+        }
+        picker.onchange = () => {
+            if (picker.value) decideReview(item, { action: 'pick', sessionId: Number(picker.value) });
+        };
+
+        const createButton = document.createElement('button');
+        createButton.textContent = 'New session';
+        createButton.onclick = () => {
+            const name = prompt("Enter new session name:", newSession ? item.suggestion.sessionName : '');
+            if (name && name.trim()) decideReview(item, { action: 'create', sessionName: name.trim() });
+        };
+
+        actions.appendChild(acceptButton);
+        actions.appendChild(picker);
+        actions.appendChild(createButton);
+        li.appendChild(content);
+        li.appendChild(actions);
+        tabsList.appendChild(li);
+    });
 }
 
-function openSessionInNewWindow(sessionId) {
-    const transaction = db.transaction(TABS_STORE, "readonly");
-    const store = transaction.objectStore(TABS_STORE);
-    const index = store.index("sessionId");
-    const request = index.getAll(sessionId);
+function decideReview(item, choice) {
+    chrome.runtime.sendMessage({ type: "REVIEW_DECIDE", id: item.id, choice }, (response) => {
+        if (chrome.runtime.lastError || !response?.ok) {
+            const error = chrome.runtime.lastError?.message || response?.error || 'unknown error';
+            console.error("Failed to file review item:", error);
+            alert(`Failed to file this tab: ${error}`);
+            return;
+        }
+        loadSessions(false);
+        showReview();
+    });
+}
+
+// --- Tidy sessions ---
+
+const TIDY_KIND_LABELS = { merge: "Merge", split: "Split", rename: "Rename" };
 
-    request.onsuccess = (event) => {
-        const tabs = event.target.result;
-        const urls = tabs.map(t => t.url);
-        chrome.windows.create({ url: urls });
+// Review list of the merge / split / rename proposals of the last "Tidy sessions" job. Each
+// proposal is shown as a before → after diff and applied only when accepted.
+async function showTidy(status = '') {
+    document.getElementById("search-input").value = "";
+    hideTabFilters();
+    document.querySelectorAll("#sessions-list li.active").forEach(item => item.classList.remove("active"));
+
+    const [proposals, tabs, memberships] = await Promise.all([getAllTidyProposals(), getAllTabs(), getAllMemberships()]);
+    const titles = new Map(tabs.map(t => [t.url, t.title || t.url]));
+    const tabCount = (sessionId) => memberships.filter(m => m.sessionId === sessionId).length;
+    const tabsList = document.getElementById("tabs-list");
+    tabsList.innerHTML = "";
+
+    const header = document.createElement("li");
+    header.className = "view-header";
+    const headerText = document.createElement("div");
+    const heading = document.createElement("h3");
+    heading.textContent = "Tidy sessions";
+    const note = document.createElement("p");
+    note.className = "archive-meta";
+    note.textContent = status || "The AI suggests merging near-duplicate sessions, splitting mixed ones and renaming vague ones. Nothing changes until you accept a suggestion.";
+    headerText.appendChild(heading);
+    headerText.appendChild(note);
+    const proposeButton = document.createElement("button");
+    proposeButton.className = "action-button";
+    proposeButton.textContent = "Suggest changes";
+    proposeButton.onclick = () => {
+        proposeButton.disabled = true;
+        note.textContent = "Reviewing your sessions…";
+        chrome.runtime.sendMessage({ type: "TIDY_SESSIONS" }, (response) => {
+            if (!header.isConnected) return;
+            if (chrome.runtime.lastError || !response?.ok) {
+                showTidy(`Could not get suggestions: ${chrome.runtime.lastError?.message || response?.error || 'unknown error'}`);
+                return;
+            }
+            showTidy(response.count > 0 ? `${response.count} suggestion(s).` : "Your sessions look tidy; no suggestions.");
+        });
     };
+    header.appendChild(headerText);
+    header.appendChild(proposeButton);
+    tabsList.appendChild(header);
+
+    // Pending first, then the accepted ones that can still be undone; newest first within each
+    const shown = proposals
+        .filter(p => p.status !== 'dismissed')
+        .sort((a, b) => (a.status === 'pending' ? 0 : 1) - (b.status === 'pending' ? 0 : 1) || b.id - a.id);
+    if (shown.length === 0) {
+        const li = document.createElement("li");
+        li.className = "empty-state";
+        li.textContent = "No suggestions yet. Press “Suggest changes” to review your sessions.";
+        tabsList.appendChild(li);
+        return;
+    }
+
+    const sessionLabel = (proposal, i) => `${proposal.sessionNames[i]}${proposal.status === 'pending' ? ` (${tabCount(proposal.sessionIds[i])} tabs)` : ''}`;
+    const diffLine = (removed, added) => {
+        const line = document.createElement("p");
+        line.className = "tidy-diff";
+        removed.forEach((text, i) => {
+            const del = document.createElement("del");
+            del.textContent = text;
+            if (i > 0) line.appendChild(document.createTextNode(" + "));
+            line.appendChild(del);
+        });
+        line.appendChild(document.createTextNode(" → "));
+        const ins = document.createElement("ins");
+        ins.textContent = added;
+        line.appendChild(ins);
+        return line;
+    };
+
+    shown.forEach(proposal => {
+        const li = document.createElement("li");
+        const content = document.createElement('div');
+
+        const title = document.createElement("strong");
+        title.textContent = TIDY_KIND_LABELS[proposal.kind] || proposal.kind;
+        content.appendChild(title);
+
+        if (proposal.kind === 'split') {
+            const from = document.createElement("p");
+            from.className = "tidy-diff";
+            const del = document.createElement("del");
+            del.textContent = sessionLabel(proposal, 0);
+            from.appendChild(del);
+            from.appendChild(document.createTextNode(" →"));
+            content.appendChild(from);
+            const groups = document.createElement("ul");
+            groups.className = "tidy-groups";
+            for (const group of proposal.groups) {
+                const item = document.createElement("li");
+                const ins = document.createElement("ins");
+                ins.textContent = `${group.name} (${group.urls.length} tabs)`;
+                const pages = document.createElement("p");
+                pages.className = "archive-meta";
+                pages.textContent = group.urls.map(url => titles.get(url) || url).join(' · ');
+                item.appendChild(ins);
+                item.appendChild(pages);
+                groups.appendChild(item);
+            }
+            content.appendChild(groups);
+        } else {
+            content.appendChild(diffLine(proposal.sessionIds.map((_, i) => sessionLabel(proposal, i)), proposal.name));
+        }
+
+        if (proposal.reason) {
+            const reason = document.createElement("p");
+            reason.textContent = proposal.reason;
+            content.appendChild(reason);
+        }
+        if (proposal.status !== 'pending') {
+            const meta = document.createElement("p");
+            meta.className = "archive-meta";
+            meta.textContent = `${proposal.status === 'accepted' ? 'Accepted' : 'Undone'} ${new Date(proposal.decidedAt).toLocaleString()}`;
+            content.appendChild(meta);
+        }
+
+        const actions = document.createElement('div');
+        actions.className = 'tab-actions';
+        if (proposal.status === 'pending') {
+            const acceptButton = document.createElement('button');
+            acceptButton.textContent = 'Accept';
+            acceptButton.onclick = () => decideTidy(() => acceptTidyProposal(proposal.id), "Failed to apply this suggestion");
+            const dismissButton = document.createElement('button');
+            dismissButton.textContent = 'Dismiss';
+            dismissButton.onclick = () => decideTidy(() => dismissTidyProposal(proposal.id), "Failed to dismiss this suggestion");
+            actions.appendChild(acceptButton);
+            actions.appendChild(dismissButton);
+        } else if (proposal.status === 'accepted') {
+            const undoButton = document.createElement('button');
+            undoButton.textContent = 'Undo';
+            undoButton.title = 'Put the sessions back as they were before this change';
+            undoButton.onclick = () => decideTidy(() => undoTidyProposal(proposal.id), "Failed to undo this change");
+            actions.appendChild(undoButton);
+        }
+
+        li.appendChild(content);
+        li.appendChild(actions);
+        tabsList.appendChild(li);
+    });
+}
+
+async function decideTidy(action, failureMessage) {
+    try {
+        await action();
+        loadSessions(false);
+        showTidy();
+    } catch (error) {
+        console.error(`${failureMessage}:`, error);
+        alert(`${failureMessage}: ${error?.message || error}`);
+    }
+}
+
+async function openSessionInNewWindow(sessionId) {
+    const tabs = await getTabsBySession(sessionId);
+    const urls = tabs.map(t => t.url);
+    chrome.windows.create({ url: urls });
 }
 
 function initResizeableSidebar() {
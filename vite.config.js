@@ -33,6 +33,8 @@ export default defineConfig({
         viewer: resolve(__dirname, 'src/viewer.html'),
         options: resolve(__dirname, 'src/options.js'),
         options_page: resolve(__dirname, 'src/options.html'),
+        // Reads PDFs for the background, which must not bundle pdf.js
+        offscreen: resolve(__dirname, 'src/offscreen.html'),
       },
       output: {
         // preserve entry names (background.js, content.js, etc.)
@@ -75,6 +77,14 @@ export default defineConfig({
                 // eslint-disable-next-line no-console
                 console.log('Moved built options.html to dist/');
               }
+              // Same for the offscreen document that reads PDFs
+              const builtOffscreen = resolve(__dirname, 'dist', 'src', 'offscreen.html');
+              const destOffscreen = resolve(__dirname, 'dist', 'offscreen.html');
+              if (fs.existsSync(builtOffscreen)) {
+                fs.copyFileSync(builtOffscreen, destOffscreen);
+                // eslint-disable-next-line no-console
+                console.log('Moved built offscreen.html to dist/');
+              }
             } catch (err) {
               // eslint-disable-next-line no-console
               console.error('Failed to copy manifest or viewer to dist:', err);